@@ -0,0 +1,76 @@
+/**
+ * Error codes of failed images, the same for every provider so the UI can
+ * group failures and suggest what to do about them
+ */
+const ERROR_CODES = {
+    AUTH_INVALID: 'AUTH_INVALID',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+    TIMEOUT: 'TIMEOUT',
+    NO_IMAGE_RETURNED: 'NO_IMAGE_RETURNED',
+    INVALID_INPUT: 'INVALID_INPUT',
+    // An upload could not be read or a result not be written on the server
+    FILE_ERROR: 'FILE_ERROR',
+    // Anything else: server errors, unreachable provider, unexpected responses
+    PROVIDER_ERROR: 'PROVIDER_ERROR'
+};
+
+// Messages of file system errors, which name paths on the server and are only logged there
+const FILE_ERROR_MESSAGES = {
+    ENOENT: 'A file of this image is no longer on the server',
+    EACCES: 'The server has no access to a file of this image',
+    EPERM: 'The server has no access to a file of this image',
+    ENOSPC: 'The server is out of disk space'
+};
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Map a failed request to an error code
+ * @param {Object} failure - { status, code, blocked } as described by the processor (see BaseProcessor.describeFailure)
+ * @param {string} message - Raw error message
+ * @returns {string} One of ERROR_CODES
+ */
+function getErrorCode(failure, message = '') {
+    const { status, code } = failure;
+
+    // Only blocks the provider reported as such: messages mention "blocked" for other reasons too
+    if (failure.blocked) return ERROR_CODES.SAFETY_BLOCKED;
+    if (status === 401 || status === 403 || /api[ _-]?key (not valid|invalid)|invalid api[ _-]?key|API_KEY_INVALID/i.test(message)) {
+        return ERROR_CODES.AUTH_INVALID;
+    }
+    if (status === 402 || status === 429 || /quota|credits|billing|rate limit|RESOURCE_EXHAUSTED/i.test(message)) {
+        return ERROR_CODES.QUOTA_EXCEEDED;
+    }
+    if (status === 408 || status === 504 || TIMEOUT_CODES.includes(code) || /timed? ?out/i.test(message)) {
+        return ERROR_CODES.TIMEOUT;
+    }
+    if (/no image|not a supported image/i.test(message)) return ERROR_CODES.NO_IMAGE_RETURNED;
+    if (status >= 400 && status < 500) return ERROR_CODES.INVALID_INPUT;
+    return ERROR_CODES.PROVIDER_ERROR;
+}
+
+/**
+ * Whether an error comes from the file system (fs errors carry the syscall and the path)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFileError(error) {
+    return Boolean(error && error.syscall && typeof error.path === 'string');
+}
+
+/**
+ * Message of a file system error that can be shown to clients
+ * @param {Error} error - Error for which isFileError is true
+ * @returns {string} Message without the path
+ */
+function describeFileError(error) {
+    return FILE_ERROR_MESSAGES[error.code] || 'A file of this image could not be read or written on the server';
+}
+
+module.exports = {
+    ERROR_CODES,
+    getErrorCode,
+    isFileError,
+    describeFileError
+};
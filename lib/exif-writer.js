@@ -0,0 +1,234 @@
+/**
+ * Encode EXIF data (a little-endian TIFF structure) from tags laid out the
+ * way exif-reader returns them, so fields read from a source can be written
+ * into an output as they are. Only the tags below are written.
+ */
+
+const TYPES = {
+    BYTE: { id: 1, size: 1 },
+    ASCII: { id: 2, size: 1 },
+    SHORT: { id: 3, size: 2 },
+    LONG: { id: 4, size: 4 },
+    RATIONAL: { id: 5, size: 8 },
+    UNDEFINED: { id: 7, size: 1 }
+};
+
+// Tag numbers and types by exif-reader section and name
+const TAGS = {
+    Image: {
+        Make: [0x010f, 'ASCII'],
+        Model: [0x0110, 'ASCII'],
+        Software: [0x0131, 'ASCII'],
+        Artist: [0x013b, 'ASCII'],
+        Copyright: [0x8298, 'ASCII']
+    },
+    Photo: {
+        ExposureTime: [0x829a, 'RATIONAL'],
+        FNumber: [0x829d, 'RATIONAL'],
+        ISOSpeedRatings: [0x8827, 'SHORT'],
+        DateTimeOriginal: [0x9003, 'ASCII'],
+        FocalLength: [0x920a, 'RATIONAL'],
+        LensMake: [0xa433, 'ASCII'],
+        LensModel: [0xa434, 'ASCII']
+    },
+    GPSInfo: {
+        GPSVersionID: [0x00, 'BYTE'],
+        GPSLatitudeRef: [0x01, 'ASCII'],
+        GPSLatitude: [0x02, 'RATIONAL'],
+        GPSLongitudeRef: [0x03, 'ASCII'],
+        GPSLongitude: [0x04, 'RATIONAL'],
+        GPSAltitudeRef: [0x05, 'BYTE'],
+        GPSAltitude: [0x06, 'RATIONAL'],
+        GPSTimeStamp: [0x07, 'RATIONAL'],
+        GPSSatellites: [0x08, 'ASCII'],
+        GPSStatus: [0x09, 'ASCII'],
+        GPSMeasureMode: [0x0a, 'ASCII'],
+        GPSDOP: [0x0b, 'RATIONAL'],
+        GPSSpeedRef: [0x0c, 'ASCII'],
+        GPSSpeed: [0x0d, 'RATIONAL'],
+        GPSTrackRef: [0x0e, 'ASCII'],
+        GPSTrack: [0x0f, 'RATIONAL'],
+        GPSImgDirectionRef: [0x10, 'ASCII'],
+        GPSImgDirection: [0x11, 'RATIONAL'],
+        GPSMapDatum: [0x12, 'ASCII'],
+        GPSDestLatitudeRef: [0x13, 'ASCII'],
+        GPSDestLatitude: [0x14, 'RATIONAL'],
+        GPSDestLongitudeRef: [0x15, 'ASCII'],
+        GPSDestLongitude: [0x16, 'RATIONAL'],
+        GPSDestBearingRef: [0x17, 'ASCII'],
+        GPSDestBearing: [0x18, 'RATIONAL'],
+        GPSDestDistanceRef: [0x19, 'ASCII'],
+        GPSDestDistance: [0x1a, 'RATIONAL'],
+        GPSDateStamp: [0x1d, 'ASCII'],
+        GPSDifferential: [0x1e, 'SHORT'],
+        GPSHPositioningError: [0x1f, 'RATIONAL']
+    }
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+const EXIF_VERSION = 0x9000;
+
+function greatestCommonDivisor(a, b) {
+    return b === 0 ? a : greatestCommonDivisor(b, a % b);
+}
+
+/**
+ * Closest fraction with a 32-bit numerator and denominator
+ * @param {number} value - Non-negative number
+ * @returns {Array<number>|null} [numerator, denominator]
+ */
+function toRational(value) {
+    if (!Number.isFinite(value) || value < 0) return null;
+
+    let denominator = 1;
+    while (!Number.isInteger(value * denominator) && denominator < 1e6) {
+        denominator *= 10;
+    }
+    const numerator = Math.round(value * denominator);
+    if (numerator > 0xffffffff) return null;
+
+    const divisor = greatestCommonDivisor(numerator, denominator) || 1;
+    return [numerator / divisor, denominator / divisor];
+}
+
+// Dates as EXIF writes them: "YYYY:MM:DD HH:MM:SS" (GPSDateStamp: "YYYY:MM:DD")
+function formatDate(date, name) {
+    const text = date.toISOString().slice(0, 19).replace(/-/g, ':').replace('T', ' ');
+    return name === 'GPSDateStamp' ? text.slice(0, 10) : text;
+}
+
+/**
+ * Encode the value of a tag
+ * @returns {{count: number, data: Buffer}|null} Null for values the tag's type cannot hold
+ */
+function encodeValue(name, type, value) {
+    if (type === 'ASCII') {
+        let text = value;
+        if (value instanceof Date) {
+            if (Number.isNaN(value.getTime())) return null;
+            text = formatDate(value, name);
+        }
+        if (typeof text !== 'string') return null;
+        const data = Buffer.from(`${text}\0`, 'latin1');
+        return { count: data.length, data };
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.some(item => typeof item !== 'number')) return null;
+
+    const { size } = TYPES[type];
+    const data = Buffer.alloc(values.length * size);
+    for (const [i, item] of values.entries()) {
+        if (type === 'RATIONAL') {
+            const rational = toRational(item);
+            if (!rational) return null;
+            data.writeUInt32LE(rational[0], i * size);
+            data.writeUInt32LE(rational[1], i * size + 4);
+        } else if (type === 'SHORT') {
+            if (!Number.isInteger(item) || item < 0 || item > 0xffff) return null;
+            data.writeUInt16LE(item, i * size);
+        } else {
+            if (!Number.isInteger(item) || item < 0 || item > 0xff) return null;
+            data.writeUInt8(item, i * size);
+        }
+    }
+    return { count: values.length, data };
+}
+
+/**
+ * Entries of an IFD, sorted by tag as TIFF requires
+ * @param {string} section - exif-reader section name
+ * @param {Object} tags - name -> value
+ * @returns {Array<{tag, type, count, data}>}
+ */
+function collectEntries(section, tags = {}) {
+    const entries = [];
+    for (const [name, value] of Object.entries(tags)) {
+        const definition = TAGS[section][name];
+        if (!definition || value === undefined || value === null) continue;
+
+        const [tag, type] = definition;
+        const encoded = encodeValue(name, type, value);
+        if (encoded) entries.push({ tag, type, ...encoded });
+    }
+    return entries.sort((a, b) => a.tag - b.tag);
+}
+
+function longEntry(tag, value) {
+    const data = Buffer.alloc(4);
+    data.writeUInt32LE(value);
+    return { tag, type: 'LONG', count: 1, data };
+}
+
+// Size of an IFD with its values that do not fit in the entries, kept at an even offset
+function ifdSize(entries) {
+    const values = entries.reduce((sum, entry) => sum + (entry.data.length > 4 ? entry.data.length + (entry.data.length % 2) : 0), 0);
+    return 2 + entries.length * 12 + 4 + values;
+}
+
+/**
+ * @param {Array} entries - From collectEntries
+ * @param {number} offset - Offset of the IFD in the TIFF structure
+ * @returns {Buffer}
+ */
+function encodeIfd(entries, offset) {
+    const buffer = Buffer.alloc(ifdSize(entries));
+    buffer.writeUInt16LE(entries.length, 0);
+
+    let valueOffset = 2 + entries.length * 12 + 4;
+    entries.forEach((entry, i) => {
+        const position = 2 + i * 12;
+        buffer.writeUInt16LE(entry.tag, position);
+        buffer.writeUInt16LE(TYPES[entry.type].id, position + 2);
+        buffer.writeUInt32LE(entry.count, position + 4);
+        if (entry.data.length <= 4) {
+            entry.data.copy(buffer, position + 8);
+        } else {
+            buffer.writeUInt32LE(offset + valueOffset, position + 8);
+            entry.data.copy(buffer, valueOffset);
+            valueOffset += entry.data.length + (entry.data.length % 2);
+        }
+    });
+    // Next IFD offset stays 0: there is no thumbnail
+
+    return buffer;
+}
+
+/**
+ * Encode EXIF data
+ * @param {Object} tags - { Image, Photo, GPSInfo } sections of name -> value, as read by exif-reader
+ * @returns {Buffer|null} TIFF structure, without the "Exif\0\0" header of JPEG APP1 segments;
+ *   null if no tag could be written
+ */
+function writeExif(tags) {
+    const image = collectEntries('Image', tags.Image);
+    const photo = collectEntries('Photo', tags.Photo);
+    const gps = collectEntries('GPSInfo', tags.GPSInfo);
+    if (image.length + photo.length + gps.length === 0) return null;
+
+    if (photo.length > 0) {
+        photo.unshift({ tag: EXIF_VERSION, type: 'UNDEFINED', count: 4, data: Buffer.from('0232', 'ascii') });
+    }
+
+    // Pointers to the Exif and GPS IFDs are entries of IFD0 and take part in its size
+    const pointers = [];
+    if (photo.length > 0) pointers.push(longEntry(EXIF_IFD_POINTER, 0));
+    if (gps.length > 0) pointers.push(longEntry(GPS_IFD_POINTER, 0));
+    const ifd0 = [...image, ...pointers];
+
+    let offset = 8 + ifdSize(ifd0);
+    const subIfds = [];
+    for (const pointer of pointers) {
+        const entries = pointer.tag === EXIF_IFD_POINTER ? photo : gps;
+        pointer.data.writeUInt32LE(offset);
+        subIfds.push(encodeIfd(entries, offset));
+        offset += ifdSize(entries);
+    }
+
+    // "II": little-endian, 42, IFD0 right after the header
+    const header = Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00]);
+    return Buffer.concat([header, encodeIfd(ifd0, 8), ...subIfds]);
+}
+
+module.exports = { writeExif };
@@ -0,0 +1,75 @@
+const JsonFile = require('./json-file');
+
+class FileJobStore {
+    /**
+     * @param {string} filePath - Path of the JSON file holding all jobs
+     * @param {number} writeDelay - Debounce delay for writes in ms
+     */
+    constructor(filePath, writeDelay = 250) {
+        this.file = new JsonFile(filePath, 'job store', { indent: 0 });
+        this.writeDelay = writeDelay;
+        this.jobs = new Map(); // jobId -> live job object
+        this.writeTimer = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Load jobs from disk
+     * @returns {Promise<Array>} Array of job objects (empty if the file does not exist)
+     */
+    async load() {
+        const data = await this.file.read();
+        const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+        jobs.forEach(job => this.jobs.set(job.jobId, job));
+        return jobs;
+    }
+
+    /**
+     * Persist a job. Writes are debounced, the job is serialized at write time.
+     * @param {Object} job - Job data
+     */
+    save(job) {
+        this.jobs.set(job.jobId, job);
+        this.scheduleWrite();
+    }
+
+    /**
+     * Remove a stored job
+     * @param {string} jobId - Job identifier
+     */
+    remove(jobId) {
+        if (this.jobs.delete(jobId)) {
+            this.scheduleWrite();
+        }
+    }
+
+    /**
+     * Write any scheduled changes immediately
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+            this.pendingWrite = this.write();
+        }
+        await this.pendingWrite;
+    }
+
+    scheduleWrite() {
+        if (this.writeTimer) return;
+
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.pendingWrite = this.write();
+        }, this.writeDelay);
+    }
+
+    // Serializes the jobs as they are now, failures are logged rather than thrown
+    write() {
+        return this.file.write({ jobs: Array.from(this.jobs.values()) })
+            .catch(error => console.error(`Error writing job store ${this.file.filePath}:`, error));
+    }
+}
+
+module.exports = FileJobStore;
@@ -0,0 +1,130 @@
+// Harm categories Gemini filters, by the short names used in job settings
+const SAFETY_CATEGORIES = {
+    harassment: 'HARM_CATEGORY_HARASSMENT',
+    hateSpeech: 'HARM_CATEGORY_HATE_SPEECH',
+    sexuallyExplicit: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    dangerousContent: 'HARM_CATEGORY_DANGEROUS_CONTENT'
+};
+
+// From strictest to most permissive
+const SAFETY_THRESHOLDS = ['BLOCK_LOW_AND_ABOVE', 'BLOCK_MEDIUM_AND_ABOVE', 'BLOCK_ONLY_HIGH', 'BLOCK_NONE', 'OFF'];
+
+// Finish reasons meaning the output was withheld by a filter, not that generation went wrong
+const BLOCKING_FINISH_REASONS = [
+    'SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'IMAGE_PROHIBITED_CONTENT',
+    'BLOCKLIST', 'SPII', 'RECITATION', 'IMAGE_RECITATION'
+];
+
+/**
+ * Validate the safety thresholds of a job
+ * @param {Object} raw - { threshold, settings }: one threshold for every category, and/or
+ *   per-category thresholds as an object or JSON string, e.g. {"harassment": "BLOCK_ONLY_HIGH"}
+ * @returns {{options?: Object|null, error?: string}} Category name -> threshold (null keeps
+ *   Gemini's defaults), or an error message
+ */
+function normalizeSafetyOptions(raw = {}) {
+    let settings = raw.settings || {};
+    if (typeof settings === 'string') {
+        try {
+            settings = JSON.parse(settings);
+        } catch (error) {
+            return { error: 'Safety settings must be a JSON object' };
+        }
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { error: 'Safety settings must be a JSON object' };
+    }
+
+    const thresholds = {};
+    if (raw.threshold) {
+        if (!SAFETY_THRESHOLDS.includes(raw.threshold)) {
+            return { error: `Safety threshold must be one of: ${SAFETY_THRESHOLDS.join(', ')}` };
+        }
+        Object.keys(SAFETY_CATEGORIES).forEach(category => {
+            thresholds[category] = raw.threshold;
+        });
+    }
+
+    for (const [category, threshold] of Object.entries(settings)) {
+        if (!SAFETY_CATEGORIES[category]) {
+            return { error: `Unknown safety category ${category}, use ${Object.keys(SAFETY_CATEGORIES).join(', ')}` };
+        }
+        if (!SAFETY_THRESHOLDS.includes(threshold)) {
+            return { error: `Safety threshold must be one of: ${SAFETY_THRESHOLDS.join(', ')}` };
+        }
+        thresholds[category] = threshold;
+    }
+
+    return { options: Object.keys(thresholds).length > 0 ? thresholds : null };
+}
+
+/**
+ * Gemini request safetySettings of a job's thresholds
+ * @param {Object|null} options - From normalizeSafetyOptions
+ * @returns {Array<{category: string, threshold: string}>|null}
+ */
+function toSafetySettings(options) {
+    if (!options) return null;
+    return Object.entries(options).map(([category, threshold]) => ({
+        category: SAFETY_CATEGORIES[category],
+        threshold
+    }));
+}
+
+/**
+ * Safety information of a generateContent response
+ * @param {Object} response - Gemini response
+ * @returns {{finishReason: string|null, blockReason: string|null, blockReasonMessage: string|null,
+ *   ratings: Array<{category: string, probability: string, blocked: boolean}>, blocked: boolean}}
+ */
+function readSafetyFeedback(response) {
+    const candidate = response.candidates && response.candidates[0];
+    const feedback = response.promptFeedback || {};
+    const ratings = [
+        ...((candidate && candidate.safetyRatings) || []),
+        ...(feedback.safetyRatings || [])
+    ].map(rating => ({
+        category: rating.category,
+        probability: rating.probability || null,
+        blocked: Boolean(rating.blocked)
+    }));
+
+    const finishReason = (candidate && candidate.finishReason) || null;
+    const blockReason = feedback.blockReason || null;
+    return {
+        finishReason,
+        blockReason,
+        blockReasonMessage: feedback.blockReasonMessage || null,
+        ratings,
+        blocked: Boolean(blockReason) || BLOCKING_FINISH_REASONS.includes(finishReason) || ratings.some(rating => rating.blocked)
+    };
+}
+
+/**
+ * Message explaining why a response has no image
+ * @param {Object} safety - From readSafetyFeedback
+ * @returns {string}
+ */
+function describeMissingImage(safety) {
+    if (safety.blockReason) {
+        return `Prompt blocked by Gemini safety filters (${safety.blockReason})${safety.blockReasonMessage ? `: ${safety.blockReasonMessage}` : ''}`;
+    }
+
+    const flagged = safety.ratings.filter(rating => rating.blocked).map(rating => rating.category.replace(/^HARM_CATEGORY_/, ''));
+    if (safety.blocked) {
+        return `Image blocked by Gemini safety filters (${safety.finishReason || 'blocked'})${flagged.length > 0 ? `: ${flagged.join(', ')}` : ''}`;
+    }
+    if (safety.finishReason && safety.finishReason !== 'STOP') {
+        return `No image generated in response (finish reason ${safety.finishReason})`;
+    }
+    return 'No image generated in response';
+}
+
+module.exports = {
+    SAFETY_CATEGORIES,
+    SAFETY_THRESHOLDS,
+    normalizeSafetyOptions,
+    toSafetySettings,
+    readSafetyFeedback,
+    describeMissingImage
+};
@@ -0,0 +1,66 @@
+/**
+ * Read the pixel dimensions of a PNG, JPEG, GIF or WebP image from its header
+ * @param {Buffer} buffer - Image contents
+ * @returns {{width: number, height: number}|null} Null for unknown or truncated images
+ */
+function getImageSize(buffer) {
+    try {
+        // PNG: IHDR is always the first chunk
+        if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+
+        // GIF87a / GIF89a: logical screen size
+        if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+
+        // WebP: RIFF container with a VP8, VP8L or VP8X chunk
+        if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' &&
+            buffer.toString('ascii', 8, 12) === 'WEBP') {
+            const chunk = buffer.toString('ascii', 12, 16);
+            if (chunk === 'VP8 ') {
+                return {
+                    width: buffer.readUInt16LE(26) & 0x3fff,
+                    height: buffer.readUInt16LE(28) & 0x3fff
+                };
+            }
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+            }
+            if (chunk === 'VP8X') {
+                return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            }
+            return null;
+        }
+
+        // JPEG: walk the segments up to the first start-of-frame marker
+        if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+            let offset = 2;
+            while (offset + 9 < buffer.length) {
+                if (buffer[offset] !== 0xff) return null;
+
+                const marker = buffer[offset + 1];
+                // Fill bytes before a marker
+                if (marker === 0xff) {
+                    offset++;
+                    continue;
+                }
+
+                // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                    return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+                }
+
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+        }
+    } catch (error) {
+        // Truncated header
+    }
+
+    return null;
+}
+
+module.exports = { getImageSize };
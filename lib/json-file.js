@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * A JSON file read and rewritten as a whole, backing the file-based stores.
+ * Writes go to a temp file renamed over the original, so a crash mid-write
+ * never leaves a truncated file behind, and are chained so concurrent
+ * writes never interleave.
+ */
+class JsonFile {
+    /**
+     * @param {string} filePath - Path of the JSON file
+     * @param {string} description - Names the file in error messages, e.g. "preset store"
+     * @param {Object} options
+     * @param {number} options.indent - Indentation when writing, 0 for compact output
+     */
+    constructor(filePath, description, { indent = 2 } = {}) {
+        this.filePath = filePath;
+        this.description = description;
+        this.indent = indent;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<Object>} File contents, an empty object if the file is missing or unreadable
+     */
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8')) || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Error reading ${this.description} ${this.filePath}:`, error);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Replace the file contents. The data is serialized right away.
+     * @param {Object} data - New contents
+     * @returns {Promise<void>} Rejects if this write failed
+     */
+    write(data) {
+        const json = JSON.stringify(data, null, this.indent || undefined);
+
+        // A failed write is reported to its caller only, later writes still run
+        this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tempPath, json);
+            await fs.rename(tempPath, this.filePath);
+        });
+        return this.pendingWrite;
+    }
+}
+
+module.exports = JsonFile;
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Output storage on the local disk. Results are served by the app itself,
+ * so there are no signed URLs.
+ */
+class LocalOutputStorage {
+    /**
+     * @param {string} dir - Directory holding all outputs
+     */
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+    }
+
+    /**
+     * Absolute path of a key, which must stay inside the storage directory
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    resolve(key) {
+        const filePath = path.resolve(this.dir, key);
+        if (!filePath.startsWith(this.dir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Store an output
+     * @param {string} key - Storage key, e.g. "job_123_abc/001-5d41402abc.png"
+     * @param {Buffer} data - File contents
+     * @param {string} contentType - MIME type (unused on disk)
+     * @returns {Promise<string>} The key
+     */
+    async save(key, data, contentType) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, data);
+        return key;
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Readable}
+     */
+    createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+
+    /**
+     * Delete an output; missing outputs are ignored. The job directory
+     * holding it goes as well once it is empty.
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        const filePath = this.resolve(key);
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const dir = path.dirname(filePath);
+        if (dir !== this.dir) {
+            await fs.promises.rmdir(dir).catch(() => {});
+        }
+    }
+
+    /**
+     * @returns {null} Local outputs are streamed by the app
+     */
+    getSignedUrl(key, options = {}) {
+        return null;
+    }
+}
+
+module.exports = LocalOutputStorage;
@@ -0,0 +1,100 @@
+const path = require('path');
+const { parseCsv } = require('./prompt-template');
+
+// Largest number of outputs a single manifest may describe
+const MAX_MANIFEST_ENTRIES = 200;
+
+// Accepted column names (lower-cased, without "_" / "-") -> entry field
+const COLUMN_ALIASES = {
+    filename: 'filename',
+    file: 'filename',
+    image: 'filename',
+    source: 'filename',
+    prompt: 'prompt',
+    model: 'model',
+    aspectratio: 'aspectRatio',
+    size: 'size',
+    quality: 'quality'
+};
+
+/**
+ * Parse a batch manifest: one entry per output, each naming its source
+ * image and optionally its own prompt, model, aspect ratio, size and
+ * quality. Other columns become prompt template variables.
+ *
+ * CSV needs a header row. JSON is an array of objects, or an object with
+ * an "entries" array.
+ *
+ * @param {string} text - Manifest contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<{filename, prompt, settings, variables}>}
+ * @throws {Error} If the manifest is malformed or an entry has no filename
+ */
+function parseManifest(text, format) {
+    let records;
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        records = Array.isArray(data) ? data : data && data.entries;
+        if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+            throw new Error('JSON manifest must be an array of objects or have an "entries" array');
+        }
+    } else {
+        records = parseCsv(text);
+    }
+
+    if (records.length === 0) {
+        throw new Error('Manifest has no entries');
+    }
+    if (records.length > MAX_MANIFEST_ENTRIES) {
+        throw new Error(`Manifest has ${records.length} entries, the maximum is ${MAX_MANIFEST_ENTRIES}`);
+    }
+
+    return records.map((record, i) => {
+        const entry = { filename: null, prompt: null, settings: {}, variables: {} };
+
+        for (const [key, rawValue] of Object.entries(record)) {
+            if (rawValue === null || rawValue === undefined) continue;
+            const value = String(rawValue).trim();
+            const field = COLUMN_ALIASES[key.toLowerCase().replace(/[_-]/g, '')];
+
+            if (field === 'filename') {
+                entry.filename = value ? path.basename(value) : null;
+            } else if (field === 'prompt') {
+                entry.prompt = value || null;
+            } else if (field) {
+                if (value) entry.settings[field] = value;
+            } else {
+                entry.variables[key] = value;
+            }
+        }
+
+        if (!entry.filename) {
+            throw new Error(`Entry ${i + 1} has no source image filename`);
+        }
+
+        return entry;
+    });
+}
+
+/**
+ * Manifest format from its file name
+ * @param {string} filename - Uploaded manifest name
+ * @returns {string|null} 'csv', 'json' or null if unsupported
+ */
+function getManifestFormat(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.json') return 'json';
+    return null;
+}
+
+module.exports = {
+    MAX_MANIFEST_ENTRIES,
+    parseManifest,
+    getManifestFormat
+};
@@ -0,0 +1,29 @@
+class MemoryJobStore {
+    /**
+     * Load previously stored jobs
+     * @returns {Promise<Array>} Array of job objects
+     */
+    async load() {
+        return [];
+    }
+
+    /**
+     * Persist a job (no-op, jobs only live in QueueManager's Map)
+     * @param {Object} job - Job data
+     */
+    save(job) { }
+
+    /**
+     * Remove a stored job (no-op)
+     * @param {string} jobId - Job identifier
+     */
+    remove(jobId) { }
+
+    /**
+     * Wait for pending writes (nothing to wait for)
+     * @returns {Promise<void>}
+     */
+    async flush() { }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,162 @@
+const { PNG_SIGNATURE, pngChunk } = require('./png-chunks');
+const { getImageSize } = require('./image-size');
+
+/**
+ * Write EXIF and XMP into JPEG, PNG and WebP files by rewriting their
+ * container only: the encoded image data is copied as it is, so results
+ * keep their quality and nothing is re-compressed. EXIF and XMP already in
+ * the file are replaced.
+ */
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+const XMP_NAMESPACE = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+// A JPEG segment holds at most 65535 bytes, its length field included
+const MAX_SEGMENT_DATA = 65533;
+
+function jpegSegment(marker, data) {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([header, data]);
+}
+
+function startsWith(buffer, offset, prefix) {
+    return buffer.length >= offset + prefix.length && buffer.subarray(offset, offset + prefix.length).equals(prefix);
+}
+
+/**
+ * JPEG: APP1 segments after SOI (and after the JFIF APP0 segment, which must come first)
+ */
+function embedJpeg(buffer, exif, xmp) {
+    const inserted = [exif && Buffer.concat([EXIF_HEADER, exif]), xmp && Buffer.concat([XMP_NAMESPACE, xmp])]
+        .filter(Boolean)
+        .map(data => {
+            if (data.length > MAX_SEGMENT_DATA) throw new Error('Metadata too large for a JPEG segment');
+            return jpegSegment(0xe1, data);
+        });
+
+    // Keep the application segments before the image data, minus the EXIF and XMP ones
+    const head = [];
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        if (!(marker >= 0xe0 && marker <= 0xef) && marker !== 0xfe) break;
+
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) throw new Error('Truncated JPEG segment');
+        const replaced = marker === 0xe1 &&
+            (startsWith(buffer, offset + 4, EXIF_HEADER) || startsWith(buffer, offset + 4, XMP_NAMESPACE));
+        if (!replaced) head.push(buffer.subarray(offset, end));
+        offset = end;
+    }
+
+    const jfif = head.length > 0 && head[0][1] === 0xe0 ? [head.shift()] : [];
+    return Buffer.concat([buffer.subarray(0, 2), ...jfif, ...inserted, ...head, buffer.subarray(offset)]);
+}
+
+/**
+ * PNG: eXIf and iTXt chunks before the first IDAT chunk
+ */
+function embedPng(buffer, exif, xmp) {
+    const inserted = [];
+    if (exif) inserted.push(pngChunk('eXIf', exif));
+    if (xmp) {
+        // Keyword, uncompressed, no language tag or translated keyword
+        const header = Buffer.from(`${XMP_KEYWORD}\0\0\0\0\0`, 'latin1');
+        inserted.push(pngChunk('iTXt', Buffer.concat([header, xmp])));
+    }
+
+    const chunks = [];
+    let offset = PNG_SIGNATURE.length;
+    let done = false;
+    while (!done) {
+        if (offset + 12 > buffer.length) throw new Error('Truncated PNG chunk');
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) throw new Error('Truncated PNG chunk');
+
+        const replaced = type === 'eXIf' || (type === 'iTXt' && startsWith(buffer, offset + 8, Buffer.from(`${XMP_KEYWORD}\0`, 'latin1')));
+        if (type === 'IDAT' && inserted.length > 0) chunks.push(...inserted.splice(0));
+        if (!replaced) chunks.push(buffer.subarray(offset, end));
+        done = type === 'IEND';
+        offset = end;
+    }
+
+    return Buffer.concat([PNG_SIGNATURE, ...chunks]);
+}
+
+function riffChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.write(type, 0, 'latin1');
+    header.writeUInt32LE(data.length, 4);
+    // Chunks are padded to an even size
+    return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+/**
+ * WebP: EXIF and XMP chunks at the end of an extended (VP8X) file; simple
+ * files get a VP8X header first
+ */
+function embedWebp(buffer, exif, xmp) {
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+        const end = offset + 8 + length + (length % 2);
+        if (offset + 8 + length > buffer.length) throw new Error('Truncated WebP chunk');
+        if (type !== 'EXIF' && type !== 'XMP ') chunks.push({ type, data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+    }
+    if (chunks.length === 0) throw new Error('WebP file without image data');
+
+    let extended = chunks[0].type === 'VP8X' ? chunks[0] : null;
+    if (!extended) {
+        const size = getImageSize(buffer);
+        if (!size) throw new Error('Cannot read the WebP canvas size');
+
+        extended = { type: 'VP8X', data: Buffer.alloc(10) };
+        // Lossless images carry an alpha hint in their header
+        const image = chunks[0];
+        if (image.type === 'VP8L' && image.data.length >= 5 && (image.data.readUInt32LE(1) >>> 28) & 1) {
+            extended.data[0] |= 0x10;
+        }
+        extended.data.writeUIntLE(size.width - 1, 4, 3);
+        extended.data.writeUIntLE(size.height - 1, 7, 3);
+        chunks.unshift(extended);
+    }
+
+    extended.data = Buffer.from(extended.data);
+    extended.data[0] = (extended.data[0] & ~0x0c) | (exif ? 0x08 : 0) | (xmp ? 0x04 : 0);
+    if (exif) chunks.push({ type: 'EXIF', data: exif });
+    if (xmp) chunks.push({ type: 'XMP ', data: xmp });
+
+    const body = Buffer.concat(chunks.map(chunk => riffChunk(chunk.type, chunk.data)));
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+const EMBEDDERS = { jpeg: embedJpeg, png: embedPng, webp: embedWebp };
+
+/**
+ * Write metadata into an encoded image
+ * @param {Buffer} buffer - JPEG, PNG or WebP file
+ * @param {string} format - Its format, as detected by output-pipeline
+ * @param {Object} metadata - { exif, xmp } from buildMetadata
+ * @returns {Buffer} The file with the metadata; unchanged if the format is not supported
+ * @throws {Error} If the file structure cannot be read
+ */
+function embedMetadata(buffer, format, { exif = null, xmp = null }) {
+    const embed = EMBEDDERS[format];
+    if (!embed || (!exif && !xmp)) return buffer;
+    return embed(buffer, exif, xmp ? Buffer.from(xmp, 'utf8') : null);
+}
+
+module.exports = {
+    METADATA_FORMATS: Object.keys(EMBEDDERS),
+    embedMetadata
+};
@@ -0,0 +1,228 @@
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { writeExif } = require('./exif-writer');
+
+/**
+ * Output metadata: selected EXIF/IPTC fields copied from the source upload,
+ * and provenance (prompt, model, provider, job ID) describing how the
+ * output was made. buildMetadata collects them as EXIF and XMP; the output
+ * pipeline writes them into the result (see metadata-embed).
+ */
+
+const SOFTWARE_NAME = 'Bulk Image AI';
+const PROVENANCE_NAMESPACE = 'urn:bulk-image-ai:provenance:1.0:';
+
+// IPTC digital source types (https://cv.iptc.org/newscodes/digitalsourcetype/)
+const SOURCE_TYPE_GENERATED = 'http://cv.iptc.org/newscodes/digitalsourcetype/trainedAlgorithmicMedia';
+const SOURCE_TYPE_EDITED = 'http://cv.iptc.org/newscodes/digitalsourcetype/compositeWithTrainedAlgorithmicMedia';
+
+// Tags copied with "Keep camera details", by exif-reader section
+const CAMERA_TAGS = {
+    Image: ['Make', 'Model'],
+    Photo: ['ExposureTime', 'FNumber', 'ISOSpeedRatings', 'DateTimeOriginal', 'FocalLength', 'LensMake', 'LensModel']
+};
+
+// IPTC-IIM application record datasets
+const IPTC_BYLINE = 80;
+const IPTC_COPYRIGHT = 116;
+
+const METADATA_FLAGS = {
+    copyright: { label: 'Keep copyright', default: false },
+    camera: { label: 'Keep camera details', default: false },
+    gps: { label: 'Keep GPS location', default: false },
+    provenance: { label: 'Embed provenance', default: true }
+};
+
+/**
+ * Validate the metadata settings of a job
+ * @param {Object} raw - { copyright, camera, gps, provenance } as sent by the client ("true"/"false")
+ * @returns {{options?: Object, error?: string}} Normalized options, or an error message
+ */
+function normalizeMetadataOptions(raw = {}) {
+    const options = {};
+
+    for (const [name, flag] of Object.entries(METADATA_FLAGS)) {
+        const value = raw[name];
+        if (value === undefined || value === null || value === '') {
+            options[name] = flag.default;
+        } else if (value === true || value === 'true' || value === '1' || value === 'on') {
+            options[name] = true;
+        } else if (value === false || value === 'false' || value === '0' || value === 'off') {
+            options[name] = false;
+        } else {
+            return { error: `${flag.label} must be true or false` };
+        }
+    }
+
+    return { options };
+}
+
+/**
+ * Read the by-line and copyright notice from IPTC-IIM data (plain or
+ * wrapped in Photoshop image resources)
+ * @param {Buffer} iptc - IPTC data
+ * @returns {{creator?: string, copyright?: string}}
+ */
+function parseIptc(iptc) {
+    const fields = {};
+
+    for (let offset = 0; offset + 5 <= iptc.length; offset++) {
+        // Dataset tag marker followed by record 2 (application record)
+        if (iptc[offset] !== 0x1c || iptc[offset + 1] !== 0x02) continue;
+
+        const dataset = iptc[offset + 2];
+        const length = iptc.readUInt16BE(offset + 3);
+        // Extended lengths (high bit set) are only used for binary data
+        if (length & 0x8000 || offset + 5 + length > iptc.length) continue;
+
+        const value = iptc.toString('utf8', offset + 5, offset + 5 + length).trim();
+        if (dataset === IPTC_BYLINE && value && !fields.creator) fields.creator = value;
+        if (dataset === IPTC_COPYRIGHT && value && !fields.copyright) fields.copyright = value;
+        offset += 4 + length;
+    }
+
+    return fields;
+}
+
+function readText(value) {
+    if (typeof value !== 'string') return null;
+    return value.replace(/\0+$/, '').trim() || null;
+}
+
+/**
+ * Collect the fields selected in the options from the source image
+ * @param {Buffer} source - Source upload
+ * @param {Object} options - From normalizeMetadataOptions
+ * @returns {Promise<{exif: Object, copyright?: string, creator?: string}>} exif in exif-reader's layout
+ *   ({ Image, Photo, GPSInfo }), see exif-writer
+ */
+async function readSourceFields(source, options) {
+    const fields = { exif: {} };
+    if (!options.copyright && !options.camera && !options.gps) return fields;
+
+    let metadata;
+    let tags = {};
+    try {
+        metadata = await sharp(source).metadata();
+        if (metadata.exif) tags = exifReader(metadata.exif);
+    } catch (error) {
+        // Unreadable source or corrupt EXIF: nothing to copy from it
+        if (!metadata) return fields;
+    }
+
+    const copy = (section, name, value) => {
+        const copied = typeof value === 'string' ? readText(value) : value;
+        if (copied === null) return;
+        fields.exif[section] = { ...fields.exif[section], [name]: copied };
+    };
+
+    if (options.copyright) {
+        const iptc = metadata.iptc ? parseIptc(metadata.iptc) : {};
+        const image = tags.Image || {};
+        fields.copyright = readText(image.Copyright) || iptc.copyright;
+        fields.creator = readText(image.Artist) || iptc.creator;
+
+        // Notices only found in IPTC are carried over into EXIF as well
+        if (fields.copyright) copy('Image', 'Copyright', fields.copyright);
+        if (fields.creator) copy('Image', 'Artist', fields.creator);
+    }
+    if (options.camera) {
+        for (const [section, names] of Object.entries(CAMERA_TAGS)) {
+            for (const name of names) {
+                if (tags[section] && tags[section][name] !== undefined) copy(section, name, tags[section][name]);
+            }
+        }
+    }
+    if (options.gps) {
+        for (const [name, value] of Object.entries(tags.GPSInfo || {})) {
+            copy('GPSInfo', name, value);
+        }
+    }
+
+    return fields;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an XMP packet with provenance and copied rights
+ * @param {Object|null} provenance - { prompt, model, provider, jobId, edited }
+ * @param {Object} fields - { copyright, creator } from readSourceFields
+ * @returns {string|null} Null if there is nothing to write
+ */
+function buildXmp(provenance, fields) {
+    const properties = [];
+
+    if (provenance) {
+        properties.push(`<xmp:CreatorTool>${escapeXml(SOFTWARE_NAME)}</xmp:CreatorTool>`);
+        properties.push(`<Iptc4xmpExt:DigitalSourceType>${provenance.edited ? SOURCE_TYPE_EDITED : SOURCE_TYPE_GENERATED}</Iptc4xmpExt:DigitalSourceType>`);
+        for (const [name, value] of [
+            ['Prompt', provenance.prompt],
+            ['Model', provenance.model],
+            ['Provider', provenance.provider],
+            ['JobId', provenance.jobId]
+        ]) {
+            if (value) properties.push(`<bia:${name}>${escapeXml(value)}</bia:${name}>`);
+        }
+    }
+    if (fields.creator) {
+        properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(fields.creator)}</rdf:li></rdf:Seq></dc:creator>`);
+    }
+    if (fields.copyright) {
+        properties.push(`<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(fields.copyright)}</rdf:li></rdf:Alt></dc:rights>`);
+    }
+
+    if (properties.length === 0) return null;
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        ' xmlns:Iptc4xmpExt="http://iptc.org/std/Iptc4xmpExt/2008-02-29/"',
+        ` xmlns:bia="${PROVENANCE_NAMESPACE}">`,
+        ...properties,
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+/**
+ * Collect the metadata to write into an output
+ * @param {Object} context
+ * @param {Object|null} context.options - From normalizeMetadataOptions
+ * @param {Buffer|null} context.source - Source upload, null for text-to-image
+ * @param {Object} context.provenance - { prompt, model, provider, jobId }
+ * @returns {Promise<{exif: Buffer|null, xmp: string|null}|null>} For processOutput (exif from exif-writer),
+ *   null if there is nothing to write
+ */
+async function buildMetadata({ options, source = null, provenance = {} }) {
+    if (!options) return null;
+
+    const fields = source ? await readSourceFields(source, options) : { exif: {} };
+    const embedded = options.provenance ? { ...provenance, edited: Boolean(source) } : null;
+    if (embedded) {
+        fields.exif.Image = { ...fields.exif.Image, Software: SOFTWARE_NAME };
+    }
+
+    const exif = writeExif(fields.exif);
+    const xmp = buildXmp(embedded, fields);
+    if (!exif && !xmp) return null;
+    return { exif, xmp };
+}
+
+module.exports = {
+    normalizeMetadataOptions,
+    buildMetadata,
+    parseIptc
+};
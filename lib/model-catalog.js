@@ -0,0 +1,95 @@
+/**
+ * Catalog entries describe one model of a provider, as served by GET /api/models:
+ *
+ *   {
+ *     id, provider, name, description,
+ *     capabilities: {
+ *       edit, generate,        // image-to-image / text-to-image
+ *       maxInputImages,        // source images one request accepts (0 if it cannot edit)
+ *       aspectRatios,          // allowed aspectRatio values, [] if the model has no such setting
+ *       imageSizes,            // allowed imageSize values (Gemini "1K", "2K", ...), []: no such setting
+ *       sizes,                 // allowed pixel sizes ("1024x1024"), []: no such setting
+ *       qualities              // allowed quality values, []: no such setting
+ *     },
+ *     pricing: { perImage, bySize, min, max, inputPerMillion, outputPerMillion } or null if unknown
+ *   }
+ *
+ * Processor classes build them (BaseProcessor.getModelCatalog); this module
+ * checks requested settings against them, for uploads and for every request.
+ */
+
+/**
+ * Catalog entry with the capabilities a model does not set filled in
+ * @param {Object} entry - Partial entry
+ * @returns {Object}
+ */
+function createModelEntry(entry) {
+    const capabilities = entry.capabilities || {};
+    return {
+        id: entry.id,
+        provider: entry.provider,
+        name: entry.name || entry.id,
+        description: entry.description || '',
+        capabilities: {
+            edit: Boolean(capabilities.edit),
+            generate: Boolean(capabilities.generate),
+            maxInputImages: capabilities.maxInputImages !== undefined ? capabilities.maxInputImages : (capabilities.edit ? 1 : 0),
+            aspectRatios: capabilities.aspectRatios || [],
+            imageSizes: capabilities.imageSizes || [],
+            sizes: capabilities.sizes || [],
+            qualities: capabilities.qualities || []
+        },
+        pricing: entry.pricing || null
+    };
+}
+
+// A setting outside the model's allowed values; "auto" lets the provider choose and is always allowed
+function checkAllowed(label, value, allowed, model) {
+    if (!value || value === 'auto' || allowed.length === 0 || allowed.includes(value)) return null;
+    return `${label} ${value} is not supported by ${model.name}, use one of: ${allowed.join(', ')}`;
+}
+
+/**
+ * Check the settings of a request against the model's catalog entry
+ * @param {Object} model - Catalog entry
+ * @param {Object} settings - { mode, aspectRatio, imageSize, size, quality }, missing values are not checked
+ * @returns {string|null} Error message, or null if the model supports the settings
+ */
+function checkModelSettings(model, settings) {
+    const { capabilities } = model;
+
+    if (settings.mode === 'image-to-image' && (!capabilities.edit || capabilities.maxInputImages < 1)) {
+        return `${model.name} cannot edit images, use text-to-image mode`;
+    }
+    if (settings.mode === 'text-to-image' && !capabilities.generate) {
+        return `${model.name} cannot generate images from text, use image-to-image mode`;
+    }
+
+    return checkAllowed('Aspect ratio', settings.aspectRatio, capabilities.aspectRatios, model)
+        || checkAllowed('Image size', settings.imageSize, capabilities.imageSizes, model)
+        || checkAllowed('Size', settings.size, capabilities.sizes, model)
+        || checkAllowed('Quality', settings.quality, capabilities.qualities, model);
+}
+
+/**
+ * Check job or image settings against a provider's catalog
+ * @param {Object} catalog - { models, complete } from ProviderRegistry.getModelCatalog
+ * @param {Object} settings - { model, mode, aspectRatio, imageSize, size, quality }
+ * @returns {string|null} Error message, or null if valid. Incomplete catalogs
+ *   (a model list that could not be fetched) are not checked, they must not block jobs.
+ */
+function validateModelSettings(catalog, settings) {
+    if (!catalog.complete) return null;
+
+    const model = catalog.models.find(entry => entry.id === settings.model);
+    if (!model) {
+        return `Unknown model ${settings.model}, see GET /api/models for the available models`;
+    }
+    return checkModelSettings(model, settings);
+}
+
+module.exports = {
+    createModelEntry,
+    checkModelSettings,
+    validateModelSettings
+};
@@ -0,0 +1,161 @@
+const sharp = require('sharp');
+const { METADATA_FORMATS, embedMetadata } = require('./metadata-embed');
+
+// Output formats a job can convert to, and the extension saved for each detected format
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'avif'];
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', avif: 'avif' };
+
+const RESIZE_MODES = ['none', 'exact', 'max'];
+const MAX_DIMENSION = 8192;
+const DEFAULT_QUALITY = 85;
+
+/**
+ * Detect an image format from its magic bytes
+ * @param {Buffer} buffer - Image contents
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'gif', 'avif' or null if unknown
+ */
+function detectFormat(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+
+    // ISO-BMFF "ftyp" box with an AVIF brand (image or sequence)
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (brand === 'avif' || brand === 'avis') return 'avif';
+    }
+
+    return null;
+}
+
+function parseDimension(value, label) {
+    if (value === undefined || value === null || value === '') return { value: null };
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+        return { error: `${label} must be a whole number between 1 and ${MAX_DIMENSION}` };
+    }
+    return { value: number };
+}
+
+/**
+ * Validate the output settings of a job
+ * @param {Object} raw - { format, quality, resizeMode, width, height, maxEdge } as sent by the client
+ * @returns {{options?: Object, error?: string}} Normalized options, or an error message
+ */
+function normalizeOutputOptions(raw = {}) {
+    const format = raw.format || 'original';
+    if (format !== 'original' && !OUTPUT_FORMATS.includes(format)) {
+        return { error: `Output format must be one of: original, ${OUTPUT_FORMATS.join(', ')}` };
+    }
+
+    let quality = DEFAULT_QUALITY;
+    if (raw.quality !== undefined && raw.quality !== null && raw.quality !== '') {
+        quality = Number(raw.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            return { error: 'Output quality must be a whole number between 1 and 100' };
+        }
+    }
+
+    const resizeMode = raw.resizeMode || 'none';
+    if (!RESIZE_MODES.includes(resizeMode)) {
+        return { error: `Resize mode must be one of: ${RESIZE_MODES.join(', ')}` };
+    }
+
+    const options = { format, quality, resize: null };
+
+    if (resizeMode === 'exact') {
+        const width = parseDimension(raw.width, 'Width');
+        const height = parseDimension(raw.height, 'Height');
+        if (width.error || height.error) return { error: width.error || height.error };
+        if (!width.value || !height.value) {
+            return { error: 'Width and height are required to resize to exact dimensions' };
+        }
+        options.resize = { mode: 'exact', width: width.value, height: height.value };
+    } else if (resizeMode === 'max') {
+        const maxEdge = parseDimension(raw.maxEdge, 'Max edge');
+        if (maxEdge.error) return { error: maxEdge.error };
+        if (!maxEdge.value) {
+            return { error: 'Max edge is required to resize to a max edge' };
+        }
+        options.resize = { mode: 'max', maxEdge: maxEdge.value };
+    }
+
+    return { options };
+}
+
+// A result whose metadata cannot be written is still kept, without it
+function writeMetadata(buffer, format, metadata) {
+    try {
+        return embedMetadata(buffer, format, metadata);
+    } catch (error) {
+        console.warn(`Could not write metadata into the ${format} result:`, error.message);
+        return buffer;
+    }
+}
+
+/**
+ * Post-process a provider result: convert to the requested format, resize
+ * and write metadata. Only conversion and resizing re-encode the image,
+ * metadata is written into the file as it is.
+ * @param {Buffer} buffer - Image returned by the provider
+ * @param {Object|null} options - From normalizeOutputOptions, null to keep the result as is
+ * @param {Object|null} metadata - { exif, xmp } from buildMetadata, null to write none
+ * @returns {Promise<{data: Buffer, format: string|null}>} Format null if it could not be detected
+ */
+async function processOutput(buffer, options = null, metadata = null) {
+    const detected = detectFormat(buffer);
+    const convert = options && options.format !== 'original' && options.format !== detected;
+    const resize = options && options.resize;
+    const format = convert ? options.format : detected;
+    const embed = metadata && METADATA_FORMATS.includes(format);
+
+    if (!convert && !resize) {
+        return { data: embed ? writeMetadata(buffer, format, metadata) : buffer, format: detected };
+    }
+
+    if (!detected) {
+        throw new Error('Provider returned data that is not a supported image');
+    }
+
+    let pipeline = sharp(buffer);
+
+    if (resize && resize.mode === 'exact') {
+        // Fill the exact box, cropping whatever does not fit the aspect ratio
+        pipeline = pipeline.resize(resize.width, resize.height, { fit: 'cover', position: 'centre' });
+    } else if (resize && resize.mode === 'max') {
+        pipeline = pipeline.resize(resize.maxEdge, resize.maxEdge, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    const quality = options ? options.quality : DEFAULT_QUALITY;
+    switch (format) {
+        case 'jpeg':
+            pipeline = pipeline.jpeg({ quality, mozjpeg: true });
+            break;
+        case 'png':
+            pipeline = pipeline.png({ compressionLevel: 9 });
+            break;
+        case 'webp':
+            pipeline = pipeline.webp({ quality });
+            break;
+        case 'avif':
+            pipeline = pipeline.avif({ quality });
+            break;
+        default:
+            pipeline = pipeline.toFormat(format);
+    }
+
+    const data = await pipeline.toBuffer();
+    return { data: embed ? writeMetadata(data, format, metadata) : data, format };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    FORMAT_EXTENSIONS,
+    detectFormat,
+    normalizeOutputOptions,
+    processOutput
+};
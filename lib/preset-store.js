@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+// Settings a preset can bundle besides its name
+const PRESET_FIELDS = ['prompt', 'provider', 'model', 'aspectRatio', 'imageSize', 'safetyThreshold', 'size', 'quality'];
+
+/**
+ * Check a preset sent by a client
+ * @param {Object} data - Preset fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePreset(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'Preset must be an object';
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        return 'Preset name is required';
+    }
+    if (data.name.trim().length > 100) {
+        return 'Preset name must be at most 100 characters';
+    }
+    for (const field of PRESET_FIELDS) {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            return `Preset ${field} must be a string`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Named presets (prompt + provider + model + aspect ratio + size + quality)
+ * kept in a JSON file. Every change is written immediately.
+ */
+class PresetStore {
+    /**
+     * @param {string} filePath - Path of the JSON file holding all presets
+     */
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, 'preset store');
+        this.presets = null; // id -> preset, loaded on first use
+        this.loading = null;
+    }
+
+    // Read the file once, concurrent callers share the same read
+    load() {
+        if (!this.loading) {
+            this.loading = this.file.read().then(data => {
+                this.presets = new Map();
+                for (const preset of Array.isArray(data.presets) ? data.presets : []) {
+                    if (preset && preset.id && !validatePreset(preset)) {
+                        this.presets.set(preset.id, preset);
+                    }
+                }
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * @returns {Promise<Array>} All presets, sorted by name
+     */
+    async list() {
+        await this.load();
+        return Array.from(this.presets.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * @param {string} id - Preset identifier
+     * @returns {Promise<Object|null>}
+     */
+    async get(id) {
+        await this.load();
+        return this.presets.get(id) || null;
+    }
+
+    /**
+     * @param {string} name - Preset name (case-insensitive)
+     * @returns {Promise<Object|null>}
+     */
+    async findByName(name) {
+        await this.load();
+        const wanted = name.trim().toLowerCase();
+        return Array.from(this.presets.values()).find(preset => preset.name.toLowerCase() === wanted) || null;
+    }
+
+    /**
+     * Create a preset from validated data (see validatePreset)
+     * @param {Object} data - Preset fields
+     * @returns {Promise<Object>} The stored preset
+     */
+    async create(data) {
+        await this.load();
+        const now = new Date().toISOString();
+        const preset = {
+            id: crypto.randomUUID(),
+            ...this.pick(data),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.presets.set(preset.id, preset);
+        await this.write();
+        return preset;
+    }
+
+    /**
+     * Replace the settings of a preset with validated data
+     * @param {string} id - Preset identifier
+     * @param {Object} data - Preset fields
+     * @returns {Promise<Object|null>} The updated preset, or null if not found
+     */
+    async update(id, data) {
+        await this.load();
+        const existing = this.presets.get(id);
+        if (!existing) return null;
+
+        const preset = {
+            id,
+            ...this.pick(data),
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.presets.set(id, preset);
+        await this.write();
+        return preset;
+    }
+
+    /**
+     * @param {string} id - Preset identifier
+     * @returns {Promise<boolean>} False if the preset did not exist
+     */
+    async remove(id) {
+        await this.load();
+        if (!this.presets.delete(id)) return false;
+
+        await this.write();
+        return true;
+    }
+
+    /**
+     * Import validated presets. Presets whose name already exists replace
+     * the stored one, the others are added.
+     * @param {Array<Object>} presets - Exported presets
+     * @returns {Promise<{created: number, updated: number}>}
+     */
+    async import(presets) {
+        await this.load();
+        let created = 0;
+        let updated = 0;
+
+        for (const data of presets) {
+            const existing = await this.findByName(data.name);
+            const now = new Date().toISOString();
+            if (existing) {
+                this.presets.set(existing.id, {
+                    id: existing.id,
+                    ...this.pick(data),
+                    createdAt: existing.createdAt,
+                    updatedAt: now
+                });
+                updated++;
+            } else {
+                const id = crypto.randomUUID();
+                this.presets.set(id, { id, ...this.pick(data), createdAt: now, updatedAt: now });
+                created++;
+            }
+        }
+
+        await this.write();
+        return { created, updated };
+    }
+
+    // Stored fields of a preset, without ids or timestamps sent by the client
+    pick(data) {
+        const preset = { name: data.name.trim() };
+        for (const field of PRESET_FIELDS) {
+            if (data[field]) preset[field] = data[field];
+        }
+        return preset;
+    }
+
+    write() {
+        return this.file.write({ presets: Array.from(this.presets.values()) });
+    }
+}
+
+module.exports = PresetStore;
+module.exports.validatePreset = validatePreset;
@@ -0,0 +1,114 @@
+// Gemini list prices in USD per million tokens. imageTokens is what one
+// generated image is billed as (per image size where it differs), used to
+// estimate a request before it is sent. Override or extend with GEMINI_PRICING.
+const DEFAULT_GEMINI_PRICING = {
+    'gemini-2.5-flash-image': {
+        inputPerMillion: 0.30,
+        outputPerMillion: 30,
+        imageTokens: 1290
+    },
+    'gemini-3-pro-image-preview': {
+        inputPerMillion: 2,
+        outputPerMillion: 120,
+        imageTokens: { '1K': 1120, '2K': 1120, '4K': 2000 }
+    }
+};
+
+/**
+ * Price of a Gemini model
+ * @param {string} model - Model identifier
+ * @param {Object} env - Environment variables; GEMINI_PRICING is a JSON object of
+ *   model -> { inputPerMillion, outputPerMillion, imageTokens } merged over the defaults
+ * @returns {Object|null} Pricing, or null if the model has no known price
+ */
+function getGeminiPricing(model, env = process.env) {
+    let overrides = {};
+    if (env.GEMINI_PRICING) {
+        try {
+            overrides = JSON.parse(env.GEMINI_PRICING) || {};
+        } catch (error) {
+            console.error('Ignoring GEMINI_PRICING, it is not valid JSON:', error.message);
+        }
+    }
+
+    if (!DEFAULT_GEMINI_PRICING[model] && !overrides[model]) return null;
+    return { ...DEFAULT_GEMINI_PRICING[model], ...overrides[model] };
+}
+
+/**
+ * Cost of a request billed by tokens
+ * @param {Object} pricing - { inputPerMillion, outputPerMillion }
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Generated tokens, images and thinking included
+ * @returns {number} Cost in USD
+ */
+function tokenCost(pricing, inputTokens, outputTokens) {
+    return ((inputTokens || 0) * (pricing.inputPerMillion || 0)
+        + (outputTokens || 0) * (pricing.outputPerMillion || 0)) / 1e6;
+}
+
+/**
+ * Cost of one generated image of a token-billed model, prompt tokens not counted
+ * @param {Object|null} pricing - From getGeminiPricing
+ * @param {string|null} imageSize - Image size, for models billing sizes differently (the largest if unknown)
+ * @returns {number|null} Cost in USD, or null without a price
+ */
+function imageCost(pricing, imageSize = null) {
+    if (!pricing || !pricing.imageTokens) return null;
+
+    const { imageTokens } = pricing;
+    const tokens = typeof imageTokens === 'number'
+        ? imageTokens
+        : imageTokens[imageSize] || Math.max(...Object.values(imageTokens));
+    return tokenCost(pricing, 0, tokens);
+}
+
+/**
+ * Add the usage of a request (or of other totals) to usage totals. A request
+ * usage is { cost, inputTokens, outputTokens } with cost null when the
+ * provider reported none; totals also count requests and unpriced requests.
+ * @param {Object|null} totals - Totals so far, null for none
+ * @param {Object|null} usage - Request usage or totals to add
+ * @returns {Object|null} { cost, inputTokens, outputTokens, requests, unpricedRequests }
+ */
+function addUsage(totals, usage) {
+    if (!usage) return totals;
+
+    const base = totals || { cost: 0, inputTokens: 0, outputTokens: 0, requests: 0, unpricedRequests: 0 };
+    const requests = usage.requests !== undefined ? usage.requests : 1;
+    const unpriced = usage.unpricedRequests !== undefined
+        ? usage.unpricedRequests
+        : (typeof usage.cost === 'number' ? 0 : 1);
+
+    return {
+        cost: base.cost + (usage.cost || 0),
+        inputTokens: base.inputTokens + (usage.inputTokens || 0),
+        outputTokens: base.outputTokens + (usage.outputTokens || 0),
+        requests: base.requests + requests,
+        unpricedRequests: base.unpricedRequests + unpriced
+    };
+}
+
+/**
+ * Validate a spending cap
+ * @param {string|number|undefined} value - Budget in USD, empty for none
+ * @returns {{budget?: number|null, error?: string}}
+ */
+function normalizeBudget(value) {
+    if (value === undefined || value === null || value === '') return { budget: null };
+
+    const budget = Number(value);
+    if (!Number.isFinite(budget) || budget <= 0) {
+        return { error: 'Budget must be a positive amount in USD' };
+    }
+    return { budget };
+}
+
+module.exports = {
+    DEFAULT_GEMINI_PRICING,
+    getGeminiPricing,
+    tokenCost,
+    imageCost,
+    addUsage,
+    normalizeBudget
+};
@@ -0,0 +1,142 @@
+/**
+ * Prompt templates: {name} placeholders expanded per image, with values
+ * from the image itself ({filename}, {index}, {width}, {height}) and from
+ * an optional CSV uploaded with the job
+ */
+
+/**
+ * Replace {name} placeholders with their values. Unknown placeholders are
+ * left as they are so literal braces in prompts survive.
+ * @param {string} template - Prompt with placeholders
+ * @param {Object} variables - name -> value
+ * @returns {string}
+ */
+function expandPrompt(template, variables = {}) {
+    if (!template) return template;
+
+    return template.replace(/\{([\w.-]+)\}/g, (placeholder, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? placeholder : String(value);
+    });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF) into rows
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>}
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV contents
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, i) => {
+            if (column) record[column] = (cells[i] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Format records as CSV with a header row, quoting fields where needed
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string}
+ */
+function formatCsv(records, columns) {
+    const quote = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+        .map(cells => cells.map(quote).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Index CSV records by their filename column for per-image variables
+ * @param {Array<Object>} records - Records from parseCsv
+ * @returns {Map<string, Object>} Lower-cased filename -> record
+ * @throws {Error} If the CSV has no filename column
+ */
+function indexByFilename(records) {
+    const lookup = new Map();
+    if (records.length === 0) return lookup;
+
+    const column = Object.keys(records[0]).find(name => name.toLowerCase() === 'filename');
+    if (!column) {
+        throw new Error('A "filename" column is required');
+    }
+
+    for (const record of records) {
+        if (record[column]) {
+            lookup.set(record[column].toLowerCase(), record);
+        }
+    }
+    return lookup;
+}
+
+module.exports = {
+    expandPrompt,
+    parseCsv,
+    formatCsv,
+    indexByFilename
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map(); // provider id -> processor class
+    }
+
+    /**
+     * Create a registry with every enabled *-processor.js module found in a directory
+     * @param {string} dir - Directory containing provider modules
+     * @returns {ProviderRegistry}
+     */
+    static fromDirectory(dir) {
+        const registry = new ProviderRegistry();
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('-processor.js') && file !== 'base-processor.js')
+            .sort()
+            .map(file => require(path.resolve(dir, file)))
+            .filter(ProcessorClass => !ProcessorClass.isEnabled || ProcessorClass.isEnabled())
+            .forEach(ProcessorClass => registry.register(ProcessorClass));
+
+        return registry;
+    }
+
+    /**
+     * Register a processor class
+     * @param {Function} ProcessorClass - Subclass of BaseProcessor with a static id
+     */
+    register(ProcessorClass) {
+        if (!ProcessorClass || !ProcessorClass.id) {
+            throw new Error('Provider modules must export a processor class with a static id');
+        }
+        this.providers.set(ProcessorClass.id, ProcessorClass);
+    }
+
+    /**
+     * @param {string} id - Provider identifier
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * @param {string} id - Provider identifier
+     * @returns {Function|null} Processor class
+     */
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Create a processor instance for a provider
+     * @param {string} id - Provider identifier
+     * @param {Object} options - Processor options
+     * @returns {BaseProcessor}
+     */
+    create(id, options) {
+        const ProcessorClass = this.get(id);
+        if (!ProcessorClass) {
+            throw new Error(`Unknown provider: ${id}`);
+        }
+        return new ProcessorClass(options);
+    }
+
+    /**
+     * Model catalog of a provider
+     * @param {string} id - Provider identifier
+     * @returns {Promise<{models: Array<Object>, complete: boolean}>} See BaseProcessor.getModelCatalog
+     */
+    async getModelCatalog(id) {
+        const ProcessorClass = this.get(id);
+        if (!ProcessorClass) {
+            throw new Error(`Unknown provider: ${id}`);
+        }
+        return ProcessorClass.getModelCatalog();
+    }
+
+    /**
+     * Describe all registered providers
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.providers.values()).map(ProcessorClass => ProcessorClass.describe());
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,511 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { processOutput, FORMAT_EXTENSIONS } = require('../output-pipeline');
+const { buildMetadata } = require('../metadata');
+const { RetryPolicy, parseRetryAfter } = require('../retry-policy');
+const { ERROR_CODES, getErrorCode, isFileError, describeFileError } = require('../error-codes');
+const { addUsage } = require('../pricing');
+const { createModelEntry, checkModelSettings } = require('../model-catalog');
+const LocalOutputStorage = require('../local-output-storage');
+
+const DEFAULT_PROMPT = 'Enhance this image: improve quality, adjust colors and lighting, sharpen details, and make it look professional and polished.';
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif'
+};
+
+/**
+ * Storage used when a processor is created without one: OUTPUT_DIR, or
+ * outputs/ in the working directory (the temp dir on Vercel)
+ * @returns {LocalOutputStorage}
+ */
+function createDefaultStorage() {
+  const isVercel = process.env.VERCEL === '1';
+  return new LocalOutputStorage(process.env.OUTPUT_DIR || path.join(isVercel ? os.tmpdir() : process.cwd(), 'outputs'));
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the wrapped request cannot be
+ * aborted itself (e.g. older @google/genai versions ignore config.abortSignal)
+ * @param {Promise} promise - Request promise
+ * @param {AbortSignal|null} signal - Abort signal
+ * @returns {Promise}
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(new Error('Request cancelled'));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error('Request cancelled'));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Base class for image providers. Subclasses describe themselves through the
+ * static fields below and implement requestEdit() / requestGeneration();
+ * reading inputs, saving outputs, error handling and retries live here.
+ * Any *-processor.js module in lib/providers is picked up by ProviderRegistry.
+ */
+class BaseProcessor {
+  /** Provider identifier used in requests and job settings */
+  static id = null;
+  static displayName = null;
+  static description = '';
+  /** Request body field carrying the API key for this provider */
+  static apiKeyField = 'apiKey';
+  /** Environment variable used when a job has no client key (e.g. resumed after restart) */
+  static envApiKey = null;
+  static defaultModel = null;
+  /** What the provider supports: { edit, generate, models, sizes, aspectRatios, qualities } */
+  static capabilities = {};
+  /** Whether requests report what they cost; budgets only apply to providers that do */
+  static reportsCost = true;
+
+  /**
+   * Models of the provider, as served by GET /api/models. By default every
+   * model in capabilities.models gets the provider's capabilities.
+   * @returns {Promise<{models: Array<Object>, complete: boolean}>} Catalog entries (see model-catalog);
+   *   complete is false if models may be missing, e.g. a remote list that could not be fetched
+   */
+  static async getModelCatalog() {
+    const models = this.capabilities.models || [];
+    return { models: models.map(id => this.describeModel(id)), complete: models.length > 0 };
+  }
+
+  /**
+   * Catalog entry of a model
+   * @param {string} id - Model identifier
+   * @returns {Object}
+   */
+  static describeModel(id) {
+    const { edit, generate, aspectRatios, sizes, qualities } = this.capabilities;
+    return createModelEntry({
+      id,
+      provider: this.id,
+      capabilities: { edit, generate, aspectRatios, sizes, qualities }
+    });
+  }
+
+  /**
+   * Catalog entry of a model known without a network request
+   * @param {string} id - Model identifier
+   * @returns {Object|null} Null if the model is unknown, its requests are then not validated
+   */
+  static findModel(id) {
+    return (this.capabilities.models || []).includes(id) ? this.describeModel(id) : null;
+  }
+
+  /**
+   * Public description of the provider, as served by GET /api/providers
+   * @returns {Object}
+   */
+  static describe() {
+    return {
+      id: this.id,
+      name: this.displayName,
+      description: this.description,
+      apiKeyField: this.apiKeyField,
+      requiresApiKey: this.requiresApiKey(),
+      defaultModel: this.defaultModel,
+      reportsCost: this.reportsCost,
+      capabilities: this.capabilities
+    };
+  }
+
+  /**
+   * @returns {boolean} Whether the provider is offered at all (checked once at startup)
+   */
+  static isEnabled() {
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether jobs for this provider need an API key
+   */
+  static requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * Validate an API key before a job is created
+   * @param {string} apiKey - API key from the request
+   * @returns {string|null} Error message, or null if the key looks valid
+   */
+  static validateApiKey(apiKey) {
+    if (this.requiresApiKey() && !apiKey) {
+      return `${this.displayName} API key is required`;
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} options - Processor options
+   * @param {string} options.apiKey - Provider API key
+   * @param {string} options.prompt - Instructions sent with every image
+   * @param {string} options.model - Model identifier
+   * @param {Object} options.output - Conversion and resizing of results (see output-pipeline), or null
+   * @param {Object} options.metadata - Copied source fields and provenance (see metadata), or null
+   * @param {string} options.jobId - Job the results belong to, recorded as provenance
+   * @param {Object} options.storage - Output storage (LocalOutputStorage or S3OutputStorage)
+   * @param {RetryPolicy} options.retryPolicy - When failed requests are retried
+   * @param {Object} options.modelInfo - Catalog entry of the model, defaults to findModel()
+   */
+  constructor(options = {}) {
+    if (this.constructor.requiresApiKey() && !options.apiKey) {
+      throw new Error(`${this.constructor.displayName} API key is required`);
+    }
+
+    this.apiKey = options.apiKey;
+    this.model = options.model || this.constructor.defaultModel;
+    this.enhancementPrompt = options.prompt || DEFAULT_PROMPT;
+    this.output = options.output || null;
+    this.metadata = options.metadata || null;
+    this.jobId = options.jobId || null;
+    this.storage = options.storage || createDefaultStorage();
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.modelInfo = options.modelInfo !== undefined ? options.modelInfo : this.constructor.findModel(this.model);
+  }
+
+  /**
+   * Reject a request the model does not support before it is sent
+   * @param {string} mode - "image-to-image" or "text-to-image"
+   * @throws {Error} With error code INVALID_INPUT, never retried
+   */
+  validateRequest(mode) {
+    if (!this.modelInfo) return;
+
+    const message = checkModelSettings(this.modelInfo, {
+      mode,
+      aspectRatio: this.aspectRatio,
+      imageSize: this.imageSize,
+      size: this.size,
+      quality: this.quality
+    });
+    if (message) {
+      const error = new Error(message);
+      error.errorCode = ERROR_CODES.INVALID_INPUT;
+      error.fatal = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Send an image edit request
+   * @param {Object} input - { buffer, base64, mimeType, imagePath, prompt }
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<{data: Buffer, analysis?: string, safety?: Object, usage?: Object}>} safety: the provider's
+   *   safety feedback, kept on the image; usage: { cost, inputTokens, outputTokens } billed for the request,
+   *   cost null if unknown. Errors of requests that were billed anyway carry error.usage.
+   */
+  async requestEdit(input, signal) {
+    throw new Error(`${this.constructor.displayName} does not support image editing`);
+  }
+
+  /**
+   * Send a text-to-image request
+   * @param {string} prompt - The text description
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<{data: Buffer, analysis?: string, safety?: Object, usage?: Object}>}
+   */
+  async requestGeneration(prompt, signal) {
+    throw new Error(`${this.constructor.displayName} does not support image generation`);
+  }
+
+  /**
+   * Expected cost of one request before it is sent, checked against budgets
+   * @returns {number|null} Cost in USD, or null if the provider has no known price
+   */
+  estimateCost() {
+    return null;
+  }
+
+  /**
+   * Turn a request error into a user-facing message
+   * @param {Error} error - Error thrown by the request
+   * @returns {string}
+   */
+  formatError(error) {
+    return error.message;
+  }
+
+  /**
+   * Details of a failed request the retry policy decides on. Works for
+   * axios-style errors; providers whose SDKs report errors differently
+   * override it.
+   * @param {Error} error - Error thrown by the request
+   * @returns {{status: number|null, code: string|null, retryAfterMs: number|null, blocked: boolean,
+   *   fatal: boolean, retryable: boolean}} blocked: the provider reported a safety block (error.safety.blocked)
+   */
+  describeFailure(error) {
+    const response = error.response || null;
+    const headers = (response && response.headers) || {};
+    const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    // The same prompt and image would be blocked again
+    const blocked = Boolean(error.safety && error.safety.blocked);
+
+    return {
+      status: (response && response.status) || (typeof error.status === 'number' ? error.status : null),
+      code: error.code || (error.cause && error.cause.code) || null,
+      retryAfterMs: parseRetryAfter(retryAfter),
+      blocked,
+      fatal: error.fatal === true || blocked,
+      retryable: error.retryable === true
+    };
+  }
+
+  /**
+   * Failed result of a request
+   * @param {Error} error - Error thrown by the request; error.errorCode overrides the derived code
+   * @param {string} fallbackMessage - Used if the error has no message
+   * @returns {{success: false, error: string, errorCode: string, rawError: string, retryable: boolean,
+   *   retryAfterMs: number|null, safety: Object|null, usage: Object|null}}
+   */
+  failure(error, fallbackMessage) {
+    if (isFileError(error)) {
+      // The callers logged the error; its message names paths on the server
+      const message = describeFileError(error);
+      return {
+        success: false,
+        error: message,
+        errorCode: ERROR_CODES.FILE_ERROR,
+        rawError: message,
+        retryable: false,
+        retryAfterMs: null,
+        safety: null,
+        usage: error.usage || null
+      };
+    }
+
+    const details = this.describeFailure(error);
+    // The provider's own message where the API sent one, not the HTTP client's summary
+    const data = error.response && error.response.data;
+    const rawError = (data && ((data.error && data.error.message) || data.message)) || error.message || fallbackMessage;
+
+    return {
+      success: false,
+      error: this.formatError(error) || fallbackMessage,
+      errorCode: error.errorCode || getErrorCode(details, `${error.message}\n${rawError}`),
+      rawError,
+      retryable: this.retryPolicy.isRetryable(details),
+      retryAfterMs: details.retryAfterMs,
+      safety: error.safety || null,
+      usage: error.usage || null
+    };
+  }
+
+  getMimeType(imagePath) {
+    return MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg';
+  }
+
+  /**
+   * Store an output file
+   * @param {Buffer} data - File contents
+   * @param {string} filename - Storage key
+   * @returns {Promise<string>} Storage key
+   */
+  async saveOutput(data, filename) {
+    return this.storage.save(filename, data, this.getMimeType(filename));
+  }
+
+  /**
+   * Run a result through the output pipeline, write its metadata and save
+   * it under the extension of its real format, whatever the provider claimed.
+   * Outputs are kept per job and named after their content hash, so jobs
+   * and retries never overwrite each other's results.
+   * @param {Buffer} data - Image returned by the provider
+   * @param {string} basename - Output name without hash and extension, e.g. "003"
+   * @param {string} fallbackExtension - Used when the format cannot be detected
+   * @param {Object} context - { source, prompt }: source upload (null for text-to-image) and prompt used
+   * @returns {Promise<string>} Storage key of the output, e.g. "job_123_abc/003-5d41402abc.png"
+   */
+  async saveResult(data, basename, fallbackExtension, { source = null, prompt = null } = {}) {
+    const metadata = await buildMetadata({
+      options: this.metadata,
+      source,
+      provenance: { prompt, model: this.model, provider: this.constructor.id, jobId: this.jobId }
+    });
+    const { data: output, format } = await processOutput(data, this.output, metadata);
+    const extension = FORMAT_EXTENSIONS[format] || fallbackExtension;
+    const hash = crypto.createHash('sha256').update(output).digest('hex').slice(0, 10);
+    const filename = `${basename}-${hash}.${extension}`;
+    return this.saveOutput(output, this.jobId ? `${this.jobId}/${filename}` : filename);
+  }
+
+  /**
+   * Process an image using the provider's edit API
+   * @param {string} imagePath - Path to the image file
+   * @param {AbortSignal|null} signal - Aborts the request when the image is cancelled
+   * @param {string|null} prompt - Instructions for this image, defaults to the processor's prompt
+   * @param {string} outputName - Output name before the content hash, e.g. the image's position in the job
+   * @returns {Promise<{success: boolean, outputKey?: string, error?: string}>}
+   */
+  async processImage(imagePath, signal = null, prompt = null, outputName = 'enhanced') {
+    try {
+      this.validateRequest('image-to-image');
+      const buffer = await fs.readFile(imagePath);
+      const input = {
+        buffer,
+        base64: buffer.toString('base64'),
+        mimeType: this.getMimeType(imagePath),
+        imagePath,
+        prompt: prompt || this.enhancementPrompt
+      };
+
+      const { data, analysis, safety, usage } = await raceAbort(this.requestEdit(input, signal), signal);
+
+      const outputKey = await this.saveResult(
+        data,
+        outputName,
+        path.extname(imagePath).slice(1) || 'png',
+        { source: buffer, prompt: input.prompt }
+      );
+
+      return {
+        success: true,
+        outputKey: outputKey,
+        analysis: analysis || `Image edited successfully using ${this.constructor.displayName} (${this.model})`,
+        safety: safety || null,
+        usage: usage || null,
+        originalPath: imagePath
+      };
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return { success: false, cancelled: true, error: 'Cancelled' };
+      }
+      console.error(`Error processing image with ${this.constructor.displayName}:`, error);
+      return this.failure(error, 'Failed to process image');
+    }
+  }
+
+  /**
+   * Generate an image from a text prompt (Text-to-Image)
+   * @param {string} prompt - The text description
+   * @param {AbortSignal|null} signal - Aborts the request when the image is cancelled
+   * @param {string} outputName - Output name before the content hash, e.g. the image's position in the job
+   * @returns {Promise<{success: boolean, outputKey?: string, error?: string}>}
+   */
+  async generateImage(prompt, signal = null, outputName = 'generated') {
+    try {
+      this.validateRequest('text-to-image');
+      const text = prompt || this.enhancementPrompt;
+      const { data, analysis, safety, usage } = await raceAbort(this.requestGeneration(text, signal), signal);
+
+      const outputKey = await this.saveResult(data, outputName, 'png', { prompt: text });
+
+      return {
+        success: true,
+        outputKey: outputKey,
+        analysis: analysis || `Image generated successfully using ${this.constructor.displayName} (${this.model})`,
+        safety: safety || null,
+        usage: usage || null,
+        originalPath: null
+      };
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return { success: false, cancelled: true, error: 'Cancelled' };
+      }
+      console.error(`Error generating image with ${this.constructor.displayName}:`, error);
+      return this.failure(error, 'Failed to generate image');
+    }
+  }
+
+  /**
+   * Process an image or generate one, retrying failures the retry policy
+   * considers transient after its backoff delay
+   * @param {string|null} imagePath - Path to the image file, or null for text-to-image
+   * @param {number} maxRetries - Maximum retry attempts, defaults to the retry policy's
+   * @param {string|null} prompt - Prompt for this image, defaults to the processor's prompt
+   * @param {AbortSignal|null} signal - Stops retrying and aborts the request when cancelled
+   * @param {string|null} outputName - Output name before the content hash, defaults to "enhanced" / "generated"
+   * @param {Object|null} requestSlot - Request slot held by the caller (see QueueManager.createRequestSlot),
+   *   released while waiting to retry so other images can send requests
+   * @param {Object|null} budget - Budget checks of the caller: settle(usage) is awaited after every attempt
+   *   with what it billed, reserve() before every retry resolves with why the retry would overspend, or null
+   * @returns {Promise<Object>} Result with retryCount and usage (totals of all attempts, see pricing.addUsage,
+   *   null if none reported); on failure also errorClass ("retryable" or "fatal") and errorDetails
+   *   ({ code, provider, message } with the code from error-codes and the raw message), and budgetExceeded
+   *   if a retry was given up because of the budget. The error names why a retryable failure was not retried.
+   */
+  async processImageWithRetry(imagePath, maxRetries = this.retryPolicy.maxRetries, prompt = null, signal = null, outputName = null, requestSlot = null, budget = null) {
+    let result;
+    let attempt = 0;
+    // Failed attempts can be billed too
+    let usage = null;
+    let budgetExceeded = null;
+    // Why a failure that could be retried was not
+    let notRetried = null;
+
+    for (; ; attempt++) {
+      if (signal && signal.aborted) {
+        return { success: false, cancelled: true, error: 'Cancelled', retryCount: attempt, usage };
+      }
+
+      if (imagePath) {
+        result = await this.processImage(imagePath, signal, prompt, outputName || undefined);
+      } else {
+        result = await this.generateImage(prompt, signal, outputName || undefined);
+      }
+
+      usage = addUsage(usage, result.usage);
+      if (budget) await budget.settle(result.usage);
+
+      if (result.success || result.cancelled) {
+        return { ...result, retryCount: attempt, usage };
+      }
+
+      const delay = result.retryable && attempt < maxRetries
+        ? this.retryPolicy.getDelay(attempt, result.retryAfterMs)
+        : null;
+      if (delay === null) {
+        if (result.retryable && attempt < maxRetries) {
+          notRetried = `${this.constructor.displayName} asked to wait ${Math.ceil(result.retryAfterMs / 1000)}s, ` +
+            `more than the ${Math.round(this.retryPolicy.maxRetryAfterMs / 1000)}s allowed`;
+        }
+        break;
+      }
+
+      console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms: ${result.error}`);
+      if (requestSlot) requestSlot.release();
+      if (!await this.retryPolicy.wait(delay, signal)) {
+        return { success: false, cancelled: true, error: 'Cancelled', retryCount: attempt, usage };
+      }
+      if (requestSlot) await requestSlot.acquire();
+
+      // Every attempt is billed, so every retry has to fit in the budget too
+      budgetExceeded = budget ? await budget.reserve() : null;
+      if (budgetExceeded) {
+        notRetried = budgetExceeded;
+        break;
+      }
+    }
+
+    const error = result.error || 'Failed after multiple retries';
+    return {
+      success: false,
+      error: notRetried ? `${error} (not retried: ${notRetried})` : error,
+      retryCount: attempt,
+      errorClass: result.retryable ? 'retryable' : 'fatal',
+      safety: result.safety,
+      usage,
+      budgetExceeded,
+      errorDetails: {
+        code: result.errorCode,
+        provider: this.constructor.id,
+        message: result.rawError
+      }
+    };
+  }
+}
+
+module.exports = BaseProcessor;
@@ -0,0 +1,252 @@
+const { GoogleGenAI } = require('@google/genai');
+const BaseProcessor = require('./base-processor');
+const { toSafetySettings, readSafetyFeedback, describeMissingImage } = require('../gemini-safety');
+const { getGeminiPricing, tokenCost, imageCost } = require('../pricing');
+const { createModelEntry } = require('../model-catalog');
+
+// Aspect ratios every Gemini image model accepts
+const ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+// What each model supports beyond the shared aspect ratios. Models without
+// imageSizes produce a fixed size and reject the imageSize setting.
+const MODELS = {
+  'gemini-2.5-flash-image': {
+    name: 'Gemini 2.5 Flash',
+    description: 'Fast & efficient • Good for quick edits',
+    maxInputImages: 3,
+    imageSizes: []
+  },
+  'gemini-3-pro-image-preview': {
+    name: 'Gemini 3 Pro Image',
+    description: 'Premium quality • 2K/4K output • Advanced reasoning',
+    maxInputImages: 14,
+    imageSizes: ['1K', '2K', '4K']
+  }
+};
+
+const DEFAULT_IMAGE_SIZE = '2K';
+
+class GeminiProcessor extends BaseProcessor {
+  static id = 'gemini';
+  static displayName = 'Google Gemini';
+  static description = 'Advanced AI image generation & editing';
+  static apiKeyField = 'apiKey';
+  static envApiKey = 'GEMINI_API_KEY';
+  static defaultModel = 'gemini-3-pro-image-preview';
+  static capabilities = {
+    edit: true,
+    generate: true,
+    models: Object.keys(MODELS),
+    aspectRatios: ASPECT_RATIOS,
+    qualities: []
+  };
+
+  /**
+   * Catalog entry of a Gemini model, priced from the token price table (see pricing)
+   */
+  static describeModel(id) {
+    const model = MODELS[id];
+    const pricing = getGeminiPricing(id);
+    const perImage = imageCost(pricing, DEFAULT_IMAGE_SIZE);
+
+    return createModelEntry({
+      id,
+      provider: this.id,
+      name: model.name,
+      description: model.description,
+      capabilities: {
+        edit: true,
+        generate: true,
+        maxInputImages: model.maxInputImages,
+        aspectRatios: ASPECT_RATIOS,
+        imageSizes: model.imageSizes
+      },
+      pricing: perImage === null ? null : {
+        perImage,
+        bySize: model.imageSizes.length > 0
+          ? Object.fromEntries(model.imageSizes.map(size => [size, imageCost(pricing, size)]))
+          : null,
+        inputPerMillion: pricing.inputPerMillion,
+        outputPerMillion: pricing.outputPerMillion
+      }
+    });
+  }
+
+  /**
+   * Create the GenAI client; replaced by the tests to avoid network calls
+   * @param {string} apiKey
+   */
+  static createClient(apiKey) {
+    return new GoogleGenAI({ apiKey });
+  }
+
+  static validateApiKey(apiKey) {
+    if (!apiKey) {
+      return 'Gemini API key is required';
+    }
+    if (!apiKey.startsWith('AIza')) {
+      return 'Invalid Gemini API key format';
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} options - See BaseProcessor, plus aspectRatio, imageSize,
+   *   safety (category -> threshold, see gemini-safety; null for Gemini's defaults)
+   *   and pricing (see pricing.getGeminiPricing, defaults to the model's)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.ai = this.constructor.createClient(this.apiKey);
+    this.aspectRatio = options.aspectRatio || '1:1';
+    this.imageSize = options.imageSize || DEFAULT_IMAGE_SIZE;
+    this.safety = options.safety || null;
+    this.pricing = options.pricing !== undefined ? options.pricing : getGeminiPricing(this.model);
+  }
+
+  /**
+   * Tokens and cost of a response, from its usage metadata
+   * @param {Object} response - Gemini response
+   * @returns {{cost: number|null, inputTokens: number, outputTokens: number}|null}
+   */
+  readUsage(response) {
+    const metadata = response.usageMetadata;
+    if (!metadata) return null;
+
+    const inputTokens = metadata.promptTokenCount || 0;
+    // Thinking is billed as output
+    const outputTokens = (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+    return {
+      cost: this.pricing ? tokenCost(this.pricing, inputTokens, outputTokens) : null,
+      inputTokens,
+      outputTokens
+    };
+  }
+
+  /**
+   * Price of the image a request generates; prompt tokens are not counted
+   */
+  estimateCost() {
+    return imageCost(this.pricing, this.imageSize);
+  }
+
+  buildConfig(signal) {
+    const config = {
+      responseModalities: ['TEXT', 'IMAGE'],
+      imageConfig: {
+        aspectRatio: this.aspectRatio
+      }
+    };
+
+    // Models with a fixed output size reject imageSize
+    if (this.modelInfo && this.modelInfo.capabilities.imageSizes.length > 0) {
+      config.imageConfig.imageSize = this.imageSize;
+    }
+
+    const safetySettings = toSafetySettings(this.safety);
+    if (safetySettings) config.safetySettings = safetySettings;
+
+    if (signal) config.abortSignal = signal;
+
+    return config;
+  }
+
+  /**
+   * Call generateContent and extract the generated image and text
+   * @param {Array} contents - Request contents
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<{data: Buffer, analysis: string, safety: Object, usage: Object|null}>} safety from
+   *   readSafetyFeedback, usage from readUsage
+   */
+  async generate(contents, signal) {
+    console.log(`Processing with model: ${this.model}`);
+    console.log(`Aspect Ratio: ${this.aspectRatio}, Image Size: ${this.imageSize}`);
+
+    const response = await this.ai.models.generateContent({
+      model: this.model,
+      contents: contents,
+      config: this.buildConfig(signal)
+    });
+
+    let generatedImageData = null;
+    let analysisText = '';
+
+    // Blocked candidates come without content
+    const candidate = response.candidates && response.candidates[0];
+    if (candidate && candidate.content && candidate.content.parts) {
+      for (const part of candidate.content.parts) {
+        if (part.inlineData) {
+          generatedImageData = part.inlineData.data;
+        } else if (part.text) {
+          analysisText = part.text;
+        }
+      }
+    }
+
+    const safety = readSafetyFeedback(response);
+    const usage = this.readUsage(response);
+
+    if (!generatedImageData) {
+      const error = new Error(describeMissingImage(safety));
+      error.safety = safety;
+      // Responses without an image are billed as well
+      error.usage = usage;
+      // Blocks fail at once as SAFETY_BLOCKED (see describeFailure). The model
+      // occasionally answers with text only, another attempt usually works.
+      if (!safety.blocked) {
+        error.retryable = true;
+      }
+      throw error;
+    }
+
+    return {
+      data: Buffer.from(generatedImageData, 'base64'),
+      analysis: analysisText,
+      safety,
+      usage
+    };
+  }
+
+  /**
+   * The GenAI SDK puts the HTTP status and the error body into the message
+   * ("got status: 429 Too Many Requests. {...}"), with the wait asked for
+   * by a rate limit as RetryInfo.retryDelay
+   */
+  describeFailure(error) {
+    const failure = super.describeFailure(error);
+    const message = error.message || '';
+
+    const status = /got status: (\d{3})/.exec(message);
+    if (!failure.status && status) {
+      failure.status = parseInt(status[1], 10);
+    }
+
+    const retryDelay = /"retryDelay":\s*"(\d+(?:\.\d+)?)s"/.exec(message);
+    if (failure.retryAfterMs === null && retryDelay) {
+      failure.retryAfterMs = Math.round(parseFloat(retryDelay[1]) * 1000);
+    }
+
+    return failure;
+  }
+
+  async requestEdit(input, signal) {
+    // Create prompt with reference image for editing
+    return this.generate([
+      { text: input.prompt },
+      {
+        inlineData: {
+          mimeType: input.mimeType,
+          data: input.base64
+        }
+      }
+    ], signal);
+  }
+
+  async requestGeneration(prompt, signal) {
+    console.log(`Prompt: ${prompt}`);
+    return this.generate([{ text: prompt }], signal);
+  }
+}
+
+module.exports = GeminiProcessor;
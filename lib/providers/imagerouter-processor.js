@@ -0,0 +1,215 @@
+const axios = require('axios');
+const OpenAICompatibleProcessor = require('./openai-compatible-processor');
+const { createModelEntry } = require('../model-catalog');
+
+const DEFAULT_BASE_URL = 'https://api.imagerouter.io/v1/openai';
+
+// Served while the model list cannot be fetched
+const FALLBACK_MODELS = [
+  {
+    id: 'black-forest-labs/FLUX-1.1-pro',
+    name: 'FLUX 1.1 Pro',
+    provider: 'black-forest-labs',
+    output: ['image'],
+    isFree: false,
+    pricing: { min: 0.04, max: 0.04, average: 0.04 },
+    supported_params: {}
+  },
+  {
+    id: 'black-forest-labs/FLUX-pro',
+    name: 'FLUX Pro',
+    provider: 'black-forest-labs',
+    output: ['image'],
+    isFree: false,
+    pricing: { min: 0.05, max: 0.05, average: 0.05 },
+    supported_params: {}
+  }
+];
+
+/**
+ * Summarize a model of the ImageRouter models API
+ * @param {string} id - Model identifier, e.g. "black-forest-labs/FLUX-1.1-pro"
+ * @param {Object} data - Model data as listed by the API
+ * @returns {Object} As served by GET /api/imagerouter/models
+ */
+function summarizeModel(id, data) {
+  // Extract provider from model ID
+  const provider = id.split('/')[0];
+
+  // Format model name
+  let name = id.split('/')[1] || id;
+  name = name.replace(':free', '');
+
+  // Determine if free
+  const isFree = id.endsWith(':free') ||
+    data.providers.every(p => p.pricing.type === 'fixed' && p.pricing.value === 0);
+
+  // Get pricing info
+  let pricing = { min: 0, max: 0, average: 0 };
+  if (!isFree && data.providers.length > 0) {
+    const firstProvider = data.providers[0];
+    if (firstProvider.pricing.type === 'fixed') {
+      pricing.min = pricing.max = pricing.average = firstProvider.pricing.value;
+    } else if (firstProvider.pricing.range) {
+      pricing.min = firstProvider.pricing.range.min || 0;
+      pricing.max = firstProvider.pricing.range.max || firstProvider.pricing.range.average || 0;
+      pricing.average = firstProvider.pricing.range.average || pricing.min;
+    } else if (firstProvider.pricing.value !== undefined) {
+      pricing.min = pricing.max = pricing.average = firstProvider.pricing.value;
+    }
+  }
+
+  return {
+    id,
+    name,
+    provider,
+    output: data.output || ['image'],
+    isFree,
+    pricing,
+    release_date: data.release_date,
+    supported_params: data.supported_params || {},
+    sizes: data.sizes || [],
+    seconds: data.seconds
+  };
+}
+
+/**
+ * ImageRouter speaks the OpenAI images API under /v1/openai, with a few
+ * extra parameters (output_format, quality/size "auto") it always accepts
+ */
+class ImageRouterProcessor extends OpenAICompatibleProcessor {
+  static id = 'imagerouter';
+  static displayName = 'ImageRouter';
+  static description = 'Multi-model routing • Flux & more';
+  static apiKeyField = 'imageRouterApiKey';
+  static envApiKey = 'IMAGEROUTER_API_KEY';
+  // Every image response carries its cost
+  static reportsCost = true;
+  static defaultModel = 'black-forest-labs/FLUX-1.1-pro';
+  static capabilities = {
+    edit: true,
+    generate: true,
+    // Models, sizes and per-model parameters are served by GET /api/imagerouter/models
+    // (and, as catalog entries, by GET /api/models)
+    modelsEndpoint: '/api/imagerouter/models',
+    aspectRatios: [],
+    sizes: ['auto'],
+    qualities: ['auto', 'high', 'medium', 'low']
+  };
+
+  /** Fetched model list, kept for an hour (a failed fetch for a minute) */
+  static modelsCache = { models: null, complete: false, expires: 0 };
+
+  static requiresApiKey() {
+    return true;
+  }
+
+  /**
+   * All models of the ImageRouter models API, images and videos, with the
+   * fallback list if the API cannot be reached
+   * @returns {Promise<{models: Array<Object>, complete: boolean}>} models from summarizeModel
+   */
+  static async fetchModels() {
+    const cache = this.modelsCache;
+    if (cache.models && Date.now() < cache.expires) {
+      return { models: cache.models, complete: cache.complete };
+    }
+
+    // The models API sits next to the OpenAI-compatible one
+    const baseUrl = (process.env.IMAGEROUTER_BASE_URL || DEFAULT_BASE_URL).replace(/\/openai\/?$/, '');
+    try {
+      const response = await axios.get(`${baseUrl}/models`, { timeout: 10000 });
+      // Note: No filtering here - frontend handles type filtering
+      const models = Object.entries(response.data).map(([id, data]) => summarizeModel(id, data));
+      Object.assign(cache, { models, complete: true, expires: Date.now() + 3600000 });
+    } catch (error) {
+      console.error('Error fetching ImageRouter models:', error.message);
+      Object.assign(cache, { models: FALLBACK_MODELS, complete: false, expires: Date.now() + 60000 });
+    }
+
+    return { models: cache.models, complete: cache.complete };
+  }
+
+  /**
+   * Image models of the models API as catalog entries; video models are left out
+   */
+  static async getModelCatalog() {
+    const { models, complete } = await this.fetchModels();
+    return {
+      models: models.filter(model => model.output.includes('image')).map(model => this.toModelEntry(model)),
+      complete
+    };
+  }
+
+  /**
+   * Catalog entry of a model fetched before; models are not fetched here,
+   * and the fallback list is not used to validate requests
+   */
+  static findModel(id) {
+    if (!this.modelsCache.complete) return null;
+    const model = this.modelsCache.models.find(entry => entry.id === id);
+    return model ? this.toModelEntry(model) : null;
+  }
+
+  /**
+   * @param {Object} model - From summarizeModel
+   * @returns {Object} Catalog entry
+   */
+  static toModelEntry(model) {
+    const params = model.supported_params || {};
+    return createModelEntry({
+      id: model.id,
+      provider: this.id,
+      name: model.name,
+      description: model.provider,
+      capabilities: {
+        edit: Boolean(params.edit),
+        generate: true,
+        sizes: model.sizes || [],
+        qualities: params.quality ? this.capabilities.qualities : []
+      },
+      pricing: {
+        perImage: model.isFree ? 0 : model.pricing.average || model.pricing.min,
+        min: model.pricing.min,
+        max: model.pricing.max
+      }
+    });
+  }
+
+  /**
+   * @param {Object} options - See OpenAICompatibleProcessor
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      baseUrl: process.env.IMAGEROUTER_BASE_URL || DEFAULT_BASE_URL,
+      authHeader: 'Authorization',
+      authScheme: 'Bearer'
+    });
+
+    this.imageField = 'image[]';
+    this.multipartGenerations = true;
+  }
+
+  /**
+   * Per-image price of the model in the catalog, null while the models could not be fetched
+   */
+  estimateCost() {
+    const pricing = this.modelInfo && this.modelInfo.pricing;
+    return pricing && typeof pricing.perImage === 'number' ? pricing.perImage : null;
+  }
+
+  buildParams(prompt) {
+    return {
+      prompt,
+      model: this.model,
+      response_format: 'b64_json', // Get base64 response
+      quality: this.quality,
+      size: this.size,
+      // Ask for the job's output format where the API can produce it, saving a conversion
+      output_format: ['jpeg', 'png', 'webp'].includes(this.output && this.output.format) ? this.output.format : 'png'
+    };
+  }
+}
+
+module.exports = ImageRouterProcessor;
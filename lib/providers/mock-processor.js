@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const BaseProcessor = require('./base-processor');
+const { PNG_SIGNATURE, pngChunk } = require('../png-chunks');
+
+// Errors the mock can simulate, shaped like provider errors (HTTP status, network code, safety feedback)
+const MOCK_ERRORS = {
+  rate_limit: { status: 429, message: 'Rate limit exceeded' },
+  server_error: { status: 500, message: 'Internal server error' },
+  unavailable: { status: 503, message: 'Service temporarily unavailable' },
+  auth: { status: 401, message: 'Invalid API key' },
+  bad_request: { status: 400, message: 'Invalid request' },
+  safety: {
+    status: 400,
+    message: 'Request blocked by safety filter',
+    safety: { finishReason: null, blockReason: 'SAFETY', blockReasonMessage: null, ratings: [], blocked: true }
+  },
+  timeout: { code: 'ECONNABORTED', message: 'timeout of 120000ms exceeded' },
+  no_image: { message: 'No image generated in response', retryable: true }
+};
+
+/**
+ * Encode an RGB pattern as PNG. Colors and stripe width are derived from the
+ * seed, so the same input and prompt always produce the same image.
+ * @param {Buffer} seed - Hash bytes
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} PNG file
+ */
+function renderPattern(seed, width, height) {
+  const colorA = [seed[0], seed[1], seed[2]];
+  const colorB = [seed[3], seed[4], seed[5]];
+  const stripe = 8 + (seed[6] % 56);
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = Buffer.alloc(1 + width * 3); // Leading 0 = no filter
+    for (let x = 0; x < width; x++) {
+      const color = Math.floor((x + y) / stripe) % 2 === 0 ? colorA : colorB;
+      // Vertical gradient on top of the diagonal stripes
+      const shade = 0.5 + (0.5 * y) / height;
+      row[1 + x * 3] = color[0] * shade;
+      row[2 + x * 3] = color[1] * shade;
+      row[3 + x * 3] = color[2] * shade;
+    }
+    rows.push(row);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Color type RGB
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Offline provider for development and tests. Returns deterministic PNG
+ * patterns without any network access. Behaviour is configured with
+ * MOCK_LATENCY_MS, MOCK_FAILURE_RATE, MOCK_ERROR_TYPES and MOCK_COST_PER_IMAGE
+ * (reported as the cost of every image, for trying out budgets); a prompt containing
+ * "[mock:<error type>]" always fails with that error.
+ */
+class MockProcessor extends BaseProcessor {
+  static id = 'mock';
+  static displayName = 'Mock (offline)';
+  static description = 'Deterministic test images • No network or API key';
+  static apiKeyField = 'mockApiKey';
+  static defaultModel = 'mock-pattern';
+  static capabilities = {
+    edit: true,
+    generate: true,
+    models: ['mock-pattern'],
+    aspectRatios: [],
+    sizes: ['256x256', '512x512', '1024x1024'],
+    qualities: []
+  };
+  static errorTypes = Object.keys(MOCK_ERRORS);
+
+  static isEnabled() {
+    return process.env.ENABLE_MOCK_PROVIDER === 'true' || process.env.NODE_ENV === 'test';
+  }
+
+  static requiresApiKey() {
+    return false;
+  }
+
+  /**
+   * @param {Object} options - See BaseProcessor, plus size and the mock settings
+   *   latency (ms), failureRate (0-1), errorTypes and costPerImage (USD) (default to the MOCK_* env)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    const [width, height] = String(options.size || '').split('x').map(n => parseInt(n, 10));
+    this.width = Math.min(width || 256, 2048);
+    this.height = Math.min(height || width || 256, 2048);
+
+    this.latency = options.latency !== undefined
+      ? options.latency
+      : parseInt(process.env.MOCK_LATENCY_MS || '500', 10);
+    this.failureRate = options.failureRate !== undefined
+      ? options.failureRate
+      : parseFloat(process.env.MOCK_FAILURE_RATE || '0');
+    this.errorTypes = options.errorTypes
+      || (process.env.MOCK_ERROR_TYPES ? process.env.MOCK_ERROR_TYPES.split(',').map(t => t.trim()) : ['server_error']);
+    this.costPerImage = options.costPerImage !== undefined
+      ? options.costPerImage
+      : parseFloat(process.env.MOCK_COST_PER_IMAGE || '0');
+  }
+
+  estimateCost() {
+    return this.costPerImage;
+  }
+
+  /**
+   * Build the error for a mock error type
+   * @param {string} type - Key of MOCK_ERRORS
+   * @returns {Error}
+   */
+  createError(type) {
+    const spec = MOCK_ERRORS[type] || MOCK_ERRORS.server_error;
+    const error = new Error(spec.message);
+    error.mockType = type;
+    if (spec.code) error.code = spec.code;
+    if (spec.retryable) error.retryable = true;
+    if (spec.safety) error.safety = spec.safety;
+    if (spec.status) {
+      error.response = {
+        status: spec.status,
+        statusText: spec.message,
+        headers: spec.status === 429 ? { 'retry-after': '1' } : {},
+        data: { error: { message: spec.message } }
+      };
+    }
+    return error;
+  }
+
+  /**
+   * Simulate latency and failures, then render the pattern for the seed
+   * @param {string} prompt - Prompt of the request
+   * @param {Buffer} seedInput - Input the image is derived from
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<{data: Buffer, analysis: string, usage: Object}>}
+   */
+  async respond(prompt, seedInput, signal) {
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Request cancelled'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, this.latency);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    const forced = /\[mock:(\w+)\]/.exec(prompt || '');
+    if (forced) {
+      throw this.createError(forced[1]);
+    }
+    if (this.failureRate > 0 && Math.random() < this.failureRate) {
+      const type = this.errorTypes[Math.floor(Math.random() * this.errorTypes.length)];
+      throw this.createError(type);
+    }
+
+    const seed = crypto.createHash('sha256')
+      .update(seedInput)
+      .update(prompt || '')
+      .update(this.model)
+      .digest();
+
+    return {
+      data: renderPattern(seed, this.width, this.height),
+      analysis: `Mock image (${this.width}x${this.height}) generated by ${this.model}`,
+      usage: { cost: this.costPerImage, inputTokens: 0, outputTokens: 0 }
+    };
+  }
+
+  async requestEdit(input, signal) {
+    return this.respond(input.prompt, input.buffer, signal);
+  }
+
+  async requestGeneration(prompt, signal) {
+    return this.respond(prompt, Buffer.alloc(0), signal);
+  }
+
+  formatError(error) {
+    if (error.response) {
+      return `Mock API Error: ${error.response.status} - ${error.response.data.error.message}`;
+    } else if (error.code === 'ECONNABORTED') {
+      return 'Request timeout - image processing took too long';
+    }
+    return error.message;
+  }
+}
+
+module.exports = MockProcessor;
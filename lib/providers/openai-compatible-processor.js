@@ -0,0 +1,191 @@
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const BaseProcessor = require('./base-processor');
+
+// Comma separated env list, e.g. "gpt-image-1, dall-e-2"
+function envList(name, fallback) {
+  const value = process.env[name];
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Any server implementing the OpenAI images API (/images/edits, /images/generations):
+ * OpenAI itself, LocalAI, or bridges in front of ComfyUI / Automatic1111.
+ * Configured through OPENAI_COMPATIBLE_* environment variables.
+ */
+class OpenAICompatibleProcessor extends BaseProcessor {
+  static id = 'openai-compatible';
+  static description = 'OpenAI or any server speaking the OpenAI images API';
+  static apiKeyField = 'openaiApiKey';
+  static envApiKey = 'OPENAI_COMPATIBLE_API_KEY';
+  // The OpenAI images API reports no cost
+  static reportsCost = false;
+
+  static get displayName() {
+    return process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI-compatible';
+  }
+
+  static get defaultModel() {
+    return this.capabilities.models[0];
+  }
+
+  static get capabilities() {
+    return {
+      edit: true,
+      generate: true,
+      models: envList('OPENAI_COMPATIBLE_MODELS', ['gpt-image-1', 'dall-e-3', 'dall-e-2']),
+      aspectRatios: [],
+      sizes: envList('OPENAI_COMPATIBLE_SIZES', ['auto', '1024x1024', '1536x1024', '1024x1536']),
+      qualities: envList('OPENAI_COMPATIBLE_QUALITIES', ['auto', 'high', 'medium', 'low'])
+    };
+  }
+
+  // Self-hosted servers usually run without authentication
+  static requiresApiKey() {
+    return process.env.OPENAI_COMPATIBLE_REQUIRE_API_KEY !== 'false';
+  }
+
+  /**
+   * @param {Object} options - See BaseProcessor, plus quality, size and the connection
+   *   settings baseUrl, authHeader and authScheme (default to the OPENAI_COMPATIBLE_* env)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.authHeader = options.authHeader || process.env.OPENAI_COMPATIBLE_AUTH_HEADER || 'Authorization';
+    this.authScheme = options.authScheme !== undefined
+      ? options.authScheme
+      : (process.env.OPENAI_COMPATIBLE_AUTH_SCHEME !== undefined ? process.env.OPENAI_COMPATIBLE_AUTH_SCHEME : 'Bearer');
+    this.quality = options.quality || 'auto';
+    this.size = options.size || 'auto'; // Size parameter (e.g., "1024x1024" or "auto")
+    this.imageField = 'image';
+    this.multipartGenerations = false;
+  }
+
+  getAuthHeaders() {
+    if (!this.apiKey) return {};
+    return {
+      [this.authHeader]: this.authScheme ? `${this.authScheme} ${this.apiKey}` : this.apiKey
+    };
+  }
+
+  /**
+   * Request parameters shared by edits and generations. "auto" values are left
+   * out, not every OpenAI-compatible server (or OpenAI model) accepts them.
+   * @param {string} prompt - Prompt text
+   * @returns {Object}
+   */
+  buildParams(prompt) {
+    const params = { prompt, model: this.model };
+    if (this.quality && this.quality !== 'auto') params.quality = this.quality;
+    if (this.size && this.size !== 'auto') params.size = this.size;
+    return params;
+  }
+
+  toFormData(params) {
+    const formData = new FormData();
+    Object.entries(params).forEach(([key, value]) => formData.append(key, value));
+    return formData;
+  }
+
+  /**
+   * POST to an images endpoint and return the first image
+   * @param {string} endpoint - Path below the base URL
+   * @param {FormData|Object} body - Multipart form or JSON body
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<{data: Buffer, usage: Object}>}
+   */
+  async postImageRequest(endpoint, body, signal) {
+    const headers = { ...this.getAuthHeaders() };
+    if (body instanceof FormData) {
+      Object.assign(headers, body.getHeaders());
+    }
+
+    const response = await axios.post(`${this.baseUrl}${endpoint}`, body, {
+      headers,
+      timeout: 120000, // 2 minute timeout
+      signal: signal || undefined
+    });
+
+    if (response.data && response.data.data && response.data.data.length > 0) {
+      const imageResult = response.data.data[0];
+      const usage = this.readUsage(response.data);
+
+      if (imageResult.b64_json) {
+        return { data: Buffer.from(imageResult.b64_json, 'base64'), usage };
+      } else if (imageResult.url) {
+        // If URL is returned instead, download it
+        const imageResponse = await axios.get(imageResult.url, {
+          responseType: 'arraybuffer',
+          signal: signal || undefined
+        });
+        return { data: Buffer.from(imageResponse.data), usage };
+      }
+    }
+
+    const error = new Error('No image generated in response');
+    error.retryable = true;
+    throw error;
+  }
+
+  /**
+   * Usage of a response: token counts as sent by OpenAI, and the cost where
+   * the server reports one (ImageRouter sends it as "cost", in USD)
+   * @param {Object} body - Response body
+   * @returns {{cost: number|null, inputTokens: number, outputTokens: number}}
+   */
+  readUsage(body) {
+    const usage = body.usage || {};
+    return {
+      cost: typeof body.cost === 'number' ? body.cost : null,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0
+    };
+  }
+
+  async requestEdit(input, signal) {
+    const formData = this.toFormData(this.buildParams(input.prompt));
+    formData.append(this.imageField, input.buffer, {
+      filename: path.basename(input.imagePath),
+      contentType: input.mimeType
+    });
+
+    console.log(`Processing with ${this.constructor.displayName} model: ${this.model}`);
+    console.log(`Quality: ${this.quality}, Size: ${this.size}`);
+
+    // Use /edits endpoint for image-to-image
+    return this.postImageRequest('/images/edits', formData, signal);
+  }
+
+  async requestGeneration(prompt, signal) {
+    console.log(`Generating image with ${this.constructor.displayName} model: ${this.model}`);
+
+    const params = this.buildParams(prompt);
+    const body = this.multipartGenerations ? this.toFormData(params) : params;
+
+    // Use /generations endpoint for text-to-image
+    return this.postImageRequest('/images/generations', body, signal);
+  }
+
+  formatError(error) {
+    const name = this.constructor.displayName;
+
+    if (error.response) {
+      // API returned an error response
+      return `${name} API Error: ${error.response.status} - ${error.response.data?.error?.message ||
+        error.response.data?.message ||
+        error.response.statusText
+        }`;
+    } else if (error.code === 'ECONNABORTED') {
+      return 'Request timeout - image processing took too long';
+    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+      return `Cannot connect to ${name} API`;
+    }
+    return error.message;
+  }
+}
+
+module.exports = OpenAICompatibleProcessor;
@@ -1,46 +1,123 @@
 const EventEmitter = require('events');
+const path = require('path');
+const MemoryJobStore = require('./memory-job-store');
+const { addUsage } = require('./pricing');
 
 class QueueManager extends EventEmitter {
-    constructor(maxConcurrent = 3) {
+    constructor(maxConcurrent = 3, maxInFlightRequests = maxConcurrent, store = new MemoryJobStore()) {
         super();
         this.maxConcurrent = maxConcurrent;
+        this.maxInFlightRequests = maxInFlightRequests;
+        this.store = store; // Persists jobs (MemoryJobStore, FileJobStore)
         this.jobs = new Map(); // jobId -> job data
-        this.activeJobs = new Set(); // Currently processing job IDs
+        this.activeJobs = new Set(); // Job IDs whose handler is running, cleared only once it settles
         this.queue = []; // Pending job IDs
+        this.jobHandler = null; // async (jobId) => void, runs a dispatched job
+        this.inFlightRequests = 0; // Provider requests currently running, across all jobs
+        this.requestWaiters = []; // Resolvers waiting for a request slot
     }
 
     /**
      * Create a new job
      * @param {string} jobId - Unique job identifier
-     * @param {Array} imagePaths - Array of image file paths
+     * @param {Array<string|Object>} images - Image file paths, or image entries
+     *   ({ path, name, prompt, variables, width, height }) carrying per-image data
+     * @param {Object} settings - Processing settings (provider, model, prompt, ...)
      * @returns {Object} Job data
      */
-    createJob(jobId, imagePaths) {
+    createJob(jobId, images, settings = {}) {
         const job = {
             jobId,
             status: 'pending',
-            images: imagePaths.map(path => ({
-                path,
+            settings,
+            images: images.map(image => ({
+                ...(typeof image === 'string' ? { path: image } : image),
                 status: 'pending',
-                outputPath: null,
-                error: null
+                outputKey: null,
+                error: null,
+                // Automatic retries of the last run, and whether its error was transient ("retryable") or "fatal"
+                retryCount: 0,
+                errorClass: null,
+                // { code, provider, message } of a failure, see lib/error-codes.js
+                errorDetails: null,
+                // Provider safety feedback (Gemini finish/block reasons and ratings)
+                safety: null,
+                // Spend of all requests made for the image, see lib/pricing.js addUsage
+                usage: null
             })),
+            // Spend of the whole job, and why it was stopped if it hit its budget
+            usage: null,
+            budgetExceeded: null,
             createdAt: new Date(),
             completedAt: null,
             progress: {
-                total: imagePaths.length,
+                total: images.length,
                 completed: 0,
                 failed: 0,
-                pending: imagePaths.length
+                cancelled: 0,
+                pending: images.length
             }
         };
 
         this.jobs.set(jobId, job);
         this.queue.push(jobId);
+        this.store.save(job);
+        this.emitQueuePositions();
 
         return job;
     }
 
+    /**
+     * Reload jobs from the store after a restart. Unfinished jobs are queued
+     * again and images interrupted mid-processing are reset to pending and
+     * flagged as resumed, so the dispatcher continues where it left off.
+     * @returns {Promise<number>} Number of jobs queued for resumption
+     */
+    async restore() {
+        const jobs = await this.store.load();
+        let resumed = 0;
+
+        for (const job of jobs) {
+            this.jobs.set(job.jobId, job);
+
+            // Jobs saved before outputs went through an output storage kept
+            // absolute paths; local storage keys are relative to outputs/
+            job.images.forEach(image => {
+                if (image.outputPath && !image.outputKey) {
+                    image.outputKey = path.basename(image.outputPath);
+                }
+                delete image.outputPath;
+            });
+
+            if (job.status === 'completed') continue;
+
+            job.images.forEach(image => {
+                if (image.status === 'processing') {
+                    image.status = 'pending';
+                    image.resumed = true;
+                    job.progress.pending++;
+                }
+            });
+
+            job.status = 'pending';
+            this.queue.push(job.jobId);
+            this.store.save(job);
+            resumed++;
+        }
+
+        this.emitQueuePositions();
+        return resumed;
+    }
+
+    /**
+     * Persist a job after it was modified outside of QueueManager
+     * @param {string} jobId - Job identifier
+     */
+    saveJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (job) this.store.save(job);
+    }
+
     /**
      * Get job status
      * @param {string} jobId - Job identifier
@@ -54,8 +131,8 @@ class QueueManager extends EventEmitter {
      * Update image status within a job
      * @param {string} jobId - Job identifier
      * @param {number} imageIndex - Index of the image in the job
-     * @param {string} status - New status (processing, completed, failed)
-     * @param {Object} data - Additional data (outputPath, error, etc.)
+     * @param {string} status - New status (processing, completed, failed, cancelled)
+     * @param {Object} data - Additional data (outputKey, error, etc.)
      */
     updateImageStatus(jobId, imageIndex, status, data = {}) {
         const job = this.jobs.get(jobId);
@@ -64,13 +141,21 @@ class QueueManager extends EventEmitter {
         const image = job.images[imageIndex];
         if (!image) return;
 
+        // A cancelled image stays cancelled, late results of aborted requests are dropped
+        if (image.status === 'cancelled') return;
+
         const oldStatus = image.status;
         image.status = status;
 
         // Update additional data
-        if (data.outputPath) image.outputPath = data.outputPath;
+        if (data.outputKey) image.outputKey = data.outputKey;
         if (data.error) image.error = data.error;
         if (data.analysis) image.analysis = data.analysis;
+        if (data.expandedPrompt) image.expandedPrompt = data.expandedPrompt;
+        if (data.retryCount !== undefined) image.retryCount = data.retryCount;
+        if (data.errorClass) image.errorClass = data.errorClass;
+        if (data.errorDetails) image.errorDetails = data.errorDetails;
+        if (data.safety) image.safety = data.safety;
 
         // Update progress counters
         if (oldStatus === 'pending') job.progress.pending--;
@@ -79,21 +164,116 @@ class QueueManager extends EventEmitter {
             job.progress.completed++;
         } else if (status === 'failed') {
             job.progress.failed++;
+        } else if (status === 'cancelled') {
+            job.progress.cancelled = (job.progress.cancelled || 0) + 1;
         }
 
         // Check if job is complete
         const allDone = job.images.every(img =>
-            img.status === 'completed' || img.status === 'failed'
+            img.status === 'completed' || img.status === 'failed' || img.status === 'cancelled'
         );
 
         if (allDone) {
             job.status = 'completed';
             job.completedAt = new Date();
-            this.activeJobs.delete(jobId);
+
+            // A job cancelled while still queued never reaches the dispatcher
+            const queueIndex = this.queue.indexOf(jobId);
+            if (queueIndex > -1) {
+                this.queue.splice(queueIndex, 1);
+                this.emitQueuePositions();
+            }
+
             this.emit('jobComplete', jobId);
         }
 
+        this.store.save(job);
+        this.emit('jobUpdate', jobId, job);
+    }
+
+    /**
+     * Add the spend of an image's requests to the image and job totals. Kept
+     * apart from updateImageStatus: cancelled requests may have been billed too.
+     * @param {string} jobId - Job identifier
+     * @param {number} imageIndex - Index of the image in the job
+     * @param {Object|null} usage - Usage totals of the requests (see lib/pricing.js addUsage)
+     */
+    recordUsage(jobId, imageIndex, usage) {
+        const job = this.jobs.get(jobId);
+        if (!job || !usage) return;
+
+        const image = job.images[imageIndex];
+        if (image) image.usage = addUsage(image.usage, usage);
+        job.usage = addUsage(job.usage, usage);
+        this.store.save(job);
+    }
+
+    /**
+     * Cancel images that have not finished yet. Images being processed are
+     * reported through the 'imageCancel' event so their requests can be aborted.
+     * @param {string} jobId - Job identifier
+     * @param {Array<number>|null} imageIndexes - Images to cancel, or null for the whole job
+     * @param {string} reason - Error message kept on the cancelled images
+     * @returns {Array<number>} Indexes of the images that were cancelled
+     */
+    cancelImages(jobId, imageIndexes = null, reason = 'Cancelled by user') {
+        const job = this.jobs.get(jobId);
+        if (!job) return [];
+
+        const indexes = imageIndexes || job.images.map((_, index) => index);
+        const cancelled = [];
+
+        for (const index of indexes) {
+            const image = job.images[index];
+            if (!image || (image.status !== 'pending' && image.status !== 'processing')) continue;
+
+            const wasProcessing = image.status === 'processing';
+            this.updateImageStatus(jobId, index, 'cancelled', { error: reason });
+            if (wasProcessing) {
+                this.emit('imageCancel', jobId, index);
+            }
+            cancelled.push(index);
+        }
+
+        return cancelled;
+    }
+
+    /**
+     * Reset the failed images of a finished job to pending and queue the job again.
+     * A job completed by cancelling its images may still have a running handler;
+     * the dispatcher starts the retry only once that handler has settled.
+     * @param {string} jobId - Job identifier
+     * @returns {Array<number>} Indexes of the images that will be retried
+     */
+    retryFailedImages(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.status !== 'completed') return [];
+
+        const retried = [];
+        job.images.forEach((image, index) => {
+            if (image.status !== 'failed') return;
+
+            image.status = 'pending';
+            image.error = null;
+            image.errorClass = null;
+            image.errorDetails = null;
+            image.safety = null;
+            image.retryCount = 0;
+            job.progress.failed--;
+            job.progress.pending++;
+            retried.push(index);
+        });
+
+        if (retried.length === 0) return retried;
+
+        job.status = 'pending';
+        job.completedAt = null;
+        this.queue.push(jobId);
+        this.store.save(job);
         this.emit('jobUpdate', jobId, job);
+        this.emitQueuePositions();
+
+        return retried;
     }
 
     /**
@@ -106,6 +286,7 @@ class QueueManager extends EventEmitter {
 
         job.status = 'processing';
         this.activeJobs.add(jobId);
+        this.store.save(job);
 
         // Remove from queue
         const queueIndex = this.queue.indexOf(jobId);
@@ -114,6 +295,56 @@ class QueueManager extends EventEmitter {
         }
 
         this.emit('jobStart', jobId);
+        this.emitQueuePositions();
+    }
+
+    /**
+     * Register the function that processes a job once it is dispatched
+     * @param {Function} handler - async (jobId) => void
+     */
+    setJobHandler(handler) {
+        this.jobHandler = handler;
+    }
+
+    /**
+     * Start queued jobs while job slots are free. Called whenever a job is
+     * queued and again whenever a running job's handler settles.
+     */
+    dispatch() {
+        if (!this.jobHandler) return;
+
+        while (this.canStartNewJob()) {
+            const jobId = this.getNextJob();
+            this.startJob(jobId);
+
+            Promise.resolve()
+                .then(() => this.jobHandler(jobId))
+                .catch(error => {
+                    console.error(`Job handler failed for ${jobId}:`, error);
+                })
+                .finally(() => {
+                    this.activeJobs.delete(jobId);
+                    this.dispatch();
+                });
+        }
+    }
+
+    /**
+     * Get a job's position in the queue
+     * @param {string} jobId - Job identifier
+     * @returns {number} 1-based position, or 0 if the job is not queued
+     */
+    getQueuePosition(jobId) {
+        return this.queue.indexOf(jobId) + 1;
+    }
+
+    /**
+     * Emit the current position of every queued job
+     */
+    emitQueuePositions() {
+        this.queue.forEach((jobId, index) => {
+            this.emit('jobQueued', jobId, index + 1, this.queue.length);
+        });
     }
 
     /**
@@ -121,16 +352,81 @@ class QueueManager extends EventEmitter {
      * @returns {boolean}
      */
     canStartNewJob() {
-        return this.activeJobs.size < this.maxConcurrent && this.queue.length > 0;
+        return this.activeJobs.size < this.maxConcurrent && this.getNextJob() !== null;
     }
 
     /**
-     * Get the next job to process
+     * Get the next job to process, skipping jobs re-queued while their previous run is still settling
      * @returns {string|null} Job ID or null
      */
     getNextJob() {
-        if (this.queue.length === 0) return null;
-        return this.queue[0];
+        return this.queue.find(jobId => !this.activeJobs.has(jobId)) || null;
+    }
+
+    /**
+     * Wait for a free provider request slot. The limit is shared by all jobs
+     * so that concurrent batches together stay within the provider rate limit.
+     * Every successful acquire must be paired with releaseRequestSlot().
+     * @returns {Promise<void>}
+     */
+    acquireRequestSlot() {
+        if (this.inFlightRequests < this.maxInFlightRequests) {
+            this.inFlightRequests++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.requestWaiters.push(resolve);
+        });
+    }
+
+    /**
+     * Release a provider request slot, handing it to the next waiter if any
+     */
+    releaseRequestSlot() {
+        const next = this.requestWaiters.shift();
+        if (next) {
+            // Slot is transferred directly, inFlightRequests stays the same
+            next();
+        } else if (this.inFlightRequests > 0) {
+            this.inFlightRequests--;
+        }
+    }
+
+    /**
+     * Request slot of one image, handed back while the image sends no request
+     * (e.g. while it waits to be retried). acquire() and release() do nothing
+     * if the slot is already held or released.
+     * @returns {{acquire: Function, release: Function}}
+     */
+    createRequestSlot() {
+        let held = false;
+        return {
+            acquire: async () => {
+                if (held) return;
+                await this.acquireRequestSlot();
+                held = true;
+            },
+            release: () => {
+                if (!held) return;
+                held = false;
+                this.releaseRequestSlot();
+            }
+        };
+    }
+
+    /**
+     * Run a provider request while holding a request slot
+     * @param {Function} fn - Async function performing the request
+     * @returns {Promise<*>} Result of fn
+     */
+    async runWithRequestSlot(fn) {
+        await this.acquireRequestSlot();
+        try {
+            return await fn();
+        } finally {
+            this.releaseRequestSlot();
+        }
     }
 
     /**
@@ -138,13 +434,33 @@ class QueueManager extends EventEmitter {
      * @param {string} jobId - Job identifier
      */
     removeJob(jobId) {
+        // A running handler keeps its job slot until it settles (see dispatch)
         this.jobs.delete(jobId);
-        this.activeJobs.delete(jobId);
+        this.store.remove(jobId);
 
         const queueIndex = this.queue.indexOf(jobId);
         if (queueIndex > -1) {
             this.queue.splice(queueIndex, 1);
+            this.emitQueuePositions();
         }
+
+        this.emit('jobRemoved', jobId);
+        this.dispatch();
+    }
+
+    /**
+     * Remove completed jobs that finished more than maxAge ago
+     * @param {number} maxAge - Retention in ms
+     * @returns {Array<Object>} The removed jobs
+     */
+    pruneCompletedJobs(maxAge) {
+        const cutoff = Date.now() - maxAge;
+        // completedAt is a string in jobs restored from the store
+        const expired = this.getAllJobs().filter(job =>
+            job.status === 'completed' && job.completedAt && new Date(job.completedAt).getTime() <= cutoff);
+
+        expired.forEach(job => this.removeJob(job.jobId));
+        return expired;
     }
 
     /**
@@ -164,7 +480,10 @@ class QueueManager extends EventEmitter {
             totalJobs: this.jobs.size,
             activeJobs: this.activeJobs.size,
             queuedJobs: this.queue.length,
-            maxConcurrent: this.maxConcurrent
+            maxConcurrent: this.maxConcurrent,
+            inFlightRequests: this.inFlightRequests,
+            waitingRequests: this.requestWaiters.length,
+            maxInFlightRequests: this.maxInFlightRequests
         };
     }
 }
@@ -0,0 +1,119 @@
+// Network errors worth another attempt (timeouts, dropped or refused connections)
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number|null} value - Seconds, or an HTTP date
+ * @param {number} now - Current time in ms, for HTTP dates
+ * @returns {number|null} Delay in ms, or null if missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(parseFloat(text) * 1000);
+    }
+
+    const date = Date.parse(text);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * When and how often failed provider requests are retried. Rate limits,
+ * server errors and timeouts are retried with exponential backoff and
+ * jitter, honoring Retry-After; anything else (bad requests, invalid keys,
+ * safety blocks) fails at once, another attempt would fail the same way.
+ */
+class RetryPolicy {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxRetries - Retries after the first attempt
+     * @param {number} options.baseDelayMs - Delay before the first retry, doubled for every further one
+     * @param {number} options.maxDelayMs - Longest backoff between retries
+     * @param {number} options.maxRetryAfterMs - Longest Retry-After honored; a longer one gives up instead
+     * @param {number} options.jitter - Random share added to every delay (0.2 = up to 20% longer)
+     */
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+        this.baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 1000;
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 30000;
+        this.maxRetryAfterMs = options.maxRetryAfterMs !== undefined ? options.maxRetryAfterMs : 300000;
+        this.jitter = options.jitter !== undefined ? options.jitter : 0.2;
+    }
+
+    /**
+     * Policy configured by MAX_RETRIES, RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS and RETRY_MAX_AFTER_MS
+     * @param {Object} env - Environment variables
+     * @returns {RetryPolicy}
+     */
+    static fromEnv(env = process.env) {
+        const number = (name) => {
+            const value = parseInt(env[name], 10);
+            return Number.isNaN(value) || value < 0 ? undefined : value;
+        };
+        return new RetryPolicy({
+            maxRetries: number('MAX_RETRIES'),
+            baseDelayMs: number('RETRY_BASE_DELAY_MS'),
+            maxDelayMs: number('RETRY_MAX_DELAY_MS'),
+            maxRetryAfterMs: number('RETRY_MAX_AFTER_MS')
+        });
+    }
+
+    /**
+     * Decide whether a failed request is worth another attempt
+     * @param {Object} failure - { status, code, fatal, retryable } as described by the processor
+     * @returns {boolean}
+     */
+    isRetryable(failure) {
+        if (failure.fatal) return false;
+        if (failure.status) {
+            return failure.status === 408 || failure.status === 429 || failure.status >= 500;
+        }
+        if (failure.code && RETRYABLE_CODES.includes(failure.code)) return true;
+        return Boolean(failure.retryable);
+    }
+
+    /**
+     * Delay before a retry
+     * @param {number} attempt - Attempts made so far minus one (0 before the first retry)
+     * @param {number|null} retryAfterMs - Delay asked for by the provider
+     * @returns {number|null} Delay in ms, or null if the provider asks to wait longer than maxRetryAfterMs
+     */
+    getDelay(attempt, retryAfterMs = null) {
+        if (retryAfterMs !== null && retryAfterMs > this.maxRetryAfterMs) return null;
+
+        const backoff = Math.min(this.baseDelayMs * Math.pow(2, attempt), this.maxDelayMs);
+        const delay = Math.max(backoff, retryAfterMs || 0);
+        // Spread out retries of images that failed together, never below Retry-After
+        return Math.round(delay * (1 + Math.random() * this.jitter));
+    }
+
+    /**
+     * Wait before a retry
+     * @param {number} ms - Delay
+     * @param {AbortSignal|null} signal - Ends the wait early when aborted
+     * @returns {Promise<boolean>} False if aborted
+     */
+    wait(ms, signal = null) {
+        if (signal && signal.aborted) return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve(false);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(true);
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    parseRetryAfter
+};
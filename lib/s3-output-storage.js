@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+// Percent-encoding as required by AWS Signature Version 4 (RFC 3986 unreserved characters only)
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Query string with sorted, RFC 3986-encoded parameters, as signed and as sent
+function canonicalQuery(params) {
+    return params
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ISO 8601 basic format used by SigV4, e.g. 20130524T000000Z
+function formatAmzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * Output storage in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ * Requests are signed with AWS Signature Version 4; clients get
+ * time-limited presigned URLs instead of going through the app.
+ */
+class S3OutputStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket - Bucket name
+     * @param {string} options.region - Region, "us-east-1" for most S3-compatible servers
+     * @param {string} options.endpoint - Endpoint URL, defaults to AWS S3 in the region
+     * @param {string} options.accessKeyId - Access key
+     * @param {string} options.secretAccessKey - Secret key
+     * @param {string} options.prefix - Prepended to every key, e.g. "outputs/"
+     * @param {boolean} options.forcePathStyle - Address the bucket in the path instead of the host name
+     * @param {number} options.urlExpires - Lifetime of presigned URLs in seconds
+     */
+    constructor(options = {}) {
+        if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+        }
+
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        this.prefix = options.prefix || '';
+        // Custom endpoints (MinIO and friends) rarely have per-bucket host names
+        this.forcePathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(options.endpoint);
+        this.urlExpires = options.urlExpires || 3600;
+    }
+
+    /**
+     * @returns {Date} Signing time, overridable in tests
+     */
+    now() {
+        return new Date();
+    }
+
+    /**
+     * URL of an object
+     * @param {string} key - Storage key (without prefix)
+     * @returns {URL}
+     */
+    getObjectUrl(key) {
+        const url = new URL(this.endpoint.href);
+        const objectPath = `${this.prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+        const basePath = url.pathname.replace(/\/$/, '');
+
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${objectPath}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${objectPath}`;
+        }
+        return url;
+    }
+
+    /**
+     * Compute a Signature Version 4 signature
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL, query included
+     * @param {Object} headers - Lower-case name -> value of the signed headers
+     * @param {string} payloadHash - Hex SHA-256 of the body, or "UNSIGNED-PAYLOAD"
+     * @param {Date} date - Signing time
+     * @returns {{signature: string, signedHeaders: string, credential: string}}
+     */
+    sign(method, url, headers, payloadHash, date) {
+        const amzDate = formatAmzDate(date);
+        const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+        const query = canonicalQuery(Array.from(url.searchParams.entries()));
+        const names = Object.keys(headers).sort();
+        const signedHeaders = names.join(';');
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            query,
+            names.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        let key = hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8));
+        for (const part of [this.region, 's3', 'aws4_request']) {
+            key = hmac(key, part);
+        }
+
+        return {
+            signature: crypto.createHmac('sha256', key).update(stringToSign).digest('hex'),
+            signedHeaders,
+            credential: `${this.accessKeyId}/${scope}`
+        };
+    }
+
+    /**
+     * Send a signed request for an object
+     * @param {string} method - HTTP method
+     * @param {string} key - Storage key
+     * @param {Object} options - { data, headers, responseType }
+     * @returns {Promise<Object>} Axios response (any status)
+     */
+    async request(method, key, { data = null, headers = {}, responseType = 'arraybuffer' } = {}) {
+        const url = this.getObjectUrl(key);
+        const date = this.now();
+        const payloadHash = sha256(data || '');
+        const signed = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': formatAmzDate(date)
+        };
+        const { signature, signedHeaders, credential } = this.sign(method, url, signed, payloadHash, date);
+
+        const { host, ...sent } = signed;
+        return axios({
+            method,
+            url: url.href,
+            data: data || undefined,
+            headers: {
+                ...sent,
+                Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            },
+            responseType,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            timeout: 60000,
+            validateStatus: () => true
+        });
+    }
+
+    // Error for a failed S3 response, with the S3 error code if the body has one
+    responseError(action, key, response) {
+        const code = Buffer.isBuffer(response.data) && /<Code>([^<]+)<\/Code>/.exec(response.data.toString());
+        return new Error(`S3 ${action} of ${key} failed with status ${response.status}${code ? ` (${code[1]})` : ''}`);
+    }
+
+    /**
+     * Store an output
+     * @param {string} key - Storage key
+     * @param {Buffer} data - File contents
+     * @param {string} contentType - MIME type, served with presigned downloads
+     * @returns {Promise<string>} The key
+     */
+    async save(key, data, contentType) {
+        const response = await this.request('PUT', key, {
+            data,
+            headers: { 'Content-Type': contentType || 'application/octet-stream' }
+        });
+        if (response.status !== 200) {
+            throw this.responseError('upload', key, response);
+        }
+        return key;
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>}
+     */
+    async exists(key) {
+        const response = await this.request('HEAD', key);
+        if (response.status === 404) return false;
+        if (response.status !== 200) {
+            throw this.responseError('lookup', key, response);
+        }
+        return true;
+    }
+
+    /**
+     * Stream an object. The request is only sent once the stream is read,
+     * so a zip with many entries does not open a connection per entry up front.
+     * @param {string} key - Storage key
+     * @returns {Readable}
+     */
+    createReadStream(key) {
+        let body = null;
+        let requested = false;
+
+        const readable = new Readable({
+            read: () => {
+                if (body) {
+                    body.resume();
+                    return;
+                }
+                if (requested) return;
+                requested = true;
+
+                this.request('GET', key, { responseType: 'stream' }).then(response => {
+                    if (readable.destroyed) {
+                        response.data.destroy();
+                        return;
+                    }
+                    if (response.status !== 200) {
+                        response.data.resume();
+                        throw this.responseError('download', key, response);
+                    }
+
+                    body = response.data;
+                    body.on('data', chunk => {
+                        if (!readable.push(chunk)) body.pause();
+                    });
+                    body.on('end', () => readable.push(null));
+                    body.on('error', error => readable.destroy(error));
+                }).catch(error => readable.destroy(error));
+            },
+            destroy: (error, callback) => {
+                if (body) body.destroy();
+                callback(error);
+            }
+        });
+
+        return readable;
+    }
+
+    /**
+     * Delete an output; missing outputs are ignored
+     * @param {string} key - Storage key
+     */
+    async remove(key) {
+        const response = await this.request('DELETE', key);
+        if (response.status !== 204 && response.status !== 200 && response.status !== 404) {
+            throw this.responseError('delete', key, response);
+        }
+    }
+
+    /**
+     * Presigned GET URL of an output
+     * @param {string} key - Storage key
+     * @param {Object} options - { downloadName }: sent as an attachment with this file name
+     * @returns {string}
+     */
+    getSignedUrl(key, { downloadName = null } = {}) {
+        const url = this.getObjectUrl(key);
+        const date = this.now();
+        const amzDate = formatAmzDate(date);
+        const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+        const params = [
+            ['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
+            ['X-Amz-Credential', `${this.accessKeyId}/${scope}`],
+            ['X-Amz-Date', amzDate],
+            ['X-Amz-Expires', String(this.urlExpires)],
+            ['X-Amz-SignedHeaders', 'host']
+        ];
+        if (downloadName) {
+            params.push(['response-content-disposition', `attachment; filename="${downloadName.replace(/["\\]/g, '_')}"`]);
+        }
+        params.forEach(([name, value]) => url.searchParams.set(name, value));
+
+        const { signature } = this.sign('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD', date);
+        // URLSearchParams would encode spaces as "+", which S3 does not sign that way
+        return `${url.origin}${url.pathname}?${canonicalQuery(params)}&X-Amz-Signature=${signature}`;
+    }
+}
+
+module.exports = S3OutputStorage;
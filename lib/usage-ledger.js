@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+const { addUsage } = require('./pricing');
+
+/**
+ * Running spend per provider API key, kept in a JSON file so it outlives
+ * jobs and restarts. Keys are stored as a hash with their last characters
+ * as a hint, never in full.
+ */
+class UsageLedger {
+    /**
+     * @param {string} filePath - Path of the JSON file holding the ledger
+     */
+    constructor(filePath) {
+        this.file = new JsonFile(filePath, 'usage ledger');
+        this.entries = null; // key id -> entry, loaded on first use
+        this.loading = null;
+    }
+
+    /**
+     * Identifier of an API key in the ledger
+     * @param {string} provider - Provider identifier
+     * @param {string|undefined} apiKey - API key, empty for providers used without one
+     * @returns {string}
+     */
+    static keyId(provider, apiKey) {
+        return crypto.createHash('sha256').update(`${provider}:${apiKey || ''}`).digest('hex').slice(0, 16);
+    }
+
+    // Read the file once, concurrent callers share the same read
+    load() {
+        if (!this.loading) {
+            this.loading = this.file.read().then(data => {
+                this.entries = new Map();
+                for (const entry of Array.isArray(data.keys) ? data.keys : []) {
+                    if (entry && entry.keyId && entry.usage) {
+                        this.entries.set(entry.keyId, entry);
+                    }
+                }
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * @returns {Promise<Array>} All keys, most recently used first
+     */
+    async list() {
+        await this.load();
+        return Array.from(this.entries.values())
+            .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+    }
+
+    /**
+     * Spend recorded for an API key
+     * @param {string} provider - Provider identifier
+     * @param {string|undefined} apiKey - API key
+     * @returns {Promise<number>} Cost in USD
+     */
+    async getCost(provider, apiKey) {
+        await this.load();
+        const entry = this.entries.get(UsageLedger.keyId(provider, apiKey));
+        return entry ? entry.usage.cost : 0;
+    }
+
+    /**
+     * Add the usage of a request to its API key
+     * @param {string} provider - Provider identifier
+     * @param {string|undefined} apiKey - API key the request was sent with
+     * @param {Object} usage - Request usage or totals (see pricing.addUsage)
+     * @returns {Promise<Object>} The updated entry
+     */
+    async record(provider, apiKey, usage) {
+        await this.load();
+        const keyId = UsageLedger.keyId(provider, apiKey);
+        const now = new Date().toISOString();
+        const existing = this.entries.get(keyId);
+
+        const entry = {
+            keyId,
+            provider,
+            keyHint: apiKey ? `…${apiKey.slice(-4)}` : null,
+            usage: addUsage(existing ? existing.usage : null, usage),
+            firstUsedAt: existing ? existing.firstUsedAt : now,
+            lastUsedAt: now
+        };
+
+        this.entries.set(keyId, entry);
+        await this.write();
+        return entry;
+    }
+
+    write() {
+        return this.file.write({ keys: Array.from(this.entries.values()) });
+    }
+}
+
+module.exports = UsageLedger;
@@ -1,93 +1,263 @@
 const archiver = require('archiver');
 const fs = require('fs');
 const path = require('path');
+const { expandPrompt, formatCsv } = require('./prompt-template');
+
+const MANIFEST_FORMATS = ['json', 'csv'];
+const LAYOUTS = ['flat', 'folders'];
+// Statuses images of a finished job can have, to download a subset
+const IMAGE_STATUSES = ['completed', 'failed', 'cancelled'];
+// Placeholders of the filename pattern
+const PATTERN_VARIABLES = ['original', 'index', 'model', 'provider', 'variation', 'jobId'];
+// Name of results downloaded without a pattern, e.g. photo_gemini-2.5-flash-image.png
+const DEFAULT_PATTERN = '{original}_{model}';
+const MANIFEST_COLUMNS = ['index', 'source', 'output', 'original', 'prompt', 'model', 'provider', 'status', 'error', 'analysis'];
+// Results checked for existence at the same time (one HEAD request each with S3)
+const EXISTS_CONCURRENCY = 8;
+
+/**
+ * Make a zip entry name unique among the names already used, by numbering
+ * repeats before the extension (photo.png, photo_2.png, ...)
+ * @param {string} name - Wanted entry name
+ * @param {Set<string>} used - Lower-cased names taken so far, updated
+ * @returns {string}
+ */
+function uniqueName(name, used) {
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+    let candidate = name;
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${base}_${n}${extension}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Map items with an async function, running at most `limit` calls at once
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum calls in flight
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} Results in the order of the items
+ */
+async function mapWithLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
 
 class ZipGenerator {
     /**
-     * Create a zip file from processed images
-     * @param {Array} imagePaths - Array of image file paths to include
-     * @param {string} outputPath - Path where the zip file should be saved
-     * @returns {Promise<string>} Path to the created zip file
+     * Validate the download options of a job zip
+     * @param {Object} raw - { manifest, originals, layout, pattern, images, status } as sent in the query string
+     * @returns {{options?: Object, error?: string}} Normalized options, or an error message
      */
-    static async createZip(imagePaths, outputPath) {
+    static normalizeOptions(raw = {}) {
+        let manifest = MANIFEST_FORMATS;
+        if (raw.manifest === 'none') {
+            manifest = [];
+        } else if (raw.manifest) {
+            manifest = String(raw.manifest).split(',').map(format => format.trim().toLowerCase());
+            if (manifest.some(format => !MANIFEST_FORMATS.includes(format))) {
+                return { error: 'Manifest must be json, csv, json,csv or none' };
+            }
+        }
+
+        const layout = raw.layout || 'flat';
+        if (!LAYOUTS.includes(layout)) {
+            return { error: `Layout must be one of: ${LAYOUTS.join(', ')}` };
+        }
+
+        let images = null;
+        if (raw.images !== undefined && raw.images !== '') {
+            images = String(raw.images).split(',').map(index => Number(index.trim()));
+            if (images.some(index => !Number.isInteger(index) || index < 0)) {
+                return { error: 'Images must be a comma-separated list of image indexes' };
+            }
+        }
+
+        let status = null;
+        if (raw.status) {
+            status = String(raw.status).split(',').map(value => value.trim());
+            if (status.some(value => !IMAGE_STATUSES.includes(value))) {
+                return { error: `Status must be a comma-separated list of: ${IMAGE_STATUSES.join(', ')}` };
+            }
+        }
+
+        const pattern = typeof raw.pattern === 'string' && raw.pattern.trim() ? raw.pattern.trim() : null;
+        if (pattern) {
+            if (pattern.length > 200) {
+                return { error: 'Filename pattern must be at most 200 characters' };
+            }
+            const unknown = (pattern.match(/\{([\w.-]+)\}/g) || [])
+                .find(placeholder => !PATTERN_VARIABLES.includes(placeholder.slice(1, -1)));
+            if (unknown) {
+                return { error: `Unknown filename placeholder ${unknown}, use ${PATTERN_VARIABLES.map(name => `{${name}}`).join(', ')}` };
+            }
+        }
+
+        return {
+            options: {
+                manifest,
+                originals: raw.originals === true || raw.originals === 'true' || raw.originals === '1',
+                layout,
+                pattern,
+                images,
+                status
+            }
+        };
+    }
+
+    /**
+     * User-facing name of a result, in zips and single downloads: built from
+     * the source file name and the job's settings, never from the storage key
+     * @param {Object} job - Job object
+     * @param {Object} image - Completed image of the job
+     * @param {number} index - Image index
+     * @param {string|null} pattern - Filename pattern, e.g. "{original}_{model}_{index}", defaults to "{original}_{model}"
+     * @returns {string}
+     */
+    static getOutputName(job, image, index, pattern = null) {
+        const name = expandPrompt(pattern || DEFAULT_PATTERN, {
+            original: path.parse(image.name || path.basename(image.path)).name,
+            index: index + 1,
+            model: (image.settings && image.settings.model) || job.settings.model,
+            provider: job.settings.provider,
+            variation: image.variation,
+            jobId: job.jobId
+        });
+
+        // Placeholders without a value (e.g. {variation} of an upload) are dropped
+        const base = name.replace(/\{[\w.-]+\}/g, '').replace(/[^\w.-]+/g, '_').replace(/^[._]+|_+$/g, '');
+        return `${base || `image_${index + 1}`}${path.extname(image.outputKey)}`;
+    }
+
+    /**
+     * Stream a zip archive into a writable stream (e.g. an HTTP response).
+     * Image files are compressed already and are stored as they are;
+     * generated text entries are deflated.
+     * @param {Array<Object>} files - { key, name } (output storage), { path, name } (local file) or { data, name } entries
+     * @param {Writable} output - Destination stream
+     * @param {Object} storage - Output storage the keys belong to
+     * @returns {Promise<void>} Resolves once the archive is written or the destination closed
+     */
+    static streamZip(files, output, storage) {
         return new Promise((resolve, reject) => {
-            // Create output stream
-            const output = fs.createWriteStream(outputPath);
-            const archive = archiver('zip', {
-                zlib: { level: 9 } // Maximum compression
-            });
+            const archive = archiver('zip', { zlib: { level: 9 } });
+            let finished = false;
 
-            // Listen for events
-            output.on('close', () => {
-                console.log(`Zip created: ${archive.pointer()} total bytes`);
-                resolve(outputPath);
+            archive.on('error', (err) => {
+                reject(err);
             });
 
-            output.on('error', (err) => {
-                reject(err);
+            output.on('finish', () => {
+                finished = true;
+                console.log(`Zip streamed: ${archive.pointer()} total bytes`);
+                resolve();
             });
 
-            archive.on('error', (err) => {
-                reject(err);
+            // The client went away before the end, stop reading files
+            output.on('close', () => {
+                if (!finished) {
+                    archive.abort();
+                    resolve();
+                }
             });
 
-            // Pipe archive data to the file
             archive.pipe(output);
 
-            // Add files to the archive
-            imagePaths.forEach((imagePath, index) => {
-                if (fs.existsSync(imagePath)) {
-                    const filename = path.basename(imagePath);
-                    archive.file(imagePath, { name: filename });
+            files.forEach(file => {
+                if (file.data) {
+                    archive.append(file.data, { name: file.name });
+                } else if (file.key) {
+                    archive.append(storage.createReadStream(file.key), { name: file.name, store: true });
+                } else if (fs.existsSync(file.path)) {
+                    archive.file(file.path, { name: file.name, store: true });
                 }
             });
 
-            // Finalize the archive
             archive.finalize();
         });
     }
 
     /**
-     * Create a zip file for a job's processed images
+     * List the entries of a job's zip: the selected results, optionally
+     * their source uploads, and a manifest of the selected images
      * @param {Object} job - Job object with image data
      * @param {string} jobId - Job identifier
-     * @returns {Promise<string>} Path to the created zip file
+     * @param {Object} storage - Output storage holding the results
+     * @param {Object} options - From normalizeOptions
+     * @returns {Promise<Array<Object>|null>} Entries for streamZip, or null if no image file is selected
      */
-    static async createJobZip(job, jobId) {
-        // Get all successfully processed images
-        const processedImages = job.images
-            .filter(img => img.status === 'completed' && img.outputPath)
-            .map(img => img.outputPath);
-
-        if (processedImages.length === 0) {
-            throw new Error('No processed images to zip');
+    static async getJobFiles(job, jobId, storage, options = this.normalizeOptions().options) {
+        const folders = options.layout === 'folders';
+        const textToImage = job.settings.mode === 'text-to-image';
+        const used = new Set(['manifest.json', 'manifest.csv', 'failed.txt']);
+        const files = [];
+        const originals = new Map(); // Source path -> entry name, manifest entries may share a source
+        const records = [];
+
+        const selected = Array.from(job.images.entries()).filter(([i, image]) =>
+            (!options.images || options.images.includes(i)) && (!options.status || options.status.includes(image.status)));
+        const available = await mapWithLimit(selected, EXISTS_CONCURRENCY, ([, image]) =>
+            (image.status === 'completed' && image.outputKey ? storage.exists(image.outputKey) : false));
+
+        for (const [n, [i, image]] of selected.entries()) {
+            let output = null;
+            if (available[n]) {
+                output = uniqueName(`${folders ? 'enhanced/' : ''}${this.getOutputName(job, image, i, options.pattern)}`, used);
+                files.push({ key: image.outputKey, name: output });
+            }
+
+            // Uploads are deleted a while after the job finished
+            if (options.originals && !textToImage && !originals.has(image.path) && fs.existsSync(image.path)) {
+                const name = uniqueName(`${folders ? 'originals/' : ''}${image.name || path.basename(image.path)}`, used);
+                originals.set(image.path, name);
+                files.push({ path: image.path, name });
+            }
+
+            records.push({
+                index: i + 1,
+                source: textToImage ? null : image.name || path.basename(image.path),
+                output,
+                original: originals.get(image.path) || null,
+                prompt: image.expandedPrompt || image.prompt || job.settings.prompt || null,
+                model: (image.settings && image.settings.model) || job.settings.model || null,
+                provider: job.settings.provider || null,
+                status: image.status,
+                error: image.error || null,
+                analysis: image.analysis || null
+            });
         }
 
-        // Create temp directory for zips if it doesn't exist
-        const isVercel = process.env.VERCEL === '1';
-        const storageBaseDir = isVercel ? require('os').tmpdir() : process.cwd();
-        const tempDir = path.join(storageBaseDir, 'temp');
-        if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
+        if (files.length === 0) {
+            return null;
         }
 
-        const zipPath = path.join(tempDir, `${jobId}.zip`);
-        return await this.createZip(processedImages, zipPath);
-    }
+        if (options.manifest.includes('json')) {
+            const manifest = { jobId, provider: job.settings.provider, createdAt: job.createdAt, images: records };
+            files.push({ data: Buffer.from(JSON.stringify(manifest, null, 2)), name: 'manifest.json' });
+        }
+        if (options.manifest.includes('csv')) {
+            files.push({ data: Buffer.from(formatCsv(records, MANIFEST_COLUMNS)), name: 'manifest.csv' });
+        }
 
-    /**
-     * Clean up a zip file
-     * @param {string} zipPath - Path to the zip file to delete
-     */
-    static async cleanup(zipPath) {
-        try {
-            if (fs.existsSync(zipPath)) {
-                fs.unlinkSync(zipPath);
-                console.log(`Cleaned up zip: ${zipPath}`);
-            }
-        } catch (error) {
-            console.error('Error cleaning up zip:', error);
+        const failed = records.filter(record => record.status === 'failed' || record.status === 'cancelled');
+        if (folders && failed.length > 0) {
+            const lines = failed.map(record =>
+                `${record.index}. ${job.images[record.index - 1].name || record.source}: ${record.error || record.status}`);
+            files.push({ data: Buffer.from(`${lines.join('\n')}\n`), name: 'failed.txt' });
         }
+
+        return files;
     }
 }
 
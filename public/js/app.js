@@ -1,20 +1,35 @@
 // Application State
 let selectedFiles = [];
+let imagePrompts = []; // Per-image prompts, parallel to selectedFiles ('' = use the main prompt)
 let currentJobId = null;
+let currentJobProvider = null; // Provider of the job shown in the results, used to retry it
 let pollingInterval = null;
+let eventSource = null; // Live job updates via Server-Sent Events
+let eventStreamErrors = 0; // Stream errors since the last successful connection
 let imageRouterModels = []; // Store fetched models
 let imageRouterAllModels = []; // Store all models before filtering
 let selectedImageRouterSize = null; // ImageRouter specific settings
 let selectedImageRouterQuality = 'auto';
 let selectedMode = 'image-to-image'; // Default mode
+let availableProviders = []; // Provider descriptions from /api/providers
+let modelCatalog = []; // Models of all providers with their capabilities, from /api/models
+let presets = []; // Saved presets from /api/presets
 
 // DOM Elements
 const uploadZone = document.getElementById('uploadZone');
 const fileInput = document.getElementById('fileInput');
 const selectedFilesContainer = document.getElementById('selectedFiles');
 const promptInput = document.getElementById('promptInput');
+const promptDataInput = document.getElementById('promptDataInput');
+const manifestInput = document.getElementById('manifestInput');
+const promptsFileInput = document.getElementById('promptsFileInput');
+const variationsInput = document.getElementById('variationsInput');
+const presetSelect = document.getElementById('presetSelect');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const presetImportInput = document.getElementById('presetImportInput');
 const apiKeyInput = document.getElementById('apiKeyInput');
 const imageRouterApiKeyInput = document.getElementById('imageRouterApiKeyInput');
+const genericApiKeyInput = document.getElementById('genericApiKeyInput');
 const uploadBtn = document.getElementById('uploadBtn');
 const uploadSection = document.getElementById('uploadSection');
 const processingSection = document.getElementById('processingSection');
@@ -25,13 +40,18 @@ const imageList = document.getElementById('imageList');
 const resultsSummary = document.getElementById('resultsSummary');
 const downloadBtn = document.getElementById('downloadBtn');
 const newBatchBtn = document.getElementById('newBatchBtn');
+const cancelJobBtn = document.getElementById('cancelJobBtn');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
 const toastContainer = document.getElementById('toastContainer');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     setupEventListeners();
     loadApiKey();
+    loadProviders();
+    loadModelCatalog();
     loadImageRouterModels(); // Load models on page load
+    loadPresets();
 });
 
 // API Key Management
@@ -55,30 +75,69 @@ function saveApiKey() {
     if (imageRouterKey) {
         sessionStorage.setItem('imagerouter_api_key', imageRouterKey);
     }
+    const genericKey = genericApiKeyInput.value.trim();
+    if (genericKey) {
+        sessionStorage.setItem(`${getSelectedProvider()}_api_key`, genericKey);
+    }
 }
 
-function validateApiKey() {
-    const provider = document.querySelector('input[name="provider"]:checked').value;
+// Provider Helpers
+function getSelectedProvider() {
+    const radio = document.querySelector('input[name="provider"]:checked');
+    return radio ? radio.value : 'gemini';
+}
+
+function getProviderInfo(providerId) {
+    return availableProviders.find(p => p.id === providerId) || null;
+}
+
+// API key input for a provider - dedicated inputs for Gemini and ImageRouter, shared input otherwise
+function getApiKeyInput(provider) {
+    if (provider === 'gemini') return apiKeyInput;
+    if (provider === 'imagerouter') return imageRouterApiKeyInput;
+    return genericApiKeyInput;
+}
+
+// API key entered for a provider; the shared input only holds the key of the selected provider
+function getEnteredApiKey(provider) {
+    if (provider === 'gemini' || provider === 'imagerouter' || provider === getSelectedProvider()) {
+        return getApiKeyInput(provider).value.trim();
+    }
+    return (sessionStorage.getItem(`${provider}_api_key`) || '').trim();
+}
 
+function getSelectedModel(provider) {
+    let radio;
     if (provider === 'imagerouter') {
-        const apiKey = imageRouterApiKeyInput.value.trim();
-        if (!apiKey) {
-            showToast('Please enter your ImageRouter API key', 'error');
-            imageRouterApiKeyInput.focus();
-            return false;
-        }
+        radio = document.querySelector('input[name="imageRouterModel"]:checked');
+    } else if (provider === 'gemini') {
+        radio = document.querySelector('input[name="model"]:checked');
     } else {
-        const apiKey = apiKeyInput.value.trim();
-        if (!apiKey) {
-            showToast('Please enter your Gemini API key', 'error');
-            apiKeyInput.focus();
-            return false;
-        }
-        if (!apiKey.startsWith('AIza')) {
-            showToast('Invalid API key format. Key should start with "AIza"', 'error');
-            apiKeyInput.focus();
-            return false;
-        }
+        radio = document.querySelector('input[name="genericModel"]:checked');
+    }
+    return radio ? radio.value : '';
+}
+
+function validateApiKey() {
+    const provider = getSelectedProvider();
+    const providerInfo = getProviderInfo(provider);
+
+    if (providerInfo && !providerInfo.requiresApiKey) {
+        return true;
+    }
+
+    const input = getApiKeyInput(provider);
+    const apiKey = input.value.trim();
+    if (!apiKey) {
+        const name = provider === 'gemini' ? 'Gemini' : (providerInfo ? providerInfo.name : provider);
+        showToast(`Please enter your ${name} API key`, 'error');
+        input.focus();
+        return false;
+    }
+    if (provider === 'gemini' && !apiKey.startsWith('AIza')) {
+        showToast('Invalid API key format. Key should start with "AIza"', 'error');
+        input.focus();
+        return false;
     }
     return true;
 }
@@ -105,11 +164,19 @@ function setupEventListeners() {
     // New batch button
     newBatchBtn.addEventListener('click', resetApp);
 
+    // Cancel running job
+    cancelJobBtn.addEventListener('click', handleCancelJob);
+
+    // Retry failed images of a finished job
+    retryFailedBtn.addEventListener('click', handleRetryFailed);
+
     // API key input - save on change
     apiKeyInput.addEventListener('change', saveApiKey);
     apiKeyInput.addEventListener('blur', saveApiKey);
     imageRouterApiKeyInput.addEventListener('change', saveApiKey);
     imageRouterApiKeyInput.addEventListener('blur', saveApiKey);
+    genericApiKeyInput.addEventListener('change', saveApiKey);
+    genericApiKeyInput.addEventListener('blur', saveApiKey);
 
     // Provider selection change
     document.querySelectorAll('input[name="provider"]').forEach(radio => {
@@ -121,64 +188,528 @@ function setupEventListeners() {
         radio.addEventListener('change', toggleModeUI);
     });
 
-    // Model selection change - update cost estimate and show/hide advanced settings
-    document.querySelectorAll('input[name="model"]').forEach(radio => {
+    // Resolution change - update cost estimate
+    document.getElementById('imageSize').addEventListener('change', updateCostEstimate);
+
+    // Text-to-image batches: the number of prompts and variations drive the cost estimate
+    promptInput.addEventListener('input', () => {
+        if (selectedMode === 'text-to-image') updateCostEstimate();
+    });
+    variationsInput.addEventListener('input', updateCostEstimate);
+    promptsFileInput.addEventListener('change', handlePromptsFile);
+
+    // Presets
+    presetSelect.addEventListener('change', handlePresetSelect);
+    document.getElementById('savePresetBtn').addEventListener('click', handleSavePreset);
+    deletePresetBtn.addEventListener('click', handleDeletePreset);
+    document.getElementById('exportPresetsBtn').addEventListener('click', handleExportPresets);
+    document.getElementById('importPresetsBtn').addEventListener('click', () => presetImportInput.click());
+    presetImportInput.addEventListener('change', handleImportPresets);
+
+    // Output settings
+    document.getElementById('outputFormat').addEventListener('change', toggleOutputSettings);
+    document.getElementById('resizeMode').addEventListener('change', toggleOutputSettings);
+}
+
+// Show the output inputs that apply to the chosen format and resize mode
+function toggleOutputSettings() {
+    const format = document.getElementById('outputFormat').value;
+    const resizeMode = document.getElementById('resizeMode').value;
+
+    // PNG is lossless, there is no quality to choose
+    document.getElementById('outputQualityGroup').classList.toggle('hidden', format === 'png');
+    document.getElementById('resizeMaxEdgeGroup').classList.toggle('hidden', resizeMode !== 'max');
+    document.getElementById('resizeWidthGroup').classList.toggle('hidden', resizeMode !== 'exact');
+    document.getElementById('resizeHeightGroup').classList.toggle('hidden', resizeMode !== 'exact');
+}
+
+// Output conversion and resizing settings, sent with every upload
+function appendOutputSettings(formData) {
+    const resizeMode = document.getElementById('resizeMode').value;
+
+    formData.append('outputFormat', document.getElementById('outputFormat').value);
+    formData.append('outputQuality', document.getElementById('outputQuality').value);
+    formData.append('resizeMode', resizeMode);
+    if (resizeMode === 'exact') {
+        formData.append('resizeWidth', document.getElementById('resizeWidth').value);
+        formData.append('resizeHeight', document.getElementById('resizeHeight').value);
+    } else if (resizeMode === 'max') {
+        formData.append('resizeMaxEdge', document.getElementById('resizeMaxEdge').value);
+    }
+
+    for (const id of ['embedProvenance', 'keepCopyright', 'keepCamera', 'keepGps']) {
+        formData.append(id, document.getElementById(id).checked ? 'true' : 'false');
+    }
+
+    // Empty for no spending cap; hidden for providers that report no costs
+    if (!document.getElementById('budgetSettings').classList.contains('hidden')) {
+        formData.append('budget', document.getElementById('budget').value);
+    }
+}
+
+// Presets
+async function loadPresets(selectedId = presetSelect.value) {
+    try {
+        const response = await fetch('/api/presets');
+        const data = await response.json();
+        presets = data.presets || [];
+        renderPresetOptions(selectedId);
+    } catch (error) {
+        console.error('Error loading presets:', error);
+    }
+}
+
+function renderPresetOptions(selectedId) {
+    presetSelect.innerHTML = '<option value="">No preset</option>' + presets.map(preset => `
+        <option value="${escapeHtml(preset.id)}">${escapeHtml(preset.name)}</option>
+    `).join('');
+    presetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+    deletePresetBtn.disabled = !presetSelect.value;
+}
+
+function handlePresetSelect() {
+    deletePresetBtn.disabled = !presetSelect.value;
+
+    const preset = presets.find(p => p.id === presetSelect.value);
+    if (preset) {
+        applyPreset(preset);
+    }
+}
+
+// Current prompt and settings, as stored in a preset
+function getCurrentSettings() {
+    const provider = getSelectedProvider();
+    const settings = {
+        provider,
+        prompt: promptInput.value.trim(),
+        model: getSelectedModel(provider)
+    };
+
+    if (provider === 'gemini') {
+        settings.aspectRatio = document.getElementById('aspectRatio').value;
+        settings.imageSize = document.getElementById('imageSize').value;
+        settings.safetyThreshold = document.getElementById('safetyThreshold').value;
+    } else if (provider === 'imagerouter') {
+        settings.quality = selectedImageRouterQuality;
+        settings.size = selectedImageRouterSize || 'auto';
+    } else {
+        settings.quality = document.getElementById('genericQuality').value || 'auto';
+        settings.size = document.getElementById('genericSize').value || 'auto';
+    }
+
+    return settings;
+}
+
+// Select a value only if the select offers it
+function setSelectValue(select, value) {
+    if (value && Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
+        return true;
+    }
+    return false;
+}
+
+// Check a radio of a group by value, notifying its listeners
+function checkRadio(name, value) {
+    const radio = Array.from(document.querySelectorAll(`input[name="${name}"]`)).find(r => r.value === value);
+    if (!radio) return false;
+    if (!radio.checked) {
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change'));
+    }
+    return true;
+}
+
+async function applyPreset(preset) {
+    if (preset.prompt) {
+        promptInput.value = preset.prompt;
+    }
+
+    if (preset.provider && !checkRadio('provider', preset.provider)) {
+        showToast(`Provider "${preset.provider}" of this preset is not available`, 'error');
+        return;
+    }
+
+    const provider = getSelectedProvider();
+    let missing = false;
+
+    if (provider === 'gemini') {
+        missing = preset.model && !checkRadio('model', preset.model);
+        // The options offered depend on the model, select them once it is checked
+        toggleAdvancedSettings();
+        setSelectValue(document.getElementById('aspectRatio'), preset.aspectRatio);
+        setSelectValue(document.getElementById('imageSize'), preset.imageSize);
+        setSelectValue(document.getElementById('safetyThreshold'), preset.safetyThreshold || '');
+    } else if (provider === 'imagerouter') {
+        const radio = Array.from(document.querySelectorAll('input[name="imageRouterModel"]'))
+            .find(r => r.value === preset.model);
+        if (radio) {
+            radio.checked = true;
+            await fetchModelDetails(preset.model);
+
+            // Size badges and quality options depend on the model details
+            const badge = Array.from(document.querySelectorAll('#irModelDetailsSizes .size-badge'))
+                .find(b => b.dataset.size === preset.size);
+            if (badge) badge.click();
+            if (setSelectValue(document.getElementById('irQualitySelect'), preset.quality)) {
+                selectedImageRouterQuality = preset.quality;
+            }
+        } else {
+            missing = !!preset.model;
+        }
+    } else {
+        missing = preset.model && !checkRadio('genericModel', preset.model);
+        renderGenericSettings(provider);
+        setSelectValue(document.getElementById('genericSize'), preset.size);
+        setSelectValue(document.getElementById('genericQuality'), preset.quality);
+    }
+
+    updateCostEstimate();
+    if (missing) {
+        showToast(`Model "${preset.model}" of this preset is not available, kept the current model`, 'error');
+    } else {
+        showToast(`Preset "${preset.name}" applied`, 'success');
+    }
+}
+
+async function handleSavePreset() {
+    const current = presets.find(p => p.id === presetSelect.value);
+    const name = (window.prompt('Preset name', current ? current.name : '') || '').trim();
+    if (!name) return;
+
+    // Saving under an existing name overwrites that preset
+    const existing = presets.find(p => p.name.toLowerCase() === name.toLowerCase());
+    if (existing && !window.confirm(`Overwrite the preset "${existing.name}"?`)) return;
+
+    try {
+        const response = await fetch(existing ? `/api/presets/${existing.id}` : '/api/presets', {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, ...getCurrentSettings() })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save preset');
+        }
+
+        await loadPresets(data.preset.id);
+        showToast(`Preset "${name}" saved`, 'success');
+    } catch (error) {
+        console.error('Preset save error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+async function handleDeletePreset() {
+    const preset = presets.find(p => p.id === presetSelect.value);
+    if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    try {
+        const response = await fetch(`/api/presets/${preset.id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete preset');
+        }
+
+        await loadPresets('');
+        showToast(`Preset "${preset.name}" deleted`, 'success');
+    } catch (error) {
+        console.error('Preset delete error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function handleExportPresets() {
+    const link = document.createElement('a');
+    link.href = '/api/presets/export';
+    link.download = 'presets.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+async function handleImportPresets() {
+    const file = presetImportInput.files[0];
+    presetImportInput.value = '';
+    if (!file) return;
+
+    try {
+        let body;
+        try {
+            body = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Preset file is not valid JSON');
+        }
+
+        const response = await fetch('/api/presets/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to import presets');
+        }
+
+        await loadPresets();
+        showToast(`Imported presets: ${data.created} new, ${data.updated} updated`, 'success');
+    } catch (error) {
+        console.error('Preset import error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+// Text-to-image prompts, one per line of the prompt field
+function getTextPrompts() {
+    return promptInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function getVariations() {
+    const variations = parseInt(variationsInput.value, 10);
+    return Math.min(Math.max(variations || 1, 1), 10);
+}
+
+// Load a prompt list from a text file into the prompt field
+async function handlePromptsFile() {
+    const file = promptsFileInput.files[0];
+    if (!file) return;
+
+    const prompts = (await file.text()).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    promptInput.value = prompts.join('\n');
+    promptsFileInput.value = '';
+    updateCostEstimate();
+    showToast(`${prompts.length} prompt(s) loaded`, 'success');
+}
+
+// Provider List
+async function loadProviders() {
+    try {
+        const response = await fetch('/api/providers');
+        const data = await response.json();
+        availableProviders = data.providers || [];
+        renderProviderOptions(availableProviders);
+    } catch (error) {
+        // Keep the built-in Gemini / ImageRouter options
+        console.error('Error loading providers:', error);
+    }
+}
+
+function renderProviderOptions(providers) {
+    if (providers.length === 0) return;
+
+    const container = document.getElementById('providerOptions');
+    const current = getSelectedProvider();
+    const checked = providers.some(p => p.id === current) ? current : providers[0].id;
+
+    container.innerHTML = providers.map(p => `
+        <div class="model-option">
+            <input type="radio" id="provider-${p.id}" name="provider" value="${p.id}" ${p.id === checked ? 'checked' : ''}>
+            <label for="provider-${p.id}">
+                <strong>${escapeHtml(p.name)}</strong>
+                <span class="model-desc">${escapeHtml(p.description || '')}</span>
+            </label>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('input[name="provider"]').forEach(radio => {
+        radio.addEventListener('change', toggleProviderUI);
+    });
+
+    toggleProviderUI();
+}
+
+// Model Catalog
+async function loadModelCatalog() {
+    try {
+        const response = await fetch('/api/models');
+        const data = await response.json();
+        modelCatalog = data.models || [];
+    } catch (error) {
+        console.error('Error loading models:', error);
+    }
+
+    renderGeminiModels();
+    toggleProviderUI();
+}
+
+// Catalog entry of a model, null while the catalog is not loaded or if the provider does not list it
+function getCatalogModel(provider, modelId) {
+    return modelCatalog.find(model => model.provider === provider && model.id === modelId) || null;
+}
+
+function getCatalogModels(provider) {
+    return modelCatalog.filter(model => model.provider === provider);
+}
+
+function renderGeminiModels() {
+    const container = document.getElementById('geminiModelOptions');
+    const current = getSelectedModel('gemini');
+    const models = getCatalogModels('gemini');
+    const checked = models.some(model => model.id === current) ? current : (models[0] && models[0].id);
+
+    container.innerHTML = models.map((model, index) => `
+        <div class="model-option">
+            <input type="radio" id="geminiModel${index}" name="model" value="${escapeHtml(model.id)}" ${model.id === checked ? 'checked' : ''}>
+            <label for="geminiModel${index}">
+                <strong>${escapeHtml(model.name)}</strong>
+                <span class="model-desc">${escapeHtml(model.description)}</span>
+            </label>
+        </div>
+    `).join('');
+
+    // Model selection change - update cost estimate and the settings the model offers
+    container.querySelectorAll('input[name="model"]').forEach(radio => {
         radio.addEventListener('change', () => {
-            updateCostEstimate();
             toggleAdvancedSettings();
+            updateCostEstimate();
         });
     });
+}
 
-    // Resolution change - update cost estimate
-    document.getElementById('imageSize').addEventListener('change', updateCostEstimate);
+// Model, size and quality choices for providers without a dedicated model section
+function renderGenericModels(providerInfo) {
+    const container = document.getElementById('genericModelOptions');
+    const catalogModels = getCatalogModels(providerInfo.id);
+    const models = catalogModels.length > 0
+        ? catalogModels
+        : ((providerInfo.capabilities && providerInfo.capabilities.models) || []).map(id => ({ id, name: id }));
+    const ids = models.map(model => model.id);
+
+    document.getElementById('genericModelLabel').textContent = `${providerInfo.name} Model`;
+    container.innerHTML = models.map((model, index) => `
+        <div class="model-option">
+            <input type="radio" id="genericModel${index}" name="genericModel" value="${escapeHtml(model.id)}"
+                ${model.id === providerInfo.defaultModel || (index === 0 && !ids.includes(providerInfo.defaultModel)) ? 'checked' : ''}>
+            <label for="genericModel${index}">
+                <strong>${escapeHtml(model.name)}</strong>
+            </label>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('input[name="genericModel"]').forEach(radio => {
+        radio.addEventListener('change', () => renderGenericSettings(providerInfo.id));
+    });
+    renderGenericSettings(providerInfo.id);
+}
+
+// Sizes and qualities of the selected model, or of the provider if the catalog does not list it
+function renderGenericSettings(provider) {
+    const providerInfo = getProviderInfo(provider);
+    if (!providerInfo) return;
+
+    const model = getCatalogModel(provider, getSelectedModel(provider));
+    const capabilities = model ? model.capabilities : (providerInfo.capabilities || {});
+    renderGenericSelect('genericSize', 'genericSizeGroup', capabilities.sizes);
+    renderGenericSelect('genericQuality', 'genericQualityGroup', capabilities.qualities);
+}
+
+// Fill a setting select, hiding it when there is nothing to choose
+function renderGenericSelect(selectId, groupId, values) {
+    const options = values || [];
+    document.getElementById(selectId).innerHTML = options
+        .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+        .join('');
+    document.getElementById(groupId).classList.toggle('hidden', options.length < 2);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
 }
 
 // Toggle Provider UI
 function toggleProviderUI() {
-    const provider = document.querySelector('input[name="provider"]:checked').value;
+    const provider = getSelectedProvider();
+    const providerInfo = getProviderInfo(provider);
 
-    // Toggle API key sections
-    const geminiApiKeySection = document.getElementById('geminiApiKeySection');
-    const imageRouterApiKeySection = document.getElementById('imageRouterApiKeySection');
+    // Sections dedicated to one provider (API key, model selection)
+    document.querySelectorAll('[data-provider]').forEach(section => {
+        section.classList.toggle('hidden', section.dataset.provider !== provider);
+    });
 
-    // Toggle model selection sections
-    const geminiModelSelection = document.getElementById('geminiModelSelection');
-    const imageRouterModelSelection = document.getElementById('imageRouterModelSelection');
+    // Shared sections for providers without dedicated ones
+    const hasOwnApiKeySection = !!document.querySelector(`.api-key-section[data-provider="${provider}"]`);
+    const hasOwnModelSection = !!document.querySelector(`.model-selection[data-provider="${provider}"]`);
+    const genericApiKeySection = document.getElementById('genericApiKeySection');
+    const genericModelSelection = document.getElementById('genericModelSelection');
 
-    // Toggle advanced settings
-    const advancedSettings = document.getElementById('advancedSettings');
+    if (!hasOwnApiKeySection && providerInfo && providerInfo.requiresApiKey) {
+        document.getElementById('genericApiKeyLabel').textContent = `${providerInfo.name} API Key`;
+        genericApiKeyInput.value = sessionStorage.getItem(`${provider}_api_key`) || '';
+        genericApiKeySection.classList.remove('hidden');
+    } else {
+        genericApiKeySection.classList.add('hidden');
+    }
 
-    if (provider === 'imagerouter') {
-        geminiApiKeySection.classList.add('hidden');
-        imageRouterApiKeySection.classList.remove('hidden');
-        geminiModelSelection.classList.add('hidden');
-        imageRouterModelSelection.classList.remove('hidden');
-        advancedSettings.classList.add('hidden');
+    if (!hasOwnModelSection && providerInfo) {
+        renderGenericModels(providerInfo);
+        genericModelSelection.classList.remove('hidden');
     } else {
-        geminiApiKeySection.classList.remove('hidden');
-        imageRouterApiKeySection.classList.add('hidden');
-        geminiModelSelection.classList.remove('hidden');
-        imageRouterModelSelection.classList.add('hidden');
+        genericModelSelection.classList.add('hidden');
+    }
+
+    // Advanced settings depend on the Gemini model, safety filters apply to all of them
+    if (provider === 'gemini') {
         toggleAdvancedSettings();
+    } else {
+        document.getElementById('advancedSettings').classList.add('hidden');
     }
+    document.getElementById('safetySettings').classList.toggle('hidden', provider !== 'gemini');
+    document.getElementById('budgetSettings').classList.toggle('hidden', Boolean(providerInfo) && !providerInfo.reportsCost);
 
     updateCostEstimate();
     toggleModeUI(); // Update mode UI when provider changes
 }
 
-// Toggle Advanced Settings
+const ASPECT_RATIO_LABELS = {
+    '1:1': 'Square',
+    '16:9': 'Widescreen',
+    '21:9': 'Ultrawide',
+    '9:16': 'Portrait',
+    '4:3': 'Standard',
+    '3:4': 'Portrait',
+    '3:2': 'Photo',
+    '2:3': 'Portrait photo',
+    '5:4': 'Print',
+    '4:5': 'Social portrait'
+};
+
+// Toggle Advanced Settings: aspect ratio and resolution, as far as the selected Gemini model offers them
 function toggleAdvancedSettings() {
-    const provider = document.querySelector('input[name="provider"]:checked').value;
+    const provider = getSelectedProvider();
     if (provider !== 'gemini') return;
 
-    const selectedModel = document.querySelector('input[name="model"]:checked').value;
-    const advancedSettings = document.getElementById('advancedSettings');
+    const model = getCatalogModel('gemini', getSelectedModel('gemini'));
+    const aspectRatios = model ? model.capabilities.aspectRatios : [];
+    const imageSizes = model ? model.capabilities.imageSizes : [];
+
+    const aspectRatioSelect = document.getElementById('aspectRatio');
+    const currentRatio = aspectRatioSelect.value || '1:1';
+    aspectRatioSelect.innerHTML = aspectRatios.map(ratio => {
+        const label = ASPECT_RATIO_LABELS[ratio] ? `${ratio} (${ASPECT_RATIO_LABELS[ratio]})` : ratio;
+        return `<option value="${escapeHtml(ratio)}">${escapeHtml(label)}</option>`;
+    }).join('');
+    if (!setSelectValue(aspectRatioSelect, currentRatio) && aspectRatios.includes('1:1')) {
+        aspectRatioSelect.value = '1:1';
+    }
 
-    if (selectedModel === 'gemini-3-pro-image-preview') {
-        advancedSettings.classList.remove('hidden');
-    } else {
-        advancedSettings.classList.add('hidden');
+    document.getElementById('imageSizeGroup').classList.toggle('hidden', imageSizes.length === 0);
+    document.getElementById('advancedSettings').classList.toggle('hidden', aspectRatios.length === 0 && imageSizes.length === 0);
+}
+
+// Error message if the selected model cannot be used in the selected mode, null otherwise
+function checkSelectedModel(provider, modelId) {
+    const model = getCatalogModel(provider, modelId);
+    if (!model) return null;
+
+    if (selectedMode === 'image-to-image' && !model.capabilities.edit) {
+        return `${model.name} cannot edit images, use text-to-image mode`;
     }
+    if (selectedMode === 'text-to-image' && !model.capabilities.generate) {
+        return `${model.name} cannot generate images from text, use image-to-image mode`;
+    }
+    return null;
 }
 
 // Toggle Mode UI
@@ -189,7 +720,7 @@ function toggleModeUI() {
     const uploadZone = document.getElementById('uploadZone');
     const uploadCard = uploadZone.parentElement; // The upload-card div
     const promptHint = document.getElementById('promptHint');
-    const provider = document.querySelector('input[name="provider"]:checked').value;
+    const provider = getSelectedProvider();
 
     if (mode === 'text-to-image') {
         // Hide upload zone for text-to-image
@@ -197,10 +728,13 @@ function toggleModeUI() {
         document.getElementById('selectedFiles').classList.add('hidden');
 
         // Update prompt hint
-        promptHint.textContent = 'Describe the image you want to generate in detail';
+        promptHint.textContent = 'Describe the image you want to generate in detail. One prompt per line for a batch';
+        document.getElementById('imageToImageOptions').classList.add('hidden');
+        document.getElementById('textToImageOptions').classList.remove('hidden');
 
         // Clear selected files
         selectedFiles = [];
+        imagePrompts = [];
         selectedFilesContainer.innerHTML = '';
         uploadBtn.disabled = false; // Enable button even without files
 
@@ -215,6 +749,8 @@ function toggleModeUI() {
 
         // Update prompt hint
         promptHint.textContent = 'Customize the instructions to tell the AI exactly how to process your images';
+        document.getElementById('imageToImageOptions').classList.remove('hidden');
+        document.getElementById('textToImageOptions').classList.add('hidden');
 
         // Disable button if no files
         uploadBtn.disabled = selectedFiles.length === 0;
@@ -546,32 +1082,24 @@ function updateAspectRatioPreview(sizeString) {
 }
 
 // Cost Calculation
-const PRICING = {
-    'gemini-2.5-flash-image': {
-        '1K': { input: 0, output: 0.039 },
-        '2K': { input: 0, output: 0.134 },
-        '4K': { input: 0, output: 0.24 },
-        name: 'Gemini 2.5 Flash'
-    },
-    'gemini-3-pro-image-preview': {
-        '1K': { input: 0.0011, output: 0.039 },
-        '2K': { input: 0.0011, output: 0.134 },
-        '4K': { input: 0.0011, output: 0.24 },
-        name: 'Gemini 3 Pro Image'
-    }
-};
+// Costs are fractions of a cent per token, show more digits for small amounts
+function formatCost(cost) {
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
 
 function updateCostEstimate() {
     const costEstimateEl = document.getElementById('costEstimate');
     const costValueEl = document.getElementById('costValue');
     const costBreakdownEl = document.getElementById('costBreakdown');
 
-    const provider = document.querySelector('input[name="provider"]:checked').value;
+    const provider = getSelectedProvider();
     const modeRadio = document.querySelector('input[name="mode"]:checked');
     const mode = modeRadio ? modeRadio.value : 'image-to-image';
 
-    // For text-to-image mode, use 1 as count, otherwise use selectedFiles length
-    const imageCount = mode === 'text-to-image' ? 1 : selectedFiles.length;
+    // For text-to-image mode every prompt is generated once per variation
+    const imageCount = mode === 'text-to-image'
+        ? getTextPrompts().length * getVariations()
+        : selectedFiles.length;
 
     if (imageCount === 0) {
         costEstimateEl.classList.add('hidden');
@@ -579,15 +1107,19 @@ function updateCostEstimate() {
     }
 
     if (provider === 'gemini') {
-        // Gemini pricing
-        const selectedModel = document.querySelector('input[name="model"]:checked').value;
-        const resolution = document.getElementById('imageSize').value;
-        const pricing = PRICING[selectedModel][resolution];
+        // Gemini pricing from the catalog, per resolution for models billing them differently
+        const model = getCatalogModel('gemini', getSelectedModel('gemini'));
+        if (!model || !model.pricing) {
+            costEstimateEl.classList.add('hidden');
+            return;
+        }
 
-        const totalCost = imageCount * (pricing.input + pricing.output);
+        const resolution = model.capabilities.imageSizes.length > 0 ? document.getElementById('imageSize').value : null;
+        const pricePerImage = (resolution && model.pricing.bySize && model.pricing.bySize[resolution]) || model.pricing.perImage;
+        const totalCost = imageCount * pricePerImage;
 
         costValueEl.textContent = `$${totalCost.toFixed(4)}`;
-        costBreakdownEl.textContent = `${imageCount} image${imageCount > 1 ? 's' : ''} × $${(pricing.input + pricing.output).toFixed(4)} (${PRICING[selectedModel].name}, ${resolution})`;
+        costBreakdownEl.textContent = `${imageCount} image${imageCount > 1 ? 's' : ''} × $${pricePerImage.toFixed(4)} (${model.name}${resolution ? `, ${resolution}` : ''})`;
 
         costEstimateEl.classList.remove('hidden');
     } else if (provider === 'imagerouter') {
@@ -675,6 +1207,7 @@ function addFiles(files) {
 
     // Add to selected files
     selectedFiles = [...selectedFiles, ...imageFiles];
+    imagePrompts = [...imagePrompts, ...imageFiles.map(() => '')];
 
     // Update UI
     renderSelectedFiles();
@@ -697,6 +1230,9 @@ function renderSelectedFiles() {
         const preview = document.createElement('div');
         preview.className = 'file-preview';
 
+        const thumb = document.createElement('div');
+        thumb.className = 'file-thumb';
+
         // Create image preview
         const img = document.createElement('img');
         img.src = URL.createObjectURL(file);
@@ -706,8 +1242,21 @@ function renderSelectedFiles() {
         fileName.className = 'file-name';
         fileName.textContent = file.name;
 
-        preview.appendChild(img);
-        preview.appendChild(fileName);
+        // Optional prompt for this image only, replaces the main prompt
+        const prompt = document.createElement('input');
+        prompt.type = 'text';
+        prompt.className = 'file-prompt';
+        prompt.placeholder = 'Own prompt (optional)';
+        prompt.title = 'Prompt for this image only. Supports {filename}, {index}, {width}, {height} and CSV columns.';
+        prompt.value = imagePrompts[index] || '';
+        prompt.addEventListener('input', () => {
+            imagePrompts[index] = prompt.value;
+        });
+
+        thumb.appendChild(img);
+        thumb.appendChild(fileName);
+        preview.appendChild(thumb);
+        preview.appendChild(prompt);
         selectedFilesContainer.appendChild(preview);
     });
 }
@@ -722,6 +1271,18 @@ async function handleUpload() {
         return;
     }
 
+    if (mode === 'text-to-image' && getTextPrompts().length === 0) {
+        showToast('Please enter at least one prompt', 'error');
+        return;
+    }
+
+    // The server rejects models that cannot be used in this mode as well, fail before uploading
+    const modelError = checkSelectedModel(getSelectedProvider(), getSelectedModel(getSelectedProvider()));
+    if (modelError) {
+        showToast(modelError, 'error');
+        return;
+    }
+
     // Validate API key first
     if (!validateApiKey()) {
         return;
@@ -735,16 +1296,29 @@ async function handleUpload() {
             formData.append('images', file);
         });
 
+        // Per-image prompts, only sent when at least one image has its own
+        if (imagePrompts.some(prompt => prompt.trim())) {
+            formData.append('imagePrompts', JSON.stringify(imagePrompts));
+        }
+
+        // Values for {column} variables in prompts
+        if (promptDataInput.files.length > 0) {
+            formData.append('promptData', promptDataInput.files[0]);
+        }
+
+        // One output per manifest entry, with its own prompt and settings
+        if (manifestInput.files.length > 0) {
+            formData.append('manifest', manifestInput.files[0]);
+        }
+
         // Add provider selection
-        const provider = document.querySelector('input[name="provider"]:checked').value;
+        const provider = getSelectedProvider();
         formData.append('provider', provider);
 
-        // Add API keys
-        if (provider === 'imagerouter') {
-            formData.append('imageRouterApiKey', imageRouterApiKeyInput.value.trim());
-        } else {
-            formData.append('apiKey', apiKeyInput.value.trim());
-        }
+        // Add API key under the field the provider expects
+        const providerInfo = getProviderInfo(provider);
+        const apiKeyField = providerInfo ? providerInfo.apiKeyField : (provider === 'imagerouter' ? 'imageRouterApiKey' : 'apiKey');
+        formData.append(apiKeyField, getApiKeyInput(provider).value.trim());
 
         // Add custom prompt
         const customPrompt = promptInput.value.trim();
@@ -753,31 +1327,46 @@ async function handleUpload() {
         }
 
         // Add selected model based on provider
-        let selectedModel;
-        if (provider === 'imagerouter') {
-            selectedModel = document.querySelector('input[name="imageRouterModel"]:checked').value;
-        } else {
-            selectedModel = document.querySelector('input[name="model"]:checked').value;
+        const selectedModel = getSelectedModel(provider);
+        if (selectedModel) {
+            formData.append('model', selectedModel);
         }
-        formData.append('model', selectedModel);
 
         // Add mode to form data
         formData.append('mode', selectedMode);
 
-        // Add advanced settings if Gemini 3 Pro is selected
-        if (provider === 'gemini' && selectedModel === 'gemini-3-pro-image-preview') {
-            const aspectRatio = document.getElementById('aspectRatio').value;
-            const imageSize = document.getElementById('imageSize').value;
-            formData.append('aspectRatio', aspectRatio);
-            formData.append('imageSize', imageSize);
+        // Text-to-image batch: every line is a prompt, generated once per variation
+        if (selectedMode === 'text-to-image') {
+            formData.append('prompts', JSON.stringify(getTextPrompts()));
+            formData.append('variations', getVariations());
+        }
+
+        // Add the advanced settings the Gemini model offers
+        const catalogModel = getCatalogModel(provider, selectedModel);
+        if (provider === 'gemini' && catalogModel) {
+            if (catalogModel.capabilities.aspectRatios.length > 0) {
+                formData.append('aspectRatio', document.getElementById('aspectRatio').value);
+            }
+            if (catalogModel.capabilities.imageSizes.length > 0) {
+                formData.append('imageSize', document.getElementById('imageSize').value);
+            }
+        }
+
+        if (provider === 'gemini') {
+            formData.append('safetyThreshold', document.getElementById('safetyThreshold').value);
         }
 
         // Add ImageRouter specific settings
         if (provider === 'imagerouter') {
             formData.append('quality', selectedImageRouterQuality);
             formData.append('size', selectedImageRouterSize || 'auto');
+        } else if (provider !== 'gemini') {
+            formData.append('quality', document.getElementById('genericQuality').value || 'auto');
+            formData.append('size', document.getElementById('genericSize').value || 'auto');
         }
 
+        appendOutputSettings(formData);
+
         const response = await fetch('/api/upload', {
             method: 'POST',
             body: formData
@@ -788,8 +1377,12 @@ async function handleUpload() {
         if (data.success) {
             currentJobId = data.jobId;
             showProcessingSection();
-            startPolling();
-            showToast('Processing started!', 'success');
+            startJobUpdates();
+            if (data.queuePosition > 0) {
+                showToast(`Job queued (${formatOrdinal(data.queuePosition)} in line)`, 'success');
+            } else {
+                showToast('Processing started!', 'success');
+            }
         } else {
             throw new Error(data.error || 'Upload failed');
         }
@@ -807,19 +1400,26 @@ function showProcessingSection() {
 
     // Initialize image list
     imageList.innerHTML = '';
+    cancelJobBtn.disabled = false;
 
     if (selectedFiles.length > 0) {
         selectedFiles.forEach((file, index) => {
-            const item = createImageItem(file.name, 'pending');
+            const item = createImageItem(file.name, 'pending', index);
             imageList.appendChild(item);
         });
     } else if (selectedMode === 'text-to-image') {
-        const item = createImageItem('Generating from prompt...', 'pending');
-        imageList.appendChild(item);
+        // Same entries as the server creates: each prompt once per variation
+        const variations = getVariations();
+        getTextPrompts().forEach((prompt, p) => {
+            for (let v = 1; v <= variations; v++) {
+                const name = variations > 1 ? `Prompt ${p + 1}, variation ${v}` : `Prompt ${p + 1}`;
+                imageList.appendChild(createImageItem(name, 'pending', imageList.children.length));
+            }
+        });
     }
 }
 
-function createImageItem(name, status) {
+function createImageItem(name, status, index) {
     const item = document.createElement('div');
     item.className = 'image-item';
 
@@ -841,24 +1441,126 @@ function createImageItem(name, status) {
     info.appendChild(nameEl);
     info.appendChild(statusEl);
 
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'image-item-cancel';
+    cancelBtn.title = 'Cancel this image';
+    cancelBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+    cancelBtn.addEventListener('click', () => handleCancelImage(index));
+
     item.appendChild(icon);
     item.appendChild(info);
+    item.appendChild(cancelBtn);
 
     return item;
 }
 
+// Cancel Handlers
+async function handleCancelJob() {
+    if (!currentJobId) return;
+
+    cancelJobBtn.disabled = true;
+
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}/cancel`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Cancel failed');
+        }
+        showToast(`Cancelled ${data.cancelled.length} image(s)`, 'warning');
+    } catch (error) {
+        console.error('Cancel error:', error);
+        showToast(error.message, 'error');
+        cancelJobBtn.disabled = false;
+    }
+}
+
+async function handleCancelImage(index) {
+    if (!currentJobId) return;
+
+    try {
+        const response = await fetch(`/api/jobs/${currentJobId}/images/${index}/cancel`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Cancel failed');
+        }
+        showToast('Image cancelled', 'warning');
+    } catch (error) {
+        console.error('Cancel error:', error);
+        showToast(error.message, 'error');
+    }
+}
+
 function getStatusIcon(status) {
     const icons = {
         pending: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle></svg>',
         processing: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 2v4m0 12v4M4.93 4.93l2.83 2.83m8.48 8.48l2.83 2.83M2 12h4m12 0h4M4.93 19.07l2.83-2.83m8.48-8.48l2.83-2.83"></path></svg>',
         completed: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>',
-        failed: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>'
+        failed: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>',
+        cancelled: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"></circle><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line></svg>'
     };
     return icons[status] || icons.pending;
 }
 
+// Live Updates - Server-Sent Events with polling as fallback
+const MAX_EVENT_STREAM_ERRORS = 3;
+
+function startJobUpdates() {
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    eventSource = new EventSource(`/api/events/${currentJobId}`);
+    eventStreamErrors = 0;
+
+    ['status', 'jobQueued', 'jobStart', 'jobUpdate', 'jobComplete'].forEach(type => {
+        eventSource.addEventListener(type, (e) => {
+            handleJobUpdate(JSON.parse(e.data));
+        });
+    });
+
+    eventSource.addEventListener('jobRemoved', () => {
+        showJobUnavailable('This job was removed from the server');
+    });
+
+    eventSource.onopen = () => {
+        eventStreamErrors = 0;
+    };
+
+    // Stream dropped (server restart, proxy timeout, serverless limits). The browser
+    // reconnects on its own; fall back to polling once that keeps failing or is given up.
+    eventSource.onerror = () => {
+        eventStreamErrors++;
+        if (eventSource.readyState !== EventSource.CLOSED && eventStreamErrors < MAX_EVENT_STREAM_ERRORS) {
+            console.warn(`Event stream lost, reconnecting (attempt ${eventStreamErrors})`);
+            return;
+        }
+
+        console.warn('Event stream unavailable, falling back to polling');
+        closeEventStream();
+        if (currentJobId) {
+            startPolling();
+        }
+    };
+}
+
+function closeEventStream() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+function stopJobUpdates() {
+    closeEventStream();
+    stopPolling();
+}
+
 // Polling
 function startPolling() {
+    if (pollingInterval) return;
     pollingInterval = setInterval(checkJobStatus, 2000);
     checkJobStatus(); // Check immediately
 }
@@ -875,36 +1577,74 @@ async function checkJobStatus() {
 
     try {
         const response = await fetch(`/api/status/${currentJobId}`);
-        const data = await response.json();
-
-        console.log('Status response:', data);
-
-        // Server returns the job object directly, not wrapped in {success: true, job: ...}
-        if (data && data.jobId) {
-            updateProcessingUI(data);
 
-            if (data.status === 'completed') {
-                console.log('Job completed! Calling showResultsSection...');
-                stopPolling();
-                showResultsSection(data);
+        // Removed or expired, or lost with a server restart: polling again will not bring it back
+        if (response.status === 404) {
+            if (pollingInterval) {
+                showJobUnavailable('This job is no longer available on the server');
             }
+            return;
         }
+
+        const data = await response.json();
+
+        // Server returns the job object directly, not wrapped in {success: true, job: ...}
+        handleJobUpdate(data);
     } catch (error) {
         console.error('Status check error:', error);
     }
 }
 
+// Stop updates of a job the server no longer has, and show it as gone instead of in progress
+function showJobUnavailable(message) {
+    stopJobUpdates();
+    progressStats.innerHTML = '<span class="stat" style="background: rgba(239, 68, 68, 0.2);">Job no longer available</span>';
+    cancelJobBtn.disabled = true;
+    imageList.querySelectorAll('.image-item-cancel').forEach(btn => btn.classList.add('hidden'));
+    showToast(message, 'error');
+}
+
+function handleJobUpdate(data) {
+    // Ignore late responses once updates were stopped or for a job no longer shown
+    if (!eventSource && !pollingInterval) return;
+    if (!data || !data.jobId || data.jobId !== currentJobId) return;
+
+    updateProcessingUI(data);
+
+    if (data.status === 'completed') {
+        console.log('Job completed! Calling showResultsSection...');
+        stopJobUpdates();
+        showResultsSection(data);
+    }
+}
+
 function updateProcessingUI(job) {
     // Update progress bar
-    const percentage = (job.progress.completed / job.progress.total) * 100;
+    const percentage = job.progress.total > 0 ? (job.progress.completed / job.progress.total) * 100 : 0;
     progressBar.style.width = `${percentage}%`;
 
+    // Job has not started yet - show its place in the queue
+    if (job.status === 'pending' && job.queuePosition > 0) {
+        progressStats.innerHTML = `<span class="stat">Waiting in queue (${formatOrdinal(job.queuePosition)})</span>`;
+        return;
+    }
+
     // Update stats
     progressStats.innerHTML = `
     <span class="stat">${job.progress.completed} / ${job.progress.total} completed</span>
     ${job.progress.failed > 0 ? `<span class="stat" style="background: rgba(239, 68, 68, 0.2);">${job.progress.failed} failed</span>` : ''}
+    ${job.progress.cancelled > 0 ? `<span class="stat" style="background: rgba(245, 158, 11, 0.2);">${job.progress.cancelled} cancelled</span>` : ''}
   `;
 
+    // Manifests can create more entries than files were selected
+    if (imageList.querySelectorAll('.image-item').length !== job.images.length) {
+        imageList.innerHTML = '';
+        job.images.forEach((image, index) => {
+            const name = image.name || `Image ${index + 1}`;
+            imageList.appendChild(createImageItem(name, image.status, index));
+        });
+    }
+
     // Update image list
     const items = imageList.querySelectorAll('.image-item');
     job.images.forEach((image, index) => {
@@ -912,6 +1652,7 @@ function updateProcessingUI(job) {
             const statusBadge = items[index].querySelector('.status-badge');
             const icon = items[index].querySelector('.image-item-icon');
             const statusContainer = items[index].querySelector('.image-item-status');
+            const cancelBtn = items[index].querySelector('.image-item-cancel');
 
             if (statusBadge) {
                 statusBadge.className = `status-badge ${image.status}`;
@@ -922,6 +1663,11 @@ function updateProcessingUI(job) {
                 icon.innerHTML = getStatusIcon(image.status);
             }
 
+            // Only unfinished images can be cancelled
+            if (cancelBtn) {
+                cancelBtn.classList.toggle('hidden', image.status !== 'pending' && image.status !== 'processing');
+            }
+
             // Show error message if failed
             if (image.status === 'failed' && image.error && statusContainer) {
                 const errorMsg = statusContainer.querySelector('.error-message');
@@ -936,11 +1682,27 @@ function updateProcessingUI(job) {
     });
 }
 
+// Format a queue position as "1st", "2nd", "3rd", "4th", ...
+function formatOrdinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
 // Results Section
 function showResultsSection(job) {
     processingSection.classList.add('hidden');
     resultsSection.classList.remove('hidden');
 
+    // Remove the gallery of a previous run of this view (retry, new batch)
+    const previousGallery = resultsSummary.parentElement.querySelector('.image-gallery');
+    if (previousGallery) {
+        previousGallery.remove();
+    }
+
+    currentJobProvider = job.settings.provider;
+    retryFailedBtn.classList.toggle('hidden', job.progress.failed === 0);
+    retryFailedBtn.disabled = false;
+
     // Create summary
     resultsSummary.innerHTML = `
     <div class="summary-card">
@@ -951,12 +1713,29 @@ function showResultsSection(job) {
       <div class="summary-value">${job.progress.failed}</div>
       <div class="summary-label">Failed</div>
     </div>
+    ${job.progress.cancelled > 0 ? `
+    <div class="summary-card">
+      <div class="summary-value">${job.progress.cancelled}</div>
+      <div class="summary-label">Cancelled</div>
+    </div>` : ''}
     <div class="summary-card">
       <div class="summary-value">${job.progress.total}</div>
       <div class="summary-label">Total Images</div>
     </div>
+    ${job.usage ? `
+    <div class="summary-card">
+      <div class="summary-value">${formatCost(job.usage.cost)}</div>
+      <div class="summary-label">Spent${job.settings.budget ? ` of ${formatCost(job.settings.budget)}` : ''}${job.usage.unpricedRequests > 0 ? ` (${job.usage.unpricedRequests} request${job.usage.unpricedRequests === 1 ? '' : 's'} without a price)` : ''}</div>
+    </div>` : ''}
   `;
 
+    if (job.budgetExceeded) {
+        const budgetNotice = document.createElement('div');
+        budgetNotice.className = 'budget-notice';
+        budgetNotice.textContent = `Stopped early: ${job.budgetExceeded}. Remaining images were not processed.`;
+        resultsSummary.appendChild(budgetNotice);
+    }
+
     console.log('showResultsSection called with job:', job);
     console.log('Completed images:', job.progress.completed);
     console.log('Job images array:', job.images);
@@ -980,14 +1759,12 @@ function showResultsSection(job) {
       <h3 class="gallery-title">Processed Images</h3>
       <div class="gallery-grid">
         ${successfulImages.map((img, index) => {
-            const filename = img.outputPath.split(/[\\/]/).pop();
-            const originalName = img.path.split(/[\\/]/).pop();
             return `
           <div class="gallery-item">
-            <div class="gallery-image-container" data-filename="${filename}">
-              <img src="/outputs/${filename}" alt="Processed image ${index + 1}" class="gallery-image">
+            <div class="gallery-image-container" data-url="${img.outputUrl}" data-name="${escapeHtml(img.downloadName)}">
+              <img src="${img.outputUrl}" alt="${escapeHtml(img.name || `Processed image ${index + 1}`)}" class="gallery-image">
               <div class="gallery-overlay">
-                <button class="gallery-btn" data-filename="${filename}" data-original="${originalName}">
+                <button class="gallery-btn" data-url="${img.outputUrl}" data-name="${escapeHtml(img.downloadName)}">
                   <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
                     <polyline points="7 10 12 15 17 10"></polyline>
@@ -997,7 +1774,7 @@ function showResultsSection(job) {
                 </button>
               </div>
             </div>
-            <p class="gallery-filename">${originalName}</p>
+            <p class="gallery-filename">${escapeHtml(img.name || img.downloadName)}</p>
           </div>
         `;
         }).join('')}
@@ -1016,9 +1793,8 @@ function showResultsSection(job) {
         const galleryImages = gallerySection.querySelectorAll('.gallery-image-container');
         galleryImages.forEach(container => {
             container.addEventListener('click', () => {
-                const filename = container.dataset.filename;
-                console.log('Image clicked:', filename);
-                window.openImagePreview(filename);
+                console.log('Image clicked:', container.dataset.url);
+                window.openImagePreview(container.dataset.url, container.dataset.name);
             });
         });
 
@@ -1027,10 +1803,8 @@ function showResultsSection(job) {
         downloadButtons.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation(); // Prevent triggering image preview
-                const filename = btn.dataset.filename;
-                const original = btn.dataset.original;
-                console.log('Download clicked:', filename);
-                window.downloadSingleImage(filename, original);
+                console.log('Download clicked:', btn.dataset.url);
+                window.downloadSingleImage(btn.dataset.url, btn.dataset.name);
             });
         });
 
@@ -1039,17 +1813,35 @@ function showResultsSection(job) {
         console.log('Skipping gallery creation - no completed images');
     }
 
-    // Add error details if there are failures
+    // Add error details if there are failures, grouped by error code
     if (job.progress.failed > 0) {
-        const failedImages = job.images.filter(img => img.status === 'failed');
+        const groups = new Map();
+        job.images.filter(img => img.status === 'failed').forEach(img => {
+            const code = img.errorDetails && ERROR_HINTS[img.errorDetails.code] ? img.errorDetails.code : 'PROVIDER_ERROR';
+            if (!groups.has(code)) groups.set(code, []);
+            groups.get(code).push(img);
+        });
+
         const errorSection = document.createElement('div');
         errorSection.className = 'error-details';
         errorSection.innerHTML = `
             <h3 class="error-details-title">⚠️ Failed Images</h3>
-            ${failedImages.map(img => `
-                <div class="error-detail-item">
-                    <strong>${img.path ? img.path.split(/[\\/]/).pop() : 'Unknown file'}</strong>
-                    <p>${img.error || 'Unknown error'}</p>
+            ${[...groups.entries()].map(([code, images]) => `
+                <div class="error-group">
+                    <div class="error-group-header">
+                        <span class="error-code">${code}</span>
+                        <strong>${ERROR_HINTS[code].title}</strong>
+                        <span class="error-group-count">${images.length} image${images.length === 1 ? '' : 's'}</span>
+                    </div>
+                    <p class="error-group-hint">${ERROR_HINTS[code].hint}</p>
+                    ${images.map(img => `
+                        <div class="error-detail-item">
+                            <strong>${escapeHtml(img.name || 'Unknown file')}</strong>
+                            <p>${escapeHtml(img.error || 'Unknown error')}</p>
+                            ${describeRetries(img) ? `<span class="error-detail-retries">${describeRetries(img)}</span>` : ''}
+                            ${describeSafety(img.safety) ? `<span class="error-detail-safety">${escapeHtml(describeSafety(img.safety))}</span>` : ''}
+                        </div>
+                    `).join('')}
                 </div>
             `).join('')}
         `;
@@ -1057,7 +1849,11 @@ function showResultsSection(job) {
     }
 
     // Show appropriate completion message
-    if (job.progress.completed > 0 && job.progress.failed === 0) {
+    if (job.budgetExceeded) {
+        showToast(`Budget reached: ${job.progress.completed} completed, ${job.progress.cancelled} not processed`, 'warning');
+    } else if (job.progress.cancelled > 0) {
+        showToast(`Job cancelled: ${job.progress.completed} completed, ${job.progress.cancelled} cancelled`, 'warning');
+    } else if (job.progress.completed > 0 && job.progress.failed === 0) {
         showToast('All images processed successfully!', 'success');
     } else if (job.progress.completed > 0 && job.progress.failed > 0) {
         showToast(`Processing complete: ${job.progress.completed} succeeded, ${job.progress.failed} failed`, 'warning');
@@ -1066,6 +1862,107 @@ function showResultsSection(job) {
     }
 }
 
+// Titles and suggested fixes for the error codes of failed images (see lib/error-codes.js)
+const ERROR_HINTS = {
+    AUTH_INVALID: {
+        title: 'Invalid API key',
+        hint: 'Check the API key entered for this provider, or the key in .env for resumed jobs, then retry.'
+    },
+    QUOTA_EXCEEDED: {
+        title: 'Quota or credits exhausted',
+        hint: 'The account is out of credits or hit its rate limit. Top up or wait a few minutes, then retry the failed images.'
+    },
+    SAFETY_BLOCKED: {
+        title: 'Blocked by safety filters',
+        hint: 'Retrying will not help. Rephrase the prompt or use a different source image.'
+    },
+    TIMEOUT: {
+        title: 'Timed out',
+        hint: 'The provider took too long. Retry, or pick a smaller size or a faster model.'
+    },
+    NO_IMAGE_RETURNED: {
+        title: 'No image returned',
+        hint: 'The model answered without a usable image. Retrying often works; asking explicitly for an edited image in the prompt helps.'
+    },
+    INVALID_INPUT: {
+        title: 'Request rejected',
+        hint: 'The provider did not accept the image or settings. Check the image format and size and whether the model supports the chosen options.'
+    },
+    FILE_ERROR: {
+        title: 'File unavailable',
+        hint: 'The server could not read the upload or store the result, e.g. after uploads were cleaned up. Upload the image again; the server log has the details.'
+    },
+    PROVIDER_ERROR: {
+        title: 'Provider error',
+        hint: 'Something went wrong on the provider\'s side or on the way there. Retry later.'
+    }
+};
+
+// Finish/block reason and flagged categories reported by the provider's safety filters
+function describeSafety(safety) {
+    if (!safety) return '';
+
+    const parts = [];
+    if (safety.blockReason) parts.push(`Prompt blocked: ${safety.blockReason}`);
+    if (safety.finishReason && safety.finishReason !== 'STOP') parts.push(`Finish reason: ${safety.finishReason}`);
+
+    const flagged = (safety.ratings || [])
+        .filter(rating => rating.blocked || rating.probability === 'MEDIUM' || rating.probability === 'HIGH')
+        .map(rating => `${rating.category.replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase()} (${(rating.probability || 'blocked').toLowerCase()})`);
+    if (flagged.length > 0) parts.push(`Flagged: ${flagged.join(', ')}`);
+
+    return parts.join(' • ');
+}
+
+// How the automatic retries of a failed image went
+function describeRetries(image) {
+    if (image.errorClass === 'fatal') {
+        return 'Not retried automatically: the request would fail the same way again';
+    }
+    if (image.errorClass === 'retryable') {
+        const retries = image.retryCount || 0;
+        return `Temporary error, still failing after ${retries} automatic ${retries === 1 ? 'retry' : 'retries'}`;
+    }
+    return '';
+}
+
+// Retry Handler
+async function handleRetryFailed() {
+    if (!currentJobId) return;
+
+    retryFailedBtn.disabled = true;
+
+    try {
+        // The server drops keys once a job completes, send the key of the job's provider again with the retry
+        const providerInfo = getProviderInfo(currentJobProvider);
+        const apiKey = getEnteredApiKey(currentJobProvider);
+        const body = {};
+        if (providerInfo && apiKey) {
+            body[providerInfo.apiKeyField] = apiKey;
+        }
+
+        const response = await fetch(`/api/jobs/${currentJobId}/retry-failed`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Retry failed');
+        }
+
+        resultsSection.classList.add('hidden');
+        showProcessingSection();
+        startJobUpdates();
+        showToast(`Retrying ${data.retried.length} failed image(s)`, 'success');
+    } catch (error) {
+        console.error('Retry error:', error);
+        showToast(error.message, 'error');
+        retryFailedBtn.disabled = false;
+    }
+}
+
 // Download Handler
 async function handleDownload() {
     if (!currentJobId) return;
@@ -1074,8 +1971,18 @@ async function handleDownload() {
         downloadBtn.disabled = true;
         downloadBtn.innerHTML = '<span>Preparing download...</span>';
 
+        const params = new URLSearchParams({
+            layout: document.getElementById('zipLayout').value,
+            manifest: document.getElementById('zipManifest').value,
+            originals: document.getElementById('zipOriginals').checked ? 'true' : 'false'
+        });
+        const pattern = document.getElementById('zipPattern').value.trim();
+        if (pattern) params.set('pattern', pattern);
+        const status = document.getElementById('zipStatus').value;
+        if (status) params.set('status', status);
+
         // Trigger download
-        window.location.href = `/api/download/${currentJobId}`;
+        window.location.href = `/api/download/${currentJobId}?${params}`;
 
         setTimeout(() => {
             downloadBtn.disabled = false;
@@ -1100,8 +2007,9 @@ async function handleDownload() {
 // Reset App
 function resetApp() {
     selectedFiles = [];
+    imagePrompts = [];
     currentJobId = null;
-    stopPolling();
+    stopJobUpdates();
 
     uploadSection.classList.remove('hidden');
     processingSection.classList.add('hidden');
@@ -1109,6 +2017,9 @@ function resetApp() {
 
     selectedFilesContainer.innerHTML = '';
     fileInput.value = '';
+    promptDataInput.value = '';
+    manifestInput.value = '';
+    variationsInput.value = 1;
     promptInput.value = 'Enhance this image: improve quality, adjust colors and lighting, sharpen details, and make it look professional and polished.';
 
     toggleModeUI(); // Restore UI state based on current mode
@@ -1130,17 +2041,17 @@ function showToast(message, type = 'success') {
 }
 
 // Image Preview and Download (make global for onclick handlers)
-window.downloadSingleImage = function (filename, originalName) {
+window.downloadSingleImage = function (url, downloadName) {
     const link = document.createElement('a');
-    link.href = `/outputs/${filename}`;
-    link.download = `enhanced_${originalName}`;
+    link.href = `${url}?download=1`;
+    link.download = downloadName;
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     showToast('Image downloaded!', 'success');
 }
 
-window.openImagePreview = function (filename) {
+window.openImagePreview = function (url, downloadName) {
     // Create lightbox overlay
     const lightbox = document.createElement('div');
     lightbox.className = 'lightbox';
@@ -1152,9 +2063,9 @@ window.openImagePreview = function (filename) {
           <line x1="6" y1="6" x2="18" y2="18"></line>
         </svg>
       </button>
-      <img src="/outputs/${filename}" alt="Preview" class="lightbox-image">
+      <img src="${url}" alt="Preview" class="lightbox-image">
       <div class="lightbox-actions">
-        <button class="btn btn-secondary" onclick="downloadSingleImage('${filename}', '${filename}')">
+        <button class="btn btn-secondary" id="lightboxDownloadBtn">
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
             <polyline points="7 10 12 15 17 10"></polyline>
@@ -1167,6 +2078,9 @@ window.openImagePreview = function (filename) {
   `;
 
     document.body.appendChild(lightbox);
+    lightbox.querySelector('#lightboxDownloadBtn').addEventListener('click', () => {
+        window.downloadSingleImage(url, downloadName);
+    });
 
     // Close on background click
     lightbox.addEventListener('click', (e) => {
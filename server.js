@@ -3,20 +3,36 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { v4: uuidv4 } = require('crypto');
+const crypto = require('crypto');
 
-const GeminiProcessor = require('./lib/gemini-processor');
-const ImageRouterProcessor = require('./lib/imagerouter-processor');
+const ProviderRegistry = require('./lib/provider-registry');
 const QueueManager = require('./lib/queue-manager');
+const FileJobStore = require('./lib/file-job-store');
+const MemoryJobStore = require('./lib/memory-job-store');
+const PresetStore = require('./lib/preset-store');
+const { validatePreset } = PresetStore;
+const UsageLedger = require('./lib/usage-ledger');
 const ZipGenerator = require('./lib/zip-generator');
+const LocalOutputStorage = require('./lib/local-output-storage');
+const S3OutputStorage = require('./lib/s3-output-storage');
+const { expandPrompt, parseCsv, indexByFilename } = require('./lib/prompt-template');
+const { getImageSize } = require('./lib/image-size');
+const { parseManifest, getManifestFormat } = require('./lib/manifest');
+const { normalizeOutputOptions } = require('./lib/output-pipeline');
+const { normalizeMetadataOptions } = require('./lib/metadata');
+const { RetryPolicy } = require('./lib/retry-policy');
+const { normalizeSafetyOptions } = require('./lib/gemini-safety');
+const { addUsage, normalizeBudget } = require('./lib/pricing');
+const { validateModelSettings } = require('./lib/model-catalog');
+const { ERROR_CODES, isFileError, describeFileError } = require('./lib/error-codes');
 const os = require('os');
 
 // Storage configuration for Vercel compatibility
 const isVercel = process.env.VERCEL === '1' || process.env.NOW_REGION;
 const storageBaseDir = isVercel ? os.tmpdir() : __dirname;
-const uploadDir = path.join(storageBaseDir, 'uploads');
-const outputDir = path.join(storageBaseDir, 'outputs');
-const tempDir = path.join(storageBaseDir, 'temp');
+const uploadDir = process.env.UPLOAD_DIR || path.join(storageBaseDir, 'uploads');
+const outputDir = process.env.OUTPUT_DIR || path.join(storageBaseDir, 'outputs');
+const dataDir = process.env.DATA_DIR || path.join(storageBaseDir, 'data');
 
 // Ensure directories exist (synchronous for initial setup, but safe in serverless start)
 const mkdirSync = (dir) => {
@@ -27,7 +43,6 @@ const mkdirSync = (dir) => {
 
 mkdirSync(uploadDir);
 mkdirSync(outputDir);
-mkdirSync(tempDir);
 
 // Initialize Express app
 const app = express();
@@ -39,19 +54,68 @@ if (!apiKey && !isVercel) {
     console.warn('WARNING: GEMINI_API_KEY not found in .env file');
 }
 
-// Store API key for creating processors per job
-const geminiApiKey = apiKey;
+// Image providers, one module per provider in lib/providers
+const providers = ProviderRegistry.fromDirectory(path.join(__dirname, 'lib', 'providers'));
 
 const maxConcurrent = parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 3;
-const queueManager = new QueueManager(maxConcurrent);
+// Images of a single job processed in parallel (still bounded by maxConcurrent overall)
+const jobConcurrency = parseInt(process.env.JOB_CONCURRENCY) || maxConcurrent;
+const maxConcurrentJobs = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+// Jobs are persisted to disk so they survive restarts (JOB_STORE=memory disables this)
+const jobStoreType = process.env.JOB_STORE || (isVercel ? 'memory' : 'file');
+const jobStore = jobStoreType === 'file'
+    ? new FileJobStore(path.join(dataDir, 'jobs.json'))
+    : new MemoryJobStore();
+const queueManager = new QueueManager(maxConcurrentJobs, maxConcurrent, jobStore);
+
+// Retries of failed provider requests: transient errors only, with backoff (MAX_RETRIES, RETRY_*_DELAY_MS)
+const retryPolicy = RetryPolicy.fromEnv();
+
+// Saved prompt + settings presets shared by all users of this server
+const presetStore = new PresetStore(process.env.PRESETS_FILE || path.join(dataDir, 'presets.json'));
+
+// Spend per provider API key across all jobs, and the cap per key (KEY_BUDGET_USD, none if unset)
+const usageLedger = new UsageLedger(process.env.USAGE_FILE || path.join(dataDir, 'usage.json'));
+const keyBudget = normalizeBudget(process.env.KEY_BUDGET_USD).budget || null;
+
+// Estimated cost of requests in flight, keyed by "job:<jobId>" and "key:<keyId>",
+// so parallel requests cannot all pass the budget check before any is billed
+const reservedSpend = new Map();
+
+// Where results are kept: local disk (served by the app) or an S3-compatible
+// bucket (served through presigned URLs), see OUTPUT_STORAGE in .env.example
+const outputStorage = process.env.OUTPUT_STORAGE === 's3'
+    ? new S3OutputStorage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined,
+        urlExpires: parseInt(process.env.S3_URL_EXPIRES_SECONDS, 10) || undefined
+    })
+    : new LocalOutputStorage(outputDir);
+
+// API keys per job, kept out of the job object so they are never sent to clients.
+// Dropped once the job completes; retrying its failed images takes the key again.
+const jobCredentials = new Map();
+
+// Abort controllers of in-flight provider requests, keyed by "jobId:imageIndex"
+const activeRequests = new Map();
+
+// Pending upload deletions per job; uploads of jobs with failed images are kept longer for retries
+const uploadCleanupTimers = new Map();
+const failedUploadRetention = parseInt(process.env.FAILED_UPLOAD_RETENTION_MINUTES || '60', 10) * 60000;
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
         cb(null, uploadDir);
     },
+    // The original name is kept on the job; on disk only its extension is
     filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${Math.random().toString(36).substring(7)}-${file.originalname}`;
+        const uniqueName = `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
         cb(null, uniqueName);
     }
 });
@@ -60,9 +124,28 @@ const upload = multer({
     storage: storage,
     limits: {
         fileSize: 10 * 1024 * 1024, // 10MB limit
-        files: 20 // Max 20 files
+        files: 22 // Max 20 images plus the prompt variables CSV and the manifest
     },
     fileFilter: (req, file, cb) => {
+        // Prompt variables come as a CSV file; browsers disagree on its MIME type
+        if (file.fieldname === 'promptData') {
+            if (path.extname(file.originalname).toLowerCase() === '.csv') {
+                cb(null, true);
+            } else {
+                cb(new Error('Invalid prompt variables file. Only CSV is allowed.'));
+            }
+            return;
+        }
+
+        if (file.fieldname === 'manifest') {
+            if (getManifestFormat(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Invalid manifest file. Only CSV and JSON are allowed.'));
+            }
+            return;
+        }
+
         const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
         if (allowedTypes.includes(file.mimetype)) {
             cb(null, true);
@@ -72,12 +155,44 @@ const upload = multer({
     }
 });
 
+// Multer errors (wrong file type, too many or too large files) are client errors
+function uploadImages(req, res, next) {
+    upload.fields([
+        { name: 'images', maxCount: 20 },
+        { name: 'promptData', maxCount: 1 },
+        { name: 'manifest', maxCount: 1 }
+    ])(req, res, (error) => {
+        if (!error) return next();
+
+        const messages = {
+            LIMIT_FILE_COUNT: 'Too many files. Maximum 20 images allowed.',
+            LIMIT_UNEXPECTED_FILE: 'Too many files. Maximum 20 images allowed.',
+            LIMIT_FILE_SIZE: 'File too large. Maximum size is 10MB.'
+        };
+        res.status(400).json({ error: messages[error.code] || error.message });
+    });
+}
+
+/**
+ * Answer an upload request with an error, deleting the files multer already
+ * stored for it: rejected uploads never become a job that would clean them up
+ * @param {Object} req - Request with the multer files
+ * @param {Object} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} error - Error message
+ */
+async function rejectUpload(req, res, status, error) {
+    const files = Object.values(req.files || {}).flat();
+    // The prompt variables CSV and the manifest may already be deleted
+    await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+    res.status(status).json({ error });
+}
+
 // Middleware
 app.use(express.json());
 
 // Serving static files - Re-enabled for Vercel to ensure we handle it
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/outputs', express.static(outputDir));
 
 // Root route (explicitly handled)
 app.get('/', (req, res) => {
@@ -90,139 +205,413 @@ app.get('/', (req, res) => {
 });
 
 
+// Image path of the entries of a text-to-image job, which have no source image
+const TEXT_PROMPT_PLACEHOLDER = 'Text Prompt';
+
+// Text-to-image batches: variations per prompt, and images per job
+const MAX_VARIATIONS = 10;
+const MAX_GENERATED_IMAGES = 100;
+
+/**
+ * Read the optional prompt variables CSV of an upload (deleted once read)
+ * @param {Object|undefined} file - Multer file of the promptData field
+ * @returns {Promise<Map<string, Object>>} Lower-cased filename -> CSV record
+ */
+async function readPromptVariables(file) {
+    if (!file) return new Map();
+
+    try {
+        return indexByFilename(parseCsv(await fs.readFile(file.path, 'utf8')));
+    } finally {
+        await fs.unlink(file.path).catch(() => {});
+    }
+}
+
+/**
+ * Build the job's image entries from the uploaded files, with their
+ * per-image prompt, CSV variables and pixel size for prompt templates
+ * @param {Array} files - Multer files of the images field
+ * @param {Array<string>} imagePrompts - Per-image prompts, by upload order
+ * @param {Map<string, Object>} promptVariables - From readPromptVariables
+ * @returns {Promise<Array<Object>>}
+ */
+async function buildImageEntries(files, imagePrompts, promptVariables) {
+    return Promise.all(files.map(async (file, i) => {
+        const size = getImageSize(await fs.readFile(file.path));
+        return {
+            path: file.path,
+            name: file.originalname,
+            prompt: (imagePrompts[i] || '').trim() || null,
+            variables: promptVariables.get(file.originalname.toLowerCase()) || null,
+            width: size ? size.width : null,
+            height: size ? size.height : null
+        };
+    }));
+}
+
+/**
+ * Build the job's image entries from a manifest, one per manifest entry.
+ * Entries may share a source image and carry their own settings.
+ * @param {Object} file - Multer file of the manifest field (deleted once read)
+ * @param {Array} files - Multer files of the images field
+ * @param {Map<string, Object>} promptVariables - From readPromptVariables
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} If the manifest is invalid or references images that were not uploaded
+ */
+async function buildManifestEntries(file, files, promptVariables) {
+    let entries;
+    try {
+        entries = parseManifest(await fs.readFile(file.path, 'utf8'), getManifestFormat(file.originalname));
+    } finally {
+        await fs.unlink(file.path).catch(() => {});
+    }
+
+    const filesByName = new Map(files.map(upload => [upload.originalname.toLowerCase(), upload]));
+    const missing = [...new Set(entries
+        .map(entry => entry.filename)
+        .filter(filename => !filesByName.has(filename.toLowerCase())))];
+    if (missing.length > 0) {
+        throw new Error(`Manifest references images that were not uploaded: ${missing.join(', ')}`);
+    }
+
+    // Uploads the manifest does not use are not part of the job
+    const referenced = new Set(entries.map(entry => entry.filename.toLowerCase()));
+    const unused = files.filter(upload => !referenced.has(upload.originalname.toLowerCase()));
+    for (const upload of unused) {
+        await fs.unlink(upload.path).catch(() => {});
+    }
+
+    const used = files.filter(upload => referenced.has(upload.originalname.toLowerCase()));
+    const sourceImages = new Map(
+        (await buildImageEntries(used, [], promptVariables)).map(image => [image.name.toLowerCase(), image])
+    );
+
+    return entries.map(entry => {
+        const source = sourceImages.get(entry.filename.toLowerCase());
+        const { size, ...settings } = entry.settings;
+
+        // Gemini sizes (1K, 2K, 4K) and pixel sizes (1024x1024) share the size column
+        if (size) {
+            settings[/^\d+K$/i.test(size) ? 'imageSize' : 'size'] = size;
+        }
+
+        return {
+            ...source,
+            prompt: entry.prompt,
+            variables: { ...source.variables, ...entry.variables },
+            settings
+        };
+    });
+}
+
+/**
+ * Build the entries of a text-to-image job: every prompt generated
+ * `variations` times, each image its own entry recording its prompt
+ * @param {Array<string>} prompts - Prompts to generate
+ * @param {number} variations - Images per prompt
+ * @returns {Array<Object>}
+ */
+function buildTextToImageEntries(prompts, variations) {
+    return prompts.flatMap((prompt, p) => Array.from({ length: variations }, (_, v) => ({
+        path: TEXT_PROMPT_PLACEHOLDER,
+        name: variations > 1 ? `Prompt ${p + 1}, variation ${v + 1}` : `Prompt ${p + 1}`,
+        prompt,
+        variation: v + 1
+    })));
+}
+
+// Variables available to the prompt template of an image
+function getPromptVariables(image, index) {
+    return {
+        ...image.variables,
+        filename: image.name || path.basename(image.path),
+        index: index + 1,
+        variation: image.variation,
+        width: image.width,
+        height: image.height
+    };
+}
+
 // Generate unique job ID
 function generateJobId() {
     return `job_${Date.now()}_${Math.random().toString(36).substring(7)}`;
 }
 
-// Process images for a job
-async function processJob(jobId, apiKey, customPrompt, selectedModel, aspectRatio, imageSize, provider = 'gemini', imageRouterApiKey = null, irQuality = 'auto', irSize = 'auto', mode = 'image-to-image') {
-    console.log(`\n=== Starting processJob ===`);
-    console.log(`Job ID: ${jobId}`);
-    console.log(`Provider: ${provider}`);
-    console.log(`API Key: ${apiKey ? apiKey.substring(0, 10) + '...' : 'MISSING'}`);
-    console.log(`ImageRouter API Key: ${imageRouterApiKey ? imageRouterApiKey.substring(0, 10) + '...' : 'N/A'}`);
-    console.log(`Model: ${selectedModel}`);
-    console.log(`Prompt: ${customPrompt}`);
-    console.log(`Quality: ${irQuality}, Size: ${irSize}`);
+/**
+ * Check the budgets of a job and of its API key before a request, and reserve
+ * the request's estimated cost against them until it is billed
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job data
+ * @param {BaseProcessor} processor - Processor sending the request
+ * @returns {Promise<{reservation?: Object, exceeded?: string}>} exceeded: why the request would overspend
+ */
+async function reserveBudget(jobId, job, processor) {
+    const provider = processor.constructor.id;
+    const limits = [];
+    if (job.settings.budget) {
+        limits.push({
+            key: `job:${jobId}`,
+            label: 'Job budget',
+            budget: job.settings.budget,
+            spent: job.usage ? job.usage.cost : 0
+        });
+    }
+    if (keyBudget) {
+        limits.push({
+            key: `key:${UsageLedger.keyId(provider, processor.apiKey)}`,
+            label: 'API key budget',
+            budget: keyBudget,
+            spent: await usageLedger.getCost(provider, processor.apiKey)
+        });
+    }
+    if (limits.length === 0) return { reservation: null };
+
+    // Providers without a price list are expected to cost as much as the priciest request of the job so far
+    let estimate = processor.estimateCost();
+    if (estimate === null) {
+        estimate = Math.max(0, ...job.images
+            .filter(image => image.usage && image.usage.requests > 0)
+            .map(image => image.usage.cost / image.usage.requests));
+    }
 
-    const job = queueManager.getJob(jobId);
-    if (!job) {
-        console.error(`Job ${jobId} not found!`);
-        return;
+    for (const limit of limits) {
+        // Requests still running count as spent: they are billed whatever their outcome
+        const committed = limit.spent + (reservedSpend.get(limit.key) || 0);
+        if (committed >= limit.budget || committed + estimate > limit.budget) {
+            return { exceeded: `${limit.label} of $${limit.budget} reached ($${committed.toFixed(4)} spent)` };
+        }
     }
 
-    queueManager.startJob(jobId);
-    console.log(`Job started, processing ${job.images.length} images`);
+    limits.forEach(limit => reservedSpend.set(limit.key, (reservedSpend.get(limit.key) || 0) + estimate));
+    return { reservation: { keys: limits.map(limit => limit.key), amount: estimate } };
+}
 
-    try {
-        let processor;
-
-        // Create processor based on selected provider
-        if (provider === 'imagerouter') {
-            console.log('Creating ImageRouterProcessor...');
-            processor = new ImageRouterProcessor(
-                imageRouterApiKey,
-                customPrompt || process.env.ENHANCEMENT_PROMPT,
-                selectedModel,
-                irQuality,
-                'png',
-                irSize
-            );
+/**
+ * Release a reservation of reserveBudget once its request is billed or abandoned
+ * @param {Object|null} reservation
+ */
+function releaseBudget(reservation) {
+    if (!reservation) return;
+
+    reservation.keys.forEach(key => {
+        const remaining = (reservedSpend.get(key) || 0) - reservation.amount;
+        if (remaining > 1e-9) {
+            reservedSpend.set(key, remaining);
         } else {
-            // Default to Gemini
-            console.log('Creating GeminiProcessor...');
-            processor = new GeminiProcessor(
-                apiKey,
-                customPrompt || process.env.ENHANCEMENT_PROMPT,
-                selectedModel,
-                aspectRatio,
-                imageSize
-            );
+            reservedSpend.delete(key);
         }
-        console.log('Processor created successfully');
+    });
+}
 
-        // Handle text-to-image if no images provided
-        if (job.images.length === 0 && mode === 'text-to-image') {
-            console.log('Text-to-image mode with no source images. Generating single image...');
-
-            // Add a placeholder image entry to the job so UI shows something
-            const placeholderIndex = 0;
-            job.images.push({
-                path: 'Text Prompt',
-                status: 'pending',
-                outputPath: null,
-                error: null
-            });
-            job.progress.total = 1;
-            job.progress.pending = 1;
+/**
+ * Stop a job that reached a budget: its pending images are cancelled,
+ * requests already running are allowed to finish
+ * @param {string} jobId - Job identifier
+ * @param {Object} job - Job data
+ * @param {string} reason - Which budget was reached
+ */
+function stopOverBudget(jobId, job, reason) {
+    console.warn(`Stopping job ${jobId}: ${reason}`);
+    job.budgetExceeded = reason;
+
+    const pendingIndexes = job.images
+        .map((image, i) => (image.status === 'pending' ? i : -1))
+        .filter(i => i !== -1);
+    queueManager.cancelImages(jobId, pendingIndexes, `Not processed: ${reason}`);
+    queueManager.saveJob(jobId);
+}
 
-            try {
-                queueManager.updateImageStatus(jobId, placeholderIndex, 'processing');
-
-                // Call with null path and the prompt
-                const result = await processor.processImageWithRetry(null, 2, customPrompt);
-                console.log(`Generation result:`, result);
-
-                if (result.success) {
-                    queueManager.updateImageStatus(jobId, placeholderIndex, 'completed', {
-                        outputPath: result.outputPath,
-                        analysis: result.analysis
-                    });
-                } else {
-                    queueManager.updateImageStatus(jobId, placeholderIndex, 'failed', {
-                        error: result.error
-                    });
+// Process a single image of a job, holding a global request slot while the provider is called.
+// The slot is handed back while the image waits to be retried.
+async function processJobImage(jobId, job, processor, i, customPrompt) {
+    const image = job.images[i];
+    console.log(`\nProcessing image ${i + 1}/${job.images.length}: ${image.path}`);
+
+    // Stay 'pending' until a request slot is free so the UI reflects real work
+    const requestSlot = queueManager.createRequestSlot();
+    await requestSlot.acquire();
+
+    const requestKey = `${jobId}:${i}`;
+    let reservation = null;
+
+    try {
+        // Cancelled (or removed) while waiting for a slot
+        if (image.status !== 'pending') return;
+
+        const budget = await reserveBudget(jobId, job, processor);
+        if (budget.exceeded) {
+            stopOverBudget(jobId, job, budget.exceeded);
+            return;
+        }
+        reservation = budget.reservation;
+        if (image.status !== 'pending') return;
+
+        const controller = new AbortController();
+        activeRequests.set(requestKey, controller);
+        queueManager.updateImageStatus(jobId, i, 'processing');
+
+        // Text-to-image placeholders have no source file
+        const sourcePath = image.path === TEXT_PROMPT_PLACEHOLDER ? null : image.path;
+        const prompt = expandPrompt(image.prompt || customPrompt || processor.enhancementPrompt, getPromptVariables(image, i));
+        // Outputs are named by position in the job, e.g. "003-<hash>.png"
+        const outputName = String(i + 1).padStart(3, '0');
+        const result = await processor.processImageWithRetry(sourcePath, retryPolicy.maxRetries, prompt, controller.signal, outputName, requestSlot, {
+            // Whatever the outcome, billed requests count against the job and its API key.
+            // The reservation is released in the same step so the cost is never counted twice.
+            settle: async (usage) => {
+                if (usage) {
+                    await usageLedger.record(processor.constructor.id, processor.apiKey, usage)
+                        .catch(error => console.error('Error recording usage:', error));
+                    queueManager.recordUsage(jobId, i, usage);
                 }
-            } catch (error) {
-                console.error(`Exception in text-to-image generation:`, error);
-                queueManager.updateImageStatus(jobId, placeholderIndex, 'failed', {
-                    error: error.message
-                });
+                releaseBudget(reservation);
+                reservation = null;
+            },
+            reserve: async () => {
+                const retryBudget = await reserveBudget(jobId, job, processor);
+                reservation = retryBudget.reservation || null;
+                return retryBudget.exceeded || null;
             }
-            return; // Finished text-to-image job
+        });
+        console.log(`Processing result for image ${i}:`, result);
+
+        if (result.cancelled) {
+            console.log(`Image ${i} of job ${jobId} was cancelled`);
+        } else if (result.success) {
+            console.log(`Image processed successfully: ${image.path}`);
+            console.log(`Output: ${result.outputKey}`);
+            queueManager.updateImageStatus(jobId, i, 'completed', {
+                outputKey: result.outputKey,
+                analysis: result.analysis,
+                expandedPrompt: prompt,
+                retryCount: result.retryCount,
+                safety: result.safety
+            });
+        } else {
+            console.error(`Image processing failed: ${image.path}`, result.error);
+            // Stop the rest of the job before this image completes it
+            if (result.budgetExceeded) stopOverBudget(jobId, job, result.budgetExceeded);
+            queueManager.updateImageStatus(jobId, i, 'failed', {
+                error: result.error,
+                expandedPrompt: prompt,
+                retryCount: result.retryCount,
+                errorClass: result.errorClass,
+                errorDetails: result.errorDetails,
+                safety: result.safety
+            });
         }
+    } catch (error) {
+        console.error(`Exception processing image ${i}:`, error);
+        // File system errors name paths on the server, clients get them without
+        const message = isFileError(error) ? describeFileError(error) : error.message;
+        queueManager.updateImageStatus(jobId, i, 'failed', {
+            error: message,
+            errorClass: 'fatal',
+            errorDetails: {
+                code: isFileError(error) ? ERROR_CODES.FILE_ERROR : ERROR_CODES.PROVIDER_ERROR,
+                provider: processor.constructor.id,
+                message
+            }
+        });
+    } finally {
+        releaseBudget(reservation);
+        activeRequests.delete(requestKey);
+        requestSlot.release();
+    }
+}
 
-        // Process each image
-        for (let i = 0; i < job.images.length; i++) {
-            const image = job.images[i];
-            console.log(`\nProcessing image ${i + 1}/${job.images.length}: ${image.path}`);
+// Process images for a job (invoked by the queue dispatcher once a job slot is free)
+async function processJob(jobId) {
+    const job = queueManager.getJob(jobId);
+    if (!job) {
+        console.error(`Job ${jobId} not found!`);
+        return;
+    }
 
-            try {
-                queueManager.updateImageStatus(jobId, i, 'processing');
-
-                const result = await processor.processImageWithRetry(image.path, 2, customPrompt);
-                console.log(`Processing result for image ${i}:`, result);
-
-                if (result.success) {
-                    console.log(`Image processed successfully: ${image.path}`);
-                    console.log(`Output path: ${result.outputPath}`);
-                    queueManager.updateImageStatus(jobId, i, 'completed', {
-                        outputPath: result.outputPath,
-                        analysis: result.analysis
-                    });
-                    console.log(`Updated image ${i} with outputPath:`, result.outputPath);
-                } else {
-                    console.error(`Image processing failed: ${image.path}`, result.error);
-                    queueManager.updateImageStatus(jobId, i, 'failed', {
-                        error: result.error
-                    });
-                }
-            } catch (error) {
-                console.error(`Exception processing image ${i}:`, error);
-                queueManager.updateImageStatus(jobId, i, 'failed', {
-                    error: error.message
-                });
+    const {
+        provider = 'gemini',
+        prompt: customPrompt,
+        model: selectedModel,
+        aspectRatio,
+        imageSize,
+        quality = 'auto',
+        size = 'auto',
+        output = null,
+        metadata = null,
+        safety = null
+    } = job.settings;
+    const ProcessorClass = providers.get(provider);
+
+    // Jobs resumed after a restart have no client key left, fall back to the server's key
+    const {
+        apiKey = ProcessorClass && ProcessorClass.envApiKey ? process.env[ProcessorClass.envApiKey] : undefined
+    } = jobCredentials.get(jobId) || {};
+
+    console.log(`\n=== Starting processJob ===`);
+    console.log(`Job ID: ${jobId}`);
+    console.log(`Provider: ${provider}`);
+    console.log(`API Key: ${apiKey ? apiKey.substring(0, 10) + '...' : 'MISSING'}`);
+    console.log(`Model: ${selectedModel}`);
+    console.log(`Prompt: ${customPrompt}`);
+    console.log(`Quality: ${quality}, Size: ${size}`);
+    console.log(`Job started, processing ${job.images.length} images`);
+
+    try {
+        // Create processor for the selected provider. Manifest entries can
+        // override the job-wide settings, one processor per distinct set.
+        console.log(`Creating processor for ${provider}...`);
+        const jobOptions = {
+            apiKey,
+            prompt: customPrompt || process.env.ENHANCEMENT_PROMPT,
+            model: selectedModel,
+            aspectRatio,
+            imageSize,
+            quality,
+            size,
+            output,
+            metadata,
+            safety,
+            jobId
+        };
+        const processors = new Map();
+        const getProcessor = (image) => {
+            const options = { ...jobOptions, ...image.settings };
+            const key = JSON.stringify(options);
+            if (!processors.has(key)) {
+                processors.set(key, providers.create(provider, { ...options, storage: outputStorage, retryPolicy }));
             }
-        }
+            return processors.get(key);
+        };
+        // Fail the whole job up front if the provider cannot be set up
+        getProcessor({});
+        console.log('Processor created successfully');
+
+        // Process images with a pool of workers. Each worker pulls the next
+        // pending index; the actual provider calls are additionally gated by
+        // the global request limit shared across all jobs.
+        // Images already settled before a restart are skipped.
+        const pendingIndexes = job.images
+            .map((image, i) => (image.status === 'pending' ? i : -1))
+            .filter(i => i !== -1);
+        const worker = async () => {
+            while (pendingIndexes.length > 0) {
+                const i = pendingIndexes.shift();
+                await processJobImage(jobId, job, getProcessor(job.images[i]), i, customPrompt);
+            }
+        };
+
+        const workerCount = Math.min(jobConcurrency, pendingIndexes.length);
+        console.log(`Processing with ${workerCount} parallel worker(s)`);
+        await Promise.all(Array.from({ length: workerCount }, worker));
         console.log(`\n=== Job ${jobId} completed ===\n`);
     } catch (error) {
         console.error(`\n!!! FATAL ERROR in processJob !!!`);
         console.error(`Error:`, error);
         console.error(`Stack:`, error.stack);
 
-        // Mark all images as failed
+        // Mark all unfinished images as failed
         for (let i = 0; i < job.images.length; i++) {
+            if (job.images[i].status === 'completed' || job.images[i].status === 'failed') continue;
             queueManager.updateImageStatus(jobId, i, 'failed', {
                 error: `Server error: ${error.message}`
             });
@@ -231,91 +620,330 @@ async function processJob(jobId, apiKey, customPrompt, selectedModel, aspectRati
 }
 
 // Queue event listeners
-queueManager.on('jobComplete', async (jobId) => {
-    console.log(`Job ${jobId} completed`);
+queueManager.setJobHandler(processJob);
 
-    // Clean up uploaded files after a delay
-    setTimeout(async () => {
-        const job = queueManager.getJob(jobId);
-        if (job) {
-            for (const image of job.images) {
-                try {
-                    await fs.unlink(image.path);
-                } catch (error) {
-                    console.error('Error deleting upload:', error);
-                }
-            }
+// Every open event stream adds its own listeners
+queueManager.setMaxListeners(0);
+
+// Reload jobs from the store and continue any that were interrupted
+queueManager.restore()
+    .then(resumed => {
+        if (resumed > 0) {
+            console.log(`Resuming ${resumed} unfinished job(s) from the job store`);
         }
-    }, 60000); // Clean up after 1 minute
+
+        evictExpiredJobs().catch(error => console.error('Error evicting jobs:', error));
+
+        // Upload cleanup timers do not survive a restart, schedule them again
+        queueManager.getAllJobs()
+            .filter(job => job.status === 'completed' && !job.uploadsDeleted)
+            .forEach(job => {
+                scheduleUploadCleanup(job.jobId, job.progress.failed > 0 ? failedUploadRetention : 60000);
+            });
+
+        queueManager.dispatch();
+    })
+    .catch(error => {
+        console.error('Error restoring jobs:', error);
+    });
+
+// Abort the provider request of an image cancelled mid-processing
+queueManager.on('imageCancel', (jobId, imageIndex) => {
+    const controller = activeRequests.get(`${jobId}:${imageIndex}`);
+    if (controller) {
+        controller.abort();
+    }
+});
+
+queueManager.on('jobQueued', (jobId, position, queueLength) => {
+    console.log(`Job ${jobId} waiting in queue (${position}/${queueLength})`);
 });
 
+queueManager.on('jobComplete', (jobId) => {
+    console.log(`Job ${jobId} completed`);
+    jobCredentials.delete(jobId);
+
+    const job = queueManager.getJob(jobId);
+    if (!job) return;
+
+    // Jobs with failed images keep their uploads so the failures can be retried.
+    // Fully settled jobs release them after a short delay.
+    const delay = job.progress.failed > 0 ? failedUploadRetention : 60000;
+    scheduleUploadCleanup(jobId, delay);
+});
+
+// Delete the uploaded source files of a job
+async function deleteJobUploads(jobId) {
+    const job = queueManager.getJob(jobId);
+    if (!job) return;
+
+    await deleteUploads(job);
+    queueManager.saveJob(jobId);
+}
+
+async function deleteUploads(job) {
+    if (job.uploadsDeleted) return;
+
+    // Manifest entries may share a source image
+    const uploads = new Set(job.images.map(image => image.path));
+    uploads.delete(TEXT_PROMPT_PLACEHOLDER);
+
+    for (const uploadPath of uploads) {
+        try {
+            await fs.unlink(uploadPath);
+        } catch (error) {
+            console.error('Error deleting upload:', error);
+        }
+    }
+
+    job.uploadsDeleted = true;
+}
+
+function scheduleUploadCleanup(jobId, delay) {
+    clearTimeout(uploadCleanupTimers.get(jobId));
+    const timer = setTimeout(() => {
+        uploadCleanupTimers.delete(jobId);
+        deleteJobUploads(jobId);
+    }, delay);
+    // Pending cleanups must not keep the process alive
+    timer.unref();
+    uploadCleanupTimers.set(jobId, timer);
+}
+
+function cancelUploadCleanup(jobId) {
+    clearTimeout(uploadCleanupTimers.get(jobId));
+    uploadCleanupTimers.delete(jobId);
+}
+
+// Drop completed jobs from the job store once the retention period of failed uploads has passed
+async function evictExpiredJobs() {
+    for (const job of queueManager.pruneCompletedJobs(failedUploadRetention)) {
+        console.log(`Evicting job ${job.jobId}, completed at ${job.completedAt}`);
+        cancelUploadCleanup(job.jobId);
+        jobCredentials.delete(job.jobId);
+        await deleteUploads(job);
+    }
+}
+
+setInterval(() => {
+    evictExpiredJobs().catch(error => console.error('Error evicting jobs:', error));
+}, 60000).unref();
+
 // API Routes
 
 /**
  * Upload images and create a processing job
  */
-app.post('/api/upload', upload.array('images', 20), async (req, res) => {
+app.post('/api/upload', uploadImages, async (req, res) => {
     try {
         const mode = req.body.mode || 'image-to-image';
+        const imageFiles = (req.files && req.files.images) || [];
+        const promptDataFile = req.files && req.files.promptData && req.files.promptData[0];
 
-        if (mode === 'image-to-image' && (!req.files || req.files.length === 0)) {
-            return res.status(400).json({ error: 'No files uploaded for image-to-image mode' });
+        if (mode === 'image-to-image' && imageFiles.length === 0) {
+            return rejectUpload(req, res, 400, 'No files uploaded for image-to-image mode');
         }
 
         // Get provider selection (default to gemini for backward compatibility)
         const provider = req.body.provider || 'gemini';
 
-        // Get API keys from request
-        const apiKey = req.body.apiKey;
-        const imageRouterApiKey = req.body.imageRouterApiKey;
+        const ProcessorClass = providers.get(provider);
+        if (!ProcessorClass) {
+            return rejectUpload(req, res, 400, `Unknown provider: ${provider}`);
+        }
+
+        // Get and validate the API key for the selected provider
+        const apiKey = req.body[ProcessorClass.apiKeyField];
+        const apiKeyError = ProcessorClass.validateApiKey(apiKey);
+        if (apiKeyError) {
+            return rejectUpload(req, res, 400, apiKeyError);
+        }
 
-        // Validate API key based on provider
-        if (provider === 'imagerouter') {
-            if (!imageRouterApiKey) {
-                return res.status(400).json({ error: 'ImageRouter API key is required' });
+        // Per-image prompts, a JSON array in upload order
+        let imagePrompts = [];
+        if (req.body.imagePrompts) {
+            try {
+                imagePrompts = JSON.parse(req.body.imagePrompts);
+            } catch (error) {
+                imagePrompts = null;
             }
-        } else {
-            // Gemini provider
-            if (!apiKey) {
-                return res.status(400).json({ error: 'Gemini API key is required' });
+            if (!Array.isArray(imagePrompts) || imagePrompts.some(prompt => prompt !== null && typeof prompt !== 'string')) {
+                return rejectUpload(req, res, 400, 'imagePrompts must be a JSON array of strings');
             }
-            if (!apiKey.startsWith('AIza')) {
-                return res.status(400).json({ error: 'Invalid Gemini API key format' });
+        }
+
+        let promptVariables;
+        try {
+            promptVariables = await readPromptVariables(promptDataFile);
+        } catch (error) {
+            return rejectUpload(req, res, 400, `Invalid prompt variables CSV: ${error.message}`);
+        }
+
+        const manifestFile = req.files && req.files.manifest && req.files.manifest[0];
+        let images;
+        if (mode === 'text-to-image' && imageFiles.length === 0) {
+            // A list of prompts (JSON array), or the single prompt field
+            let prompts = req.body.prompt ? [req.body.prompt] : [];
+            if (req.body.prompts) {
+                try {
+                    prompts = JSON.parse(req.body.prompts);
+                } catch (error) {
+                    prompts = null;
+                }
+                if (!Array.isArray(prompts) || prompts.some(prompt => typeof prompt !== 'string')) {
+                    return rejectUpload(req, res, 400, 'prompts must be a JSON array of strings');
+                }
+            }
+            prompts = prompts.map(prompt => prompt.trim()).filter(Boolean);
+
+            const variations = parseInt(req.body.variations || '1', 10);
+            if (!Number.isInteger(variations) || variations < 1 || variations > MAX_VARIATIONS) {
+                return rejectUpload(req, res, 400, `variations must be between 1 and ${MAX_VARIATIONS}`);
+            }
+            if (prompts.length === 0) {
+                return rejectUpload(req, res, 400, 'At least one prompt is required for text-to-image mode');
+            }
+            if (prompts.length * variations > MAX_GENERATED_IMAGES) {
+                return rejectUpload(req, res, 400,
+                    `Too many images: ${prompts.length} prompts × ${variations} variations, the maximum is ${MAX_GENERATED_IMAGES}`);
+            }
+
+            images = buildTextToImageEntries(prompts, variations);
+        } else if (manifestFile) {
+            try {
+                images = await buildManifestEntries(manifestFile, imageFiles, promptVariables);
+            } catch (error) {
+                return rejectUpload(req, res, 400, `Invalid manifest: ${error.message}`);
             }
+        } else {
+            images = await buildImageEntries(imageFiles, imagePrompts, promptVariables);
         }
 
         const jobId = generateJobId();
-        const imagePaths = req.files.map(file => file.path);
         const customPrompt = req.body.prompt; // Get custom prompt from request
-        const selectedModel = req.body.model || (provider === 'imagerouter' ? 'flux-1.1-pro' : 'gemini-3-pro-image-preview');
+        const selectedModel = req.body.model || ProcessorClass.defaultModel;
         const aspectRatio = req.body.aspectRatio || '1:1';
         const imageSize = req.body.imageSize || '2K';
 
         // ImageRouter specific parameters
-        const irQuality = req.body.quality || 'auto';
-        const irSize = req.body.size || 'auto';
+        const quality = req.body.quality || 'auto';
+        const size = req.body.size || 'auto';
+
+        // Conversion, compression and resizing applied to every result
+        const { options: output, error: outputError } = normalizeOutputOptions({
+            format: req.body.outputFormat,
+            quality: req.body.outputQuality,
+            resizeMode: req.body.resizeMode,
+            width: req.body.resizeWidth,
+            height: req.body.resizeHeight,
+            maxEdge: req.body.resizeMaxEdge
+        });
+        if (outputError) {
+            return rejectUpload(req, res, 400, outputError);
+        }
+
+        // Source fields copied to results, and provenance written into them
+        const { options: metadata, error: metadataError } = normalizeMetadataOptions({
+            copyright: req.body.keepCopyright,
+            camera: req.body.keepCamera,
+            gps: req.body.keepGps,
+            provenance: req.body.embedProvenance
+        });
+        if (metadataError) {
+            return rejectUpload(req, res, 400, metadataError);
+        }
+
+        // Gemini safety filter thresholds, one for all categories and/or per category
+        const { options: safety, error: safetyError } = normalizeSafetyOptions({
+            threshold: req.body.safetyThreshold,
+            settings: req.body.safetySettings
+        });
+        if (safetyError) {
+            return rejectUpload(req, res, 400, safetyError);
+        }
+
+        // Settings the model does not support (manifest overrides included) are
+        // rejected here rather than failing every image
+        const catalog = await providers.getModelCatalog(provider);
+        for (const image of images) {
+            const settingsError = validateModelSettings(catalog, {
+                mode: image.path === TEXT_PROMPT_PLACEHOLDER ? 'text-to-image' : 'image-to-image',
+                model: selectedModel,
+                aspectRatio,
+                imageSize,
+                quality,
+                size,
+                ...image.settings
+            });
+            if (settingsError) {
+                return rejectUpload(req, res, 400, image.settings ? `${image.name}: ${settingsError}` : settingsError);
+            }
+        }
+
+        // Spending cap of the job in USD, the job is stopped before a request would exceed it
+        const { budget, error: budgetError } = normalizeBudget(req.body.budget);
+        if (budgetError) {
+            return rejectUpload(req, res, 400, budgetError);
+        }
+        if (budget && !ProcessorClass.reportsCost) {
+            return rejectUpload(req, res, 400, `${ProcessorClass.displayName} does not report costs, a budget cannot be applied`);
+        }
 
-        // Create job in queue
-        const job = queueManager.createJob(jobId, imagePaths);
+        // Keys that used up KEY_BUDGET_USD take no new jobs
+        const billedKey = apiKey || (ProcessorClass.envApiKey ? process.env[ProcessorClass.envApiKey] : undefined);
+        if (keyBudget && await usageLedger.getCost(provider, billedKey) >= keyBudget) {
+            return rejectUpload(req, res, 402, `API key budget of $${keyBudget} reached`);
+        }
 
-        // Start processing with appropriate parameters based on provider
-        processJob(jobId, apiKey, customPrompt, selectedModel, aspectRatio, imageSize, provider, imageRouterApiKey, irQuality, irSize, mode);
+        // Create job in queue; the dispatcher starts it once a job slot is free
+        jobCredentials.set(jobId, { apiKey });
+        queueManager.createJob(jobId, images, {
+            provider,
+            prompt: customPrompt,
+            model: selectedModel,
+            aspectRatio,
+            imageSize,
+            quality,
+            size,
+            mode,
+            output,
+            metadata,
+            safety,
+            budget
+        });
+        queueManager.dispatch();
 
         res.json({
             success: true,
             jobId: jobId,
-            imageCount: imagePaths.length,
+            queuePosition: queueManager.getQueuePosition(jobId),
+            imageCount: images.length,
             prompt: customPrompt || 'default',
             model: selectedModel,
             provider: provider,
-            settings: { aspectRatio, imageSize }
+            settings: { aspectRatio, imageSize, output, metadata, safety, budget }
         });
     } catch (error) {
         console.error('Upload error:', error);
-        res.status(500).json({ error: error.message });
+        await rejectUpload(req, res, 500, error.message);
     }
 });
 
+// Job data as sent to clients, including its current queue position
+function serializeJob(job) {
+    return {
+        ...job,
+        // Upload paths and storage keys stay on the server; results are
+        // reached through the output route under their download name
+        images: job.images.map(({ path: uploadPath, outputKey, ...image }, i) => ({
+            ...image,
+            outputUrl: outputKey ? `/api/jobs/${job.jobId}/images/${i}/output` : null,
+            downloadName: outputKey ? ZipGenerator.getOutputName(job, job.images[i], i) : null
+        })),
+        queuePosition: queueManager.getQueuePosition(job.jobId)
+    };
+}
+
 /** */// Get job status
 app.get('/api/status/:jobId', (req, res) => {
     const job = queueManager.getJob(req.params.jobId);
@@ -323,21 +951,76 @@ app.get('/api/status/:jobId', (req, res) => {
         return res.status(404).json({ error: 'Job not found' });
     }
 
-    console.log(`Status request for job ${req.params.jobId}:`, {
-        completed: job.progress.completed,
-        total: job.progress.total,
-        images: job.images.map(img => ({
-            status: img.status,
-            path: img.path,
-            outputPath: img.outputPath
-        }))
+    res.json(serializeJob(job));
+});
+
+/**
+ * Stream job progress as Server-Sent Events
+ */
+app.get('/api/events/:jobId', (req, res) => {
+    const { jobId } = req.params;
+    if (!queueManager.getJob(jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
 
-    res.json(job);
+    const send = (event) => {
+        const job = queueManager.getJob(jobId);
+        if (!job) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+    };
+
+    // Keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const listeners = {};
+    const close = () => {
+        clearInterval(keepAlive);
+        Object.entries(listeners).forEach(([event, listener]) => {
+            queueManager.off(event, listener);
+        });
+    };
+    // The stream ends with the job: once it completes or is removed
+    const end = () => {
+        close();
+        res.end();
+    };
+
+    // Every event carries the full job snapshot, filtered to this job
+    ['jobQueued', 'jobStart', 'jobUpdate', 'jobComplete'].forEach(event => {
+        listeners[event] = (id) => {
+            if (id !== jobId) return;
+            send(event);
+            if (event === 'jobComplete') end();
+        };
+        queueManager.on(event, listeners[event]);
+    });
+    listeners.jobRemoved = (id) => {
+        if (id !== jobId) return;
+        res.write(`event: jobRemoved\ndata: ${JSON.stringify({ jobId })}\n\n`);
+        end();
+    };
+    queueManager.on('jobRemoved', listeners.jobRemoved);
+
+    req.on('close', close);
+
+    // Initial state, so clients connecting late still get the current status
+    send('status');
+    if (queueManager.getJob(jobId).status === 'completed') end();
 });
 
 /**
- * Download processed images as zip
+ * Stream processed images as a zip, with a manifest of the job.
+ * Query: manifest (json, csv, json,csv or none), originals (true/false),
+ * layout (flat or folders), pattern (e.g. {original}_{model}_{index}),
+ * images (indexes, e.g. 0,2) and status (e.g. completed) to download a subset
  */
 app.get('/api/download/:jobId', async (req, res) => {
     try {
@@ -352,27 +1035,157 @@ app.get('/api/download/:jobId', async (req, res) => {
             return res.status(400).json({ error: 'Job not yet completed' });
         }
 
-        // Create zip file
-        const zipPath = await ZipGenerator.createJobZip(job, jobId);
-
-        // Send the zip file
-        res.download(zipPath, `enhanced-images-${jobId}.zip`, async (err) => {
-            if (err) {
-                console.error('Download error:', err);
-            }
+        const { options, error: optionsError } = ZipGenerator.normalizeOptions(req.query);
+        if (optionsError) {
+            return res.status(400).json({ error: optionsError });
+        }
 
-            // Clean up zip file after download
-            setTimeout(async () => {
-                await ZipGenerator.cleanup(zipPath);
-            }, 5000);
-        });
+        const files = await ZipGenerator.getJobFiles(job, jobId, outputStorage, options);
+        if (!files) {
+            return res.status(400).json({ error: 'No processed images to zip' });
+        }
 
+        res.attachment(`enhanced-images-${jobId}.zip`);
+        await ZipGenerator.streamZip(files, res, outputStorage);
     } catch (error) {
         console.error('Download error:', error);
+        if (res.headersSent) {
+            // Part of the archive is sent already, all that is left is to cut it off
+            res.destroy(error);
+        } else {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+/**
+ * Serve the result of an image: redirects to a presigned URL when outputs
+ * live in S3, streams the file otherwise. ?download=1 sends it as an attachment.
+ */
+app.get('/api/jobs/:jobId/images/:imageIndex/output', async (req, res) => {
+    const job = queueManager.getJob(req.params.jobId);
+    const imageIndex = parseInt(req.params.imageIndex, 10);
+    const image = job && job.images[imageIndex];
+    if (!image || !image.outputKey) {
+        return res.status(404).json({ error: 'Output not found' });
+    }
+
+    const download = req.query.download === '1' || req.query.download === 'true';
+    const downloadName = ZipGenerator.getOutputName(job, image, imageIndex);
+
+    try {
+        const signedUrl = outputStorage.getSignedUrl(image.outputKey, { downloadName: download ? downloadName : null });
+        if (signedUrl) {
+            return res.redirect(302, signedUrl);
+        }
+
+        if (!await outputStorage.exists(image.outputKey)) {
+            return res.status(404).json({ error: 'Output not found' });
+        }
+
+        res.type(path.extname(image.outputKey));
+        if (download) {
+            res.attachment(downloadName);
+        }
+        outputStorage.createReadStream(image.outputKey)
+            .on('error', (error) => {
+                console.error('Output stream error:', error);
+                res.destroy(error);
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Output error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
+/**
+ * Cancel all unfinished images of a job
+ */
+app.post('/api/jobs/:jobId/cancel', (req, res) => {
+    const { jobId } = req.params;
+    if (!queueManager.getJob(jobId)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const cancelled = queueManager.cancelImages(jobId);
+    console.log(`Cancelled ${cancelled.length} image(s) of job ${jobId}`);
+
+    res.json({ success: true, cancelled });
+});
+
+/**
+ * Cancel a single image of a job
+ */
+app.post('/api/jobs/:jobId/images/:imageIndex/cancel', (req, res) => {
+    const { jobId } = req.params;
+    const job = queueManager.getJob(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const imageIndex = parseInt(req.params.imageIndex, 10);
+    if (!job.images[imageIndex]) {
+        return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const cancelled = queueManager.cancelImages(jobId, [imageIndex]);
+    if (cancelled.length === 0) {
+        return res.status(400).json({ error: `Image is already ${job.images[imageIndex].status}` });
+    }
+
+    res.json({ success: true, cancelled });
+});
+
+/**
+ * Re-queue the failed images of a finished job, reusing its uploads and settings
+ */
+app.post('/api/jobs/:jobId/retry-failed', (req, res) => {
+    const { jobId } = req.params;
+    const job = queueManager.getJob(jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(400).json({ error: 'Job not yet completed' });
+    }
+
+    if (job.progress.failed === 0) {
+        return res.status(400).json({ error: 'Job has no failed images' });
+    }
+
+    if (job.uploadsDeleted) {
+        return res.status(410).json({ error: 'Original uploads are no longer available, please start a new batch' });
+    }
+
+    // Keys are not kept after a job completes, the client sends it again
+    // unless the server has a key of its own for the provider
+    const ProcessorClass = providers.get(job.settings.provider);
+    const apiKey = ProcessorClass && req.body ? req.body[ProcessorClass.apiKeyField] : null;
+    if (ProcessorClass) {
+        const serverKey = ProcessorClass.envApiKey ? process.env[ProcessorClass.envApiKey] : undefined;
+        const apiKeyError = ProcessorClass.validateApiKey(apiKey || serverKey);
+        if (apiKeyError) {
+            return res.status(400).json({ error: apiKeyError });
+        }
+    }
+    if (apiKey) {
+        jobCredentials.set(jobId, { apiKey });
+    }
+
+    cancelUploadCleanup(jobId);
+    const retried = queueManager.retryFailedImages(jobId);
+    queueManager.dispatch();
+
+    res.json({
+        success: true,
+        jobId,
+        retried,
+        queuePosition: queueManager.getQueuePosition(jobId)
+    });
+});
+
 /**
  * Clean up job data
  */
@@ -385,11 +1198,18 @@ app.delete('/api/cleanup/:jobId', async (req, res) => {
             return res.status(404).json({ error: 'Job not found' });
         }
 
+        // Stop any remaining paid API calls before removing the job
+        queueManager.cancelImages(jobId);
+
+        // Delete uploaded source files
+        cancelUploadCleanup(jobId);
+        await deleteJobUploads(jobId);
+
         // Delete output files
         for (const image of job.images) {
-            if (image.outputPath) {
+            if (image.outputKey) {
                 try {
-                    await fs.unlink(image.outputPath);
+                    await outputStorage.remove(image.outputKey);
                 } catch (error) {
                     console.error('Error deleting output:', error);
                 }
@@ -398,6 +1218,7 @@ app.delete('/api/cleanup/:jobId', async (req, res) => {
 
         // Remove job from queue
         queueManager.removeJob(jobId);
+        jobCredentials.delete(jobId);
 
         res.json({ success: true });
     } catch (error) {
@@ -407,110 +1228,187 @@ app.delete('/api/cleanup/:jobId', async (req, res) => {
 });
 
 /**
- * ImageRouter models cache
+ * List saved presets
  */
-let imageRouterModelsCache = {
-    data: null,
-    timestamp: null,
-    ttl: 3600000 // 1 hour
-};
+app.get('/api/presets', async (req, res) => {
+    try {
+        res.json({ presets: await presetStore.list() });
+    } catch (error) {
+        console.error('Preset list error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
 /**
- * Get ImageRouter models with caching
+ * Download all presets as a JSON file for importing elsewhere
  */
-app.get('/api/imagerouter/models', async (req, res) => {
+app.get('/api/presets/export', async (req, res) => {
+    try {
+        const presets = (await presetStore.list()).map(({ id, createdAt, updatedAt, ...preset }) => preset);
+        res.setHeader('Content-Disposition', 'attachment; filename="presets.json"');
+        res.json({ version: 1, exportedAt: new Date().toISOString(), presets });
+    } catch (error) {
+        console.error('Preset export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Import presets from an export. Presets with an existing name replace it.
+ */
+app.post('/api/presets/import', async (req, res) => {
     try {
-        // Check cache
-        if (imageRouterModelsCache.data &&
-            Date.now() - imageRouterModelsCache.timestamp < imageRouterModelsCache.ttl) {
-            return res.json(imageRouterModelsCache.data);
+        const presets = Array.isArray(req.body) ? req.body : req.body.presets;
+        if (!Array.isArray(presets) || presets.length === 0) {
+            return res.status(400).json({ error: 'No presets to import' });
         }
 
-        // Fetch from ImageRouter API
-        const axios = require('axios');
-        const response = await axios.get('https://api.imagerouter.io/v1/models', {
-            timeout: 10000
-        });
+        for (let i = 0; i < presets.length; i++) {
+            const presetError = validatePreset(presets[i]);
+            if (presetError) {
+                return res.status(400).json({ error: `Preset ${i + 1}: ${presetError}` });
+            }
+        }
 
-        const rawModels = response.data;
-
-        // Transform and filter models
-        const models = Object.entries(rawModels)
-            .map(([id, data]) => {
-                // Extract provider from model ID
-                const provider = id.split('/')[0];
-
-                // Format model name
-                let name = id.split('/')[1] || id;
-                name = name.replace(':free', '');
-
-                // Determine if free
-                const isFree = id.endsWith(':free') ||
-                    data.providers.every(p => p.pricing.type === 'fixed' && p.pricing.value === 0);
-
-                // Get pricing info
-                let pricing = { min: 0, max: 0, average: 0 };
-                if (!isFree && data.providers.length > 0) {
-                    const firstProvider = data.providers[0];
-                    if (firstProvider.pricing.type === 'fixed') {
-                        pricing.min = pricing.max = pricing.average = firstProvider.pricing.value;
-                    } else if (firstProvider.pricing.range) {
-                        pricing.min = firstProvider.pricing.range.min || 0;
-                        pricing.max = firstProvider.pricing.range.max || firstProvider.pricing.range.average || 0;
-                        pricing.average = firstProvider.pricing.range.average || pricing.min;
-                    } else if (firstProvider.pricing.value !== undefined) {
-                        pricing.min = pricing.max = pricing.average = firstProvider.pricing.value;
-                    }
-                }
+        const result = await presetStore.import(presets);
+        res.json({ success: true, ...result, presets: await presetStore.list() });
+    } catch (error) {
+        console.error('Preset import error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-                return {
-                    id,
-                    name,
-                    provider,
-                    output: data.output || ['image'],
-                    isFree,
-                    pricing,
-                    release_date: data.release_date,
-                    supported_params: data.supported_params || {},
-                    sizes: data.sizes || [],
-                    seconds: data.seconds
-                };
-            });
-        // Note: No filtering here - frontend handles type filtering
+/**
+ * Create a preset
+ */
+app.post('/api/presets', async (req, res) => {
+    try {
+        const presetError = validatePreset(req.body);
+        if (presetError) {
+            return res.status(400).json({ error: presetError });
+        }
+        if (await presetStore.findByName(req.body.name)) {
+            return res.status(409).json({ error: `A preset named "${req.body.name.trim()}" already exists` });
+        }
+
+        res.status(201).json({ preset: await presetStore.create(req.body) });
+    } catch (error) {
+        console.error('Preset create error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Replace a preset
+ */
+app.put('/api/presets/:presetId', async (req, res) => {
+    try {
+        const presetError = validatePreset(req.body);
+        if (presetError) {
+            return res.status(400).json({ error: presetError });
+        }
+
+        const sameName = await presetStore.findByName(req.body.name);
+        if (sameName && sameName.id !== req.params.presetId) {
+            return res.status(409).json({ error: `A preset named "${req.body.name.trim()}" already exists` });
+        }
+
+        const preset = await presetStore.update(req.params.presetId, req.body);
+        if (!preset) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.json({ preset });
+    } catch (error) {
+        console.error('Preset update error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a preset
+ */
+app.delete('/api/presets/:presetId', async (req, res) => {
+    try {
+        if (!(await presetStore.remove(req.params.presetId))) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Preset delete error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List available providers and their capabilities
+ */
+app.get('/api/providers', (req, res) => {
+    res.json({ providers: providers.list() });
+});
 
-        const result = { models };
+/**
+ * Models of all providers (or of ?provider=) with their capabilities and
+ * pricing. complete is false for providers whose model list could not be
+ * fetched; their settings are not validated.
+ */
+app.get('/api/models', async (req, res) => {
+    const ids = req.query.provider ? [req.query.provider] : providers.list().map(provider => provider.id);
+    if (ids.some(id => !providers.has(id))) {
+        return res.status(400).json({ error: `Unknown provider: ${req.query.provider}` });
+    }
 
-        // Update cache
-        imageRouterModelsCache.data = result;
-        imageRouterModelsCache.timestamp = Date.now();
+    try {
+        const catalogs = await Promise.all(ids.map(id => providers.getModelCatalog(id)));
+        res.json({
+            models: catalogs.flatMap(catalog => catalog.models),
+            providers: ids.map((id, i) => ({ id, complete: catalogs[i].complete }))
+        });
+    } catch (error) {
+        console.error('Error listing models:', error);
+        res.status(500).json({ error: 'Failed to list models' });
+    }
+});
 
-        res.json(result);
+/**
+ * ImageRouter models with sizes and supported parameters, images and videos
+ * (cached, see ImageRouterProcessor.fetchModels)
+ */
+app.get('/api/imagerouter/models', async (req, res) => {
+    try {
+        const ImageRouterProcessor = providers.get('imagerouter');
+        const { models } = await ImageRouterProcessor.fetchModels();
+        res.json({ models });
     } catch (error) {
-        console.error('Error fetching ImageRouter models:', error);
+        console.error('Error listing ImageRouter models:', error);
+        res.status(502).json({ error: 'Failed to list ImageRouter models' });
+    }
+});
+
+/**
+ * Spend per job and the running ledger per API key
+ */
+app.get('/api/usage', async (req, res) => {
+    try {
+        const jobs = queueManager.getAllJobs().map(job => ({
+            jobId: job.jobId,
+            provider: job.settings.provider,
+            model: job.settings.model,
+            status: job.status,
+            budget: job.settings.budget || null,
+            budgetExceeded: job.budgetExceeded || null,
+            usage: job.usage || null,
+            createdAt: job.createdAt
+        }));
 
-        // Return fallback models
         res.json({
-            models: [
-                {
-                    id: 'black-forest-labs/FLUX-1.1-pro',
-                    name: 'FLUX 1.1 Pro',
-                    provider: 'black-forest-labs',
-                    output: ['image'],
-                    isFree: false,
-                    pricing: { min: 0.04, max: 0.04, average: 0.04 },
-                    supported_params: {}
-                },
-                {
-                    id: 'black-forest-labs/FLUX-pro',
-                    name: 'FLUX Pro',
-                    provider: 'black-forest-labs',
-                    output: ['image'],
-                    isFree: false,
-                    pricing: { min: 0.05, max: 0.05, average: 0.05 },
-                    supported_params: {}
-                }
-            ]
+            total: jobs.reduce((total, job) => addUsage(total, job.usage), null),
+            jobs,
+            keys: await usageLedger.list(),
+            keyBudget
         });
+    } catch (error) {
+        console.error('Error reading usage:', error);
+        res.status(500).json({ error: 'Failed to read usage' });
     }
 });
 
@@ -521,20 +1419,25 @@ app.get('/api/stats', (req, res) => {
     res.json(queueManager.getStats());
 });
 
-// Start server
-if (!isVercel) {
+// Start server (unless imported, e.g. by Vercel or the tests)
+if (!isVercel && require.main === module) {
     app.listen(PORT, () => {
         console.log(`\n🚀 Bulk Image AI Server running on http://localhost:${PORT}`);
         console.log(`📊 Max concurrent requests: ${maxConcurrent}`);
+        console.log(`📋 Max concurrent jobs: ${maxConcurrentJobs}`);
+        console.log(`🧵 Parallel images per job: ${jobConcurrency}`);
         console.log(`\n✨ Ready to process images!\n`);
     });
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
+// Graceful shutdown, on Ctrl+C and when stopped by a process manager or container runtime
+async function shutdown() {
     console.log('\n\nShutting down gracefully...');
+    await jobStore.flush();
     process.exit(0);
-});
+}
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 // Final catch-all for 404s
 app.use((req, res) => {
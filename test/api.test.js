@@ -0,0 +1,1555 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const FakeImageRouter = require('./helpers/fake-imagerouter');
+const { readZip, readZipEntries } = require('./helpers/zip');
+const { getImageSize } = require('../lib/image-size');
+const { detectFormat } = require('../lib/output-pipeline');
+const exifReader = require('exif-reader');
+
+// Must be set before the app is loaded
+process.env.NODE_ENV = 'test';
+process.env.JOB_STORE = 'memory';
+process.env.MAX_CONCURRENT_REQUESTS = '2';
+process.env.MOCK_LATENCY_MS = '0';
+process.env.RETRY_BASE_DELAY_MS = '0';
+process.env.RETRY_MAX_AFTER_MS = '5000';
+// Uploads, outputs and data files live in a temp directory removed after the tests
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-image-ai-'));
+process.env.UPLOAD_DIR = path.join(TEMP_DIR, 'uploads');
+process.env.OUTPUT_DIR = path.join(TEMP_DIR, 'outputs');
+process.env.DATA_DIR = path.join(TEMP_DIR, 'data');
+process.env.PRESETS_FILE = path.join(TEMP_DIR, 'presets.json');
+process.env.USAGE_FILE = path.join(TEMP_DIR, 'usage.json');
+delete process.env.GEMINI_API_KEY;
+delete process.env.IMAGEROUTER_API_KEY;
+
+const GeminiProcessor = require('../lib/providers/gemini-processor');
+
+const GEMINI_KEY = 'AIzaTestKey';
+const IMAGEROUTER_KEY = 'ir-test-key';
+const FIXTURES = path.join(__dirname, 'fixtures');
+const UPLOAD_DIR = process.env.UPLOAD_DIR;
+const OUTPUT_DIR = process.env.OUTPUT_DIR;
+
+// Stubbed GenAI client: records requests and answers with a fixed image
+const gemini = {
+  calls: [],
+  image: Buffer.from('fake-gemini-image'),
+  error: null,
+  response: null, // Replaces the image response, e.g. for safety blocks
+  gate: null // While set, requests are answered only once this promise resolves
+};
+GeminiProcessor.createClient = (apiKey) => ({
+  models: {
+    generateContent: async (request) => {
+      gemini.calls.push({ apiKey, request });
+      if (gemini.gate) await gemini.gate;
+      if (gemini.error) throw gemini.error;
+      if (gemini.response) return gemini.response;
+      return {
+        candidates: [{
+          content: {
+            parts: [
+              { text: 'Stub analysis' },
+              { inlineData: { mimeType: 'image/png', data: gemini.image.toString('base64') } }
+            ]
+          }
+        }]
+      };
+    }
+  }
+});
+
+const imageRouter = new FakeImageRouter();
+let server;
+let baseUrl;
+
+function fixture(name, type = 'image/png') {
+  return { name, type, data: fs.readFileSync(path.join(FIXTURES, name)) };
+}
+
+/**
+ * POST /api/upload as multipart form data
+ * @param {Object} fields - Form fields
+ * @param {Array<{name, type, data, field}>} files - Files, sent as "images" unless a field is given
+ */
+async function upload(fields, files = []) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    form.append(key, value);
+  }
+  for (const file of files) {
+    form.append(file.field || 'images', new Blob([file.data], { type: file.type }), file.name);
+  }
+
+  const response = await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+async function getStatus(jobId) {
+  const response = await fetch(`${baseUrl}/api/status/${jobId}`);
+  return { status: response.status, body: await response.json() };
+}
+
+// Poll the status endpoint until the job is finished
+async function waitForJob(jobId, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const { body } = await getStatus(jobId);
+    if (body.status === 'completed') return body;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeout}ms`);
+}
+
+async function download(jobId, options = {}) {
+  const query = new URLSearchParams(options).toString();
+  const response = await fetch(`${baseUrl}/api/download/${jobId}${query ? `?${query}` : ''}`);
+  return { status: response.status, headers: response.headers, data: Buffer.from(await response.arrayBuffer()) };
+}
+
+// Fetch a result through the output route of the job
+async function readOutput(image) {
+  const response = await fetch(`${baseUrl}${image.outputUrl}`);
+  assert.equal(response.status, 200);
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function request(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// Poll until check() returns something truthy, and return it
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Condition not met within ${timeout}ms`);
+}
+
+// Hold Gemini requests until the returned function is called
+function holdGemini() {
+  let release;
+  gemini.gate = new Promise(resolve => {
+    release = resolve;
+  });
+  return release;
+}
+
+/**
+ * Open the event stream of a job
+ * @returns {Promise<{response, next}>} next() resolves with the next event, or null once the server ended the stream
+ */
+async function openEvents(jobId) {
+  const response = await fetch(`${baseUrl}/api/events/${jobId}`);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  async function next() {
+    for (;;) {
+      const end = buffered.indexOf('\n\n');
+      if (end !== -1) {
+        const block = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const event = {};
+        for (const line of block.split('\n')) {
+          if (line.startsWith('event: ')) event.type = line.slice(7);
+          if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+        }
+        // Keepalive comments have no event
+        if (event.type) return event;
+        continue;
+      }
+
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffered += decoder.decode(value, { stream: true });
+    }
+  }
+
+  return { response, next };
+}
+
+async function readRemainingEvents(events) {
+  const received = [];
+  for (let event = await events.next(); event; event = await events.next()) {
+    received.push(event);
+  }
+  return received;
+}
+
+async function cleanup(jobId) {
+  const response = await fetch(`${baseUrl}/api/cleanup/${jobId}`, { method: 'DELETE' });
+  return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+  process.env.IMAGEROUTER_BASE_URL = await imageRouter.start();
+
+  // Keep the test output readable; set DEBUG_TESTS=1 to see the server logs
+  if (!process.env.DEBUG_TESTS) {
+    console.log = () => {};
+    console.error = () => {};
+    console.warn = () => {};
+  }
+
+  const app = require('../server');
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await imageRouter.stop();
+  fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  gemini.calls = [];
+  gemini.error = null;
+  gemini.response = null;
+  gemini.gate = null;
+  gemini.image = Buffer.from('fake-gemini-image');
+  imageRouter.reset();
+});
+
+describe('Gemini jobs', () => {
+  it('processes uploads, serves them as a zip and cleans up', async () => {
+    const uploadsBefore = new Set(fs.readdirSync(UPLOAD_DIR));
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, prompt: 'Make it pop', model: 'gemini-2.5-flash-image' },
+      [fixture('red.png'), fixture('blue.png')]
+    );
+
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.success, true);
+    assert.equal(uploaded.body.imageCount, 2);
+    assert.equal(uploaded.body.provider, 'gemini');
+
+    const { jobId } = uploaded.body;
+    const job = await waitForJob(jobId);
+
+    assert.deepEqual(job.progress, { total: 2, completed: 2, failed: 0, cancelled: 0, pending: 0 });
+    assert.ok(job.images.every(image => image.status === 'completed'));
+
+    assert.equal(gemini.calls.length, 2);
+    for (const { apiKey, request } of gemini.calls) {
+      assert.equal(apiKey, GEMINI_KEY);
+      assert.equal(request.model, 'gemini-2.5-flash-image');
+      assert.equal(request.contents[0].text, 'Make it pop');
+      assert.equal(request.contents[1].inlineData.mimeType, 'image/png');
+    }
+
+    const zip = await download(jobId);
+    assert.equal(zip.status, 200);
+    assert.match(zip.headers.get('content-disposition'), new RegExp(`enhanced-images-${jobId}\\.zip`));
+
+    const entries = readZip(zip.data);
+    const names = [...entries.keys()].filter(name => !name.startsWith('manifest.'));
+    assert.equal(names.length, 2);
+    assert.deepEqual(names.sort(), ['blue_gemini-2.5-flash-image.png', 'red_gemini-2.5-flash-image.png']);
+    for (const name of names) {
+      assert.deepEqual(entries.get(name), gemini.image);
+    }
+
+    const manifest = JSON.parse(entries.get('manifest.json'));
+    assert.equal(manifest.jobId, jobId);
+    assert.deepEqual(manifest.images.map(image => [image.source, image.prompt, image.model, image.status]), [
+      ['red.png', 'Make it pop', 'gemini-2.5-flash-image', 'completed'],
+      ['blue.png', 'Make it pop', 'gemini-2.5-flash-image', 'completed']
+    ]);
+    assert.ok(names.includes(manifest.images[0].output));
+    assert.match(entries.get('manifest.csv').toString(), /^index,source,output,original,prompt,model,provider,status,error,analysis\r\n1,red\.png,/);
+
+    // Outputs are kept per job; internal paths are not sent to clients
+    assert.equal(fs.readdirSync(path.join(OUTPUT_DIR, jobId)).length, 2);
+    assert.ok(job.images.every(image => image.path === undefined && image.outputKey === undefined));
+
+    const cleaned = await cleanup(jobId);
+    assert.equal(cleaned.status, 200);
+    assert.equal(cleaned.body.success, true);
+    assert.equal(fs.existsSync(path.join(OUTPUT_DIR, jobId)), false);
+    assert.deepEqual(fs.readdirSync(UPLOAD_DIR).filter(file => !uploadsBefore.has(file)), []);
+
+    assert.equal((await getStatus(jobId)).status, 404);
+  });
+
+  it('expands per-image prompts and template variables', async () => {
+    const csv = 'filename,product\nred.png,"red shoe, size 42"\nblue.png,blue bag\n';
+    const uploaded = await upload(
+      {
+        provider: 'gemini',
+        apiKey: GEMINI_KEY,
+        prompt: 'Shoot the {product} ({filename}, #{index}, {width}x{height})',
+        imagePrompts: JSON.stringify(['', 'Keep {missing} as is for {product}'])
+      },
+      [
+        fixture('red.png'),
+        fixture('blue.png'),
+        { name: 'vars.csv', type: 'text/csv', data: Buffer.from(csv), field: 'promptData' }
+      ]
+    );
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.imageCount, 2);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 2);
+
+    const prompts = gemini.calls.map(({ request }) => request.contents[0].text).sort();
+    assert.deepEqual(prompts, [
+      'Keep {missing} as is for blue bag',
+      'Shoot the red shoe, size 42 (red.png, #1, 8x8)'
+    ]);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('rejects malformed per-image prompts and CSVs', async () => {
+    const badPrompts = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, imagePrompts: '{"0": "nope"}' },
+      [fixture('red.png')]
+    );
+    assert.equal(badPrompts.status, 400);
+    assert.match(badPrompts.body.error, /imagePrompts/);
+
+    const badCsv = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY },
+      [fixture('red.png'), { name: 'vars.csv', type: 'text/csv', data: Buffer.from('name,product\nred.png,shoe\n'), field: 'promptData' }]
+    );
+    assert.equal(badCsv.status, 400);
+    assert.match(badCsv.body.error, /filename/);
+  });
+
+  it('creates one image per manifest entry with its own settings', async () => {
+    const manifest = [
+      { filename: 'red.png', prompt: 'First {tag}', model: 'gemini-2.5-flash-image', tag: 'alpha' },
+      { filename: 'blue.png', aspect_ratio: '16:9', size: '4K' }
+    ];
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, prompt: 'Job prompt', model: 'gemini-3-pro-image-preview' },
+      [
+        fixture('red.png'),
+        fixture('blue.png'),
+        { name: 'batch.json', type: 'application/json', data: Buffer.from(JSON.stringify(manifest)), field: 'manifest' }
+      ]
+    );
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.imageCount, 2);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 2);
+    assert.deepEqual(job.images.map(image => image.name), ['red.png', 'blue.png']);
+
+    const requests = Object.fromEntries(gemini.calls.map(({ request }) => [request.contents[0].text, request]));
+    assert.equal(requests['First alpha'].model, 'gemini-2.5-flash-image');
+    assert.equal(requests['Job prompt'].model, 'gemini-3-pro-image-preview');
+    assert.deepEqual(requests['Job prompt'].config.imageConfig, { aspectRatio: '16:9', imageSize: '4K' });
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('rejects manifests referencing images that were not uploaded', async () => {
+    const csv = 'filename,prompt\nred.png,One\nmissing.png,Two\n';
+    const { status, body } = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY },
+      [fixture('red.png'), { name: 'batch.csv', type: 'text/csv', data: Buffer.from(csv), field: 'manifest' }]
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid manifest: Manifest references images that were not uploaded: missing.png');
+  });
+
+  it('saves results under the extension of their real format', async () => {
+    gemini.image = fixture('red.png').data;
+
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, embedProvenance: 'false' },
+      [{ ...fixture('red.png'), name: 'photo.jpg', type: 'image/jpeg' }]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    assert.equal(job.images[0].downloadName, 'photo_gemini-3-pro-image-preview.png');
+    assert.deepEqual(await readOutput(job.images[0]), gemini.image);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('serves results through the output route', async () => {
+    gemini.image = fixture('red.png').data;
+
+    const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    const { jobId } = uploaded.body;
+    const job = await waitForJob(jobId);
+    assert.equal(job.images[0].outputUrl, `/api/jobs/${jobId}/images/0/output`);
+
+    const inline = await fetch(`${baseUrl}${job.images[0].outputUrl}`);
+    assert.equal(inline.headers.get('content-type'), 'image/png');
+    assert.equal(inline.headers.get('content-disposition'), null);
+    await inline.arrayBuffer();
+
+    const attachment = await fetch(`${baseUrl}${job.images[0].outputUrl}?download=1`);
+    assert.equal(attachment.headers.get('content-disposition'), `attachment; filename="${job.images[0].downloadName}"`);
+    await attachment.arrayBuffer();
+
+    const missing = await fetch(`${baseUrl}/api/jobs/${jobId}/images/5/output`);
+    assert.equal(missing.status, 404);
+    assert.deepEqual(await missing.json(), { error: 'Output not found' });
+
+    await cleanup(jobId);
+  });
+
+  it('converts and resizes results as configured for the job', async () => {
+    gemini.image = fixture('blue.png').data;
+
+    const toWebp = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, outputFormat: 'webp', outputQuality: '60', resizeMode: 'max', resizeMaxEdge: '4' },
+      [fixture('red.png')]
+    );
+    assert.equal(toWebp.status, 200);
+    assert.deepEqual(toWebp.body.settings.output, { format: 'webp', quality: 60, resize: { mode: 'max', maxEdge: 4 } });
+
+    const webp = (await waitForJob(toWebp.body.jobId)).images[0];
+    assert.equal(webp.status, 'completed');
+    assert.match(webp.downloadName, /\.webp$/);
+    const webpData = await readOutput(webp);
+    assert.equal(detectFormat(webpData), 'webp');
+    assert.deepEqual(getImageSize(webpData), { width: 4, height: 4 });
+
+    const toJpeg = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, outputFormat: 'jpeg', resizeMode: 'exact', resizeWidth: '6', resizeHeight: '3' },
+      [fixture('red.png')]
+    );
+    const jpeg = (await waitForJob(toJpeg.body.jobId)).images[0];
+    assert.match(jpeg.downloadName, /\.jpg$/);
+    const jpegData = await readOutput(jpeg);
+    assert.equal(detectFormat(jpegData), 'jpeg');
+    assert.deepEqual(getImageSize(jpegData), { width: 6, height: 3 });
+
+    await cleanup(toWebp.body.jobId);
+    await cleanup(toJpeg.body.jobId);
+  });
+
+  it('fails images whose result cannot be converted', async () => {
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, outputFormat: 'avif' },
+      [fixture('red.png')]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    assert.equal(job.images[0].status, 'failed');
+    assert.match(job.images[0].error, /not a supported image/);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('rejects invalid output settings', async () => {
+    const badFormat = await upload({ provider: 'gemini', apiKey: GEMINI_KEY, outputFormat: 'bmp' }, [fixture('red.png')]);
+    assert.equal(badFormat.status, 400);
+    assert.match(badFormat.body.error, /Output format must be one of/);
+
+    const noSize = await upload({ provider: 'gemini', apiKey: GEMINI_KEY, resizeMode: 'exact', resizeWidth: '100' }, [fixture('red.png')]);
+    assert.equal(noSize.status, 400);
+    assert.equal(noSize.body.error, 'Width and height are required to resize to exact dimensions');
+  });
+
+  it('copies selected source metadata and embeds provenance', async () => {
+    gemini.image = fixture('blue.png').data;
+    const photo = await sharp(fixture('red.png').data)
+      .withExif({
+        IFD0: { Copyright: 'ACME Corp', Artist: 'Jane Doe', Make: 'Canon' },
+        IFD3: { GPSLatitudeRef: 'N' }
+      })
+      .jpeg()
+      .toBuffer();
+
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, prompt: 'Brighten {filename}', keepCopyright: 'true' },
+      [{ name: 'photo.jpg', type: 'image/jpeg', data: photo }]
+    );
+    assert.equal(uploaded.status, 200);
+    assert.deepEqual(uploaded.body.settings.metadata, { copyright: true, camera: false, gps: false, provenance: true });
+
+    const job = await waitForJob(uploaded.body.jobId);
+    const metadata = await sharp(await readOutput(job.images[0])).metadata();
+
+    const xmp = metadata.xmp.toString();
+    assert.match(xmp, /<bia:Prompt>Brighten photo\.jpg<\/bia:Prompt>/);
+    assert.match(xmp, /<bia:Provider>gemini<\/bia:Provider>/);
+    assert.ok(xmp.includes(`<bia:Model>${job.settings.model}</bia:Model>`));
+    assert.ok(xmp.includes(`<bia:JobId>${uploaded.body.jobId}</bia:JobId>`));
+    assert.ok(xmp.includes('<rdf:li xml:lang="x-default">ACME Corp</rdf:li>'));
+
+    // Copyright and author are kept, camera and GPS are stripped
+    const exif = exifReader(metadata.exif);
+    assert.equal(exif.Image.Copyright, 'ACME Corp');
+    assert.equal(exif.Image.Artist, 'Jane Doe');
+    assert.equal(exif.Image.Software, 'Bulk Image AI');
+    assert.equal(exif.Image.Make, undefined);
+    assert.equal(exif.GPSInfo, undefined);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('rejects invalid metadata settings', async () => {
+    const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY, keepGps: 'maybe' }, [fixture('red.png')]);
+    assert.equal(uploaded.status, 400);
+    assert.equal(uploaded.body.error, 'Keep GPS location must be true or false');
+  });
+
+  it('records safety blocks without retrying them', async () => {
+    gemini.response = {
+      promptFeedback: { blockReason: 'SAFETY', safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }] },
+      candidates: []
+    };
+
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, safetyThreshold: 'BLOCK_ONLY_HIGH', safetySettings: '{"dangerousContent":"BLOCK_LOW_AND_ABOVE"}' },
+      [fixture('red.png')]
+    );
+    assert.equal(uploaded.status, 200);
+    assert.deepEqual(uploaded.body.settings.safety, {
+      harassment: 'BLOCK_ONLY_HIGH',
+      hateSpeech: 'BLOCK_ONLY_HIGH',
+      sexuallyExplicit: 'BLOCK_ONLY_HIGH',
+      dangerousContent: 'BLOCK_LOW_AND_ABOVE'
+    });
+
+    const [image] = (await waitForJob(uploaded.body.jobId)).images;
+    assert.equal(gemini.calls.length, 1);
+    assert.deepEqual(gemini.calls[0].request.config.safetySettings.slice(2), [
+      { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_ONLY_HIGH' },
+      { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_LOW_AND_ABOVE' }
+    ]);
+    assert.equal(image.status, 'failed');
+    assert.equal(image.error, 'Prompt blocked by Gemini safety filters (SAFETY)');
+    assert.equal(image.errorDetails.code, 'SAFETY_BLOCKED');
+    assert.equal(image.errorClass, 'fatal');
+    assert.equal(image.safety.blockReason, 'SAFETY');
+    assert.deepEqual(image.safety.ratings, [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }]);
+    await cleanup(uploaded.body.jobId);
+
+    const invalid = await upload({ provider: 'gemini', apiKey: GEMINI_KEY, safetyThreshold: 'BLOCK_ALL' }, [fixture('red.png')]);
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /^Safety threshold must be one of/);
+  });
+
+  it('retries responses without an image that were not blocked', async () => {
+    gemini.response = {
+      candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'Here is a description instead' }] } }]
+    };
+
+    const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    const [image] = (await waitForJob(uploaded.body.jobId)).images;
+
+    assert.equal(gemini.calls.length, 3);
+    assert.equal(image.errorDetails.code, 'NO_IMAGE_RETURNED');
+    assert.equal(image.errorClass, 'retryable');
+    assert.equal(image.safety.finishReason, 'STOP');
+    assert.equal(gemini.calls[0].request.config.safetySettings, undefined);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('records failures reported by the API', async () => {
+    gemini.error = new Error('Quota exceeded');
+
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY },
+      [fixture('red.png')]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    assert.equal(job.progress.failed, 1);
+    assert.equal(job.images[0].status, 'failed');
+    assert.match(job.images[0].error, /Quota exceeded/);
+
+    await cleanup(uploaded.body.jobId);
+  });
+});
+
+describe('Zip downloads', () => {
+  it('groups results, originals and failures into folders with patterned names', async () => {
+    const uploaded = await upload(
+      { provider: 'mock', imagePrompts: JSON.stringify(['Sharpen', 'Fail [mock:bad_request]']) },
+      [fixture('red.png'), fixture('blue.png')]
+    );
+    const { jobId } = uploaded.body;
+    await waitForJob(jobId);
+
+    const zip = await download(jobId, { layout: 'folders', originals: 'true', manifest: 'json', pattern: '{original}_{model}_{index}' });
+    assert.equal(zip.status, 200);
+
+    const entries = readZip(zip.data);
+    assert.deepEqual([...entries.keys()].sort(), [
+      'enhanced/red_mock-pattern_1.png',
+      'failed.txt',
+      'manifest.json',
+      'originals/blue.png',
+      'originals/red.png'
+    ]);
+    assert.deepEqual(entries.get('originals/red.png'), fixture('red.png').data);
+    assert.match(entries.get('failed.txt').toString(), /^2\. blue\.png: Mock API Error: 400/);
+
+    const [red, blue] = JSON.parse(entries.get('manifest.json')).images;
+    assert.equal(red.output, 'enhanced/red_mock-pattern_1.png');
+    assert.equal(red.original, 'originals/red.png');
+    assert.equal(blue.output, null);
+    assert.equal(blue.status, 'failed');
+    assert.equal(blue.prompt, 'Fail [mock:bad_request]');
+
+    await cleanup(jobId);
+  });
+
+  it('streams a subset of the images, storing image entries uncompressed', async () => {
+    const uploaded = await upload(
+      { provider: 'mock', imagePrompts: JSON.stringify(['One', 'Two', 'Fail [mock:bad_request]']) },
+      [fixture('red.png'), fixture('blue.png'), { ...fixture('red.png'), name: 'green.png' }]
+    );
+    const { jobId } = uploaded.body;
+    await waitForJob(jobId);
+
+    // Overlapping downloads of the same job do not interfere
+    const [first, second] = await Promise.all([
+      download(jobId, { images: '1,2', manifest: 'json' }),
+      download(jobId, { status: 'completed', manifest: 'none' })
+    ]);
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('content-type'), 'application/zip');
+    const entries = readZipEntries(first.data);
+    assert.deepEqual(entries.map(entry => [entry.name, entry.method]).sort(), [
+      ['blue_mock-pattern.png', 0],
+      ['manifest.json', 8]
+    ]);
+    const manifest = JSON.parse(entries.find(entry => entry.name === 'manifest.json').data);
+    assert.deepEqual(manifest.images.map(image => [image.index, image.status]), [[2, 'completed'], [3, 'failed']]);
+
+    assert.equal(second.status, 200);
+    const names = [...readZip(second.data).keys()].sort();
+    assert.deepEqual(names, ['blue_mock-pattern.png', 'red_mock-pattern.png']);
+
+    const failedOnly = await request('GET', `/api/download/${jobId}?status=failed`);
+    assert.equal(failedOnly.status, 400);
+    assert.equal(failedOnly.body.error, 'No processed images to zip');
+
+    await cleanup(jobId);
+  });
+
+  it('rejects invalid download options', async () => {
+    const uploaded = await upload({ provider: 'mock' }, [fixture('red.png')]);
+    const { jobId } = uploaded.body;
+    await waitForJob(jobId);
+
+    const badLayout = await request('GET', `/api/download/${jobId}?layout=nested`);
+    assert.equal(badLayout.status, 400);
+    assert.equal(badLayout.body.error, 'Layout must be one of: flat, folders');
+
+    const badPattern = await request('GET', `/api/download/${jobId}?pattern=${encodeURIComponent('{original}_{seed}')}`);
+    assert.equal(badPattern.status, 400);
+    assert.match(badPattern.body.error, /Unknown filename placeholder \{seed\}/);
+
+    const badStatus = await request('GET', `/api/download/${jobId}?status=done`);
+    assert.equal(badStatus.status, 400);
+    assert.equal(badStatus.body.error, 'Status must be a comma-separated list of: completed, failed, cancelled');
+
+    await cleanup(jobId);
+  });
+});
+
+describe('ImageRouter jobs', () => {
+  it('sends edits to the API and zips the results', async () => {
+    const uploaded = await upload(
+      { provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY, model: 'test/model', quality: 'high' },
+      [fixture('red.png')]
+    );
+    assert.equal(uploaded.status, 200);
+
+    const { jobId } = uploaded.body;
+    const job = await waitForJob(jobId);
+    assert.equal(job.progress.completed, 1);
+
+    assert.equal(imageRouter.requests.length, 1);
+    const [request] = imageRouter.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/openai/images/edits');
+    assert.equal(request.headers.authorization, `Bearer ${IMAGEROUTER_KEY}`);
+    assert.match(request.headers['content-type'], /^multipart\/form-data/);
+    assert.match(request.body, /name="model"\r\n\r\ntest\/model\r\n/);
+    assert.match(request.body, /name="quality"\r\n\r\nhigh\r\n/);
+    assert.match(request.body, /name="image\[\]"; filename="[0-9a-f-]+\.png"/);
+
+    const entries = readZip((await download(jobId, { manifest: 'none' })).data);
+    assert.equal(entries.size, 1);
+    assert.deepEqual([...entries.values()][0], imageRouter.image);
+
+    assert.equal((await cleanup(jobId)).status, 200);
+  });
+
+  it('uses the default model of the catalog when no model is selected', async () => {
+    const uploaded = await upload({ provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY }, [fixture('red.png')]);
+    assert.equal(uploaded.status, 200);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 1);
+    assert.match(imageRouter.requests[0].body, /name="model"\r\n\r\nblack-forest-labs\/FLUX-1\.1-pro\r\n/);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('generates images from a text prompt without uploads', async () => {
+    const uploaded = await upload({
+      provider: 'imagerouter',
+      imageRouterApiKey: IMAGEROUTER_KEY,
+      mode: 'text-to-image',
+      prompt: 'A lighthouse at dusk'
+    });
+    assert.equal(uploaded.status, 200);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 1);
+
+    const [request] = imageRouter.requests;
+    assert.equal(request.url, '/v1/openai/images/generations');
+    assert.match(request.body, /name="prompt"\r\n\r\nA lighthouse at dusk\r\n/);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('generates every prompt of a text-to-image batch once per variation', async () => {
+    const uploaded = await upload({
+      provider: 'imagerouter',
+      imageRouterApiKey: IMAGEROUTER_KEY,
+      mode: 'text-to-image',
+      prompts: JSON.stringify(['A red fox', '  ', 'A blue whale, take {variation}']),
+      variations: '2'
+    });
+    assert.equal(uploaded.status, 200);
+    assert.equal(uploaded.body.imageCount, 4);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 4);
+    assert.deepEqual(job.images.map(image => [image.name, image.prompt]), [
+      ['Prompt 1, variation 1', 'A red fox'],
+      ['Prompt 1, variation 2', 'A red fox'],
+      ['Prompt 2, variation 1', 'A blue whale, take {variation}'],
+      ['Prompt 2, variation 2', 'A blue whale, take {variation}']
+    ]);
+
+    // Every variation is saved as its own output
+    assert.equal(new Set(job.images.map(image => image.downloadName)).size, 4);
+
+    const sent = imageRouter.requests
+      .map(request => request.body.match(/name="prompt"\r\n\r\n(.*)\r\n/)[1])
+      .sort();
+    assert.deepEqual(sent, ['A blue whale, take 1', 'A blue whale, take 2', 'A red fox', 'A red fox']);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('validates text-to-image batches', async () => {
+    const noPrompt = await upload({ provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY, mode: 'text-to-image' });
+    assert.equal(noPrompt.status, 400);
+    assert.equal(noPrompt.body.error, 'At least one prompt is required for text-to-image mode');
+
+    const tooManyVariations = await upload({
+      provider: 'imagerouter',
+      imageRouterApiKey: IMAGEROUTER_KEY,
+      mode: 'text-to-image',
+      prompt: 'A cat',
+      variations: '11'
+    });
+    assert.equal(tooManyVariations.status, 400);
+    assert.equal(tooManyVariations.body.error, 'variations must be between 1 and 10');
+  });
+
+  it('reports API errors on the failed image', async () => {
+    imageRouter.failWith(402, 'Insufficient credits');
+
+    const uploaded = await upload(
+      { provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY },
+      [fixture('red.png')]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    assert.equal(job.images[0].status, 'failed');
+    assert.match(job.images[0].error, /402 - Insufficient credits/);
+
+    // Client errors are not retried
+    assert.equal(imageRouter.requests.length, 1);
+    assert.equal(job.images[0].retryCount, 0);
+    assert.equal(job.images[0].errorClass, 'fatal');
+    assert.deepEqual(job.images[0].errorDetails, { code: 'QUOTA_EXCEEDED', provider: 'imagerouter', message: 'Insufficient credits' });
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('retries rate limits and server errors, honoring Retry-After', async () => {
+    imageRouter.failWith(429, 'Slow down', { headers: { 'Retry-After': '0' }, times: 1 });
+
+    const limited = await upload({ provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY }, [fixture('red.png')]);
+    const recovered = (await waitForJob(limited.body.jobId)).images[0];
+    assert.equal(recovered.status, 'completed');
+    assert.equal(recovered.retryCount, 1);
+    assert.equal(imageRouter.requests.length, 2);
+    await cleanup(limited.body.jobId);
+
+    imageRouter.reset();
+    imageRouter.failWith(503, 'Overloaded');
+
+    const overloaded = await upload({ provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY }, [fixture('red.png')]);
+    const failed = (await waitForJob(overloaded.body.jobId)).images[0];
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.retryCount, 2);
+    assert.equal(failed.errorClass, 'retryable');
+    assert.equal(imageRouter.requests.length, 3);
+    await cleanup(overloaded.body.jobId);
+  });
+
+  it('gives up at once when Retry-After is longer than RETRY_MAX_AFTER_MS, saying why', async () => {
+    imageRouter.failWith(429, 'Slow down', { headers: { 'Retry-After': '60' } });
+
+    const uploaded = await upload({ provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY }, [fixture('red.png')]);
+    const [image] = (await waitForJob(uploaded.body.jobId)).images;
+    assert.equal(image.status, 'failed');
+    assert.equal(image.retryCount, 0);
+    assert.equal(image.error, 'ImageRouter API Error: 429 - Slow down (not retried: ImageRouter asked to wait 60s, more than the 5s allowed)');
+    assert.equal(imageRouter.requests.length, 1);
+
+    await cleanup(uploaded.body.jobId);
+  });
+});
+
+describe('OpenAI-compatible jobs', () => {
+  // The fake ImageRouter speaks the same API; connection settings are read per job
+  before(() => {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = `${process.env.IMAGEROUTER_BASE_URL}/`;
+  });
+  after(() => {
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+  });
+
+  it('sends edits to the configured server with its auth header, leaving out "auto" settings', async () => {
+    process.env.OPENAI_COMPATIBLE_AUTH_HEADER = 'api-key';
+    process.env.OPENAI_COMPATIBLE_AUTH_SCHEME = '';
+    try {
+      const uploaded = await upload(
+        { provider: 'openai-compatible', openaiApiKey: 'sk-test', model: 'gpt-image-1', prompt: 'Add a hat' },
+        [fixture('red.png')]
+      );
+      assert.equal(uploaded.status, 200);
+
+      const job = await waitForJob(uploaded.body.jobId);
+      assert.equal(job.progress.completed, 1);
+      assert.deepEqual(await readOutput(job.images[0]), imageRouter.image);
+
+      const [request] = imageRouter.requests;
+      assert.equal(request.url, '/v1/openai/images/edits');
+      assert.equal(request.headers['api-key'], 'sk-test');
+      assert.equal(request.headers.authorization, undefined);
+      assert.match(request.body, /name="model"\r\n\r\ngpt-image-1\r\n/);
+      assert.match(request.body, /name="prompt"\r\n\r\nAdd a hat\r\n/);
+      assert.match(request.body, /name="image"; filename="/);
+      assert.doesNotMatch(request.body, /name="(quality|size)"/);
+
+      await cleanup(uploaded.body.jobId);
+    } finally {
+      delete process.env.OPENAI_COMPATIBLE_AUTH_HEADER;
+      delete process.env.OPENAI_COMPATIBLE_AUTH_SCHEME;
+    }
+  });
+
+  it('generates images as JSON requests and downloads results returned as URLs', async () => {
+    imageRouter.responseFormat = 'url';
+    const uploaded = await upload({
+      provider: 'openai-compatible',
+      openaiApiKey: 'sk-test',
+      mode: 'text-to-image',
+      prompt: 'A lighthouse at dusk',
+      quality: 'high',
+      size: '1024x1024'
+    });
+    assert.equal(uploaded.status, 200);
+
+    const job = await waitForJob(uploaded.body.jobId);
+    assert.equal(job.progress.completed, 1);
+    assert.deepEqual(await readOutput(job.images[0]), imageRouter.image);
+
+    const [request] = imageRouter.requests;
+    assert.equal(request.url, '/v1/openai/images/generations');
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(JSON.parse(request.body), {
+      prompt: 'A lighthouse at dusk',
+      model: 'gpt-image-1',
+      quality: 'high',
+      size: '1024x1024'
+    });
+
+    await cleanup(uploaded.body.jobId);
+  });
+});
+
+describe('Error codes', () => {
+  it('maps provider errors to error codes', async () => {
+    const types = ['auth', 'bad_request', 'safety', 'timeout', 'no_image', 'server_error'];
+    const uploaded = await upload(
+      { provider: 'mock', mode: 'text-to-image', prompts: JSON.stringify(types.map(type => `Fail [mock:${type}]`)) }
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    assert.deepEqual(job.images.map(image => [image.errorDetails.code, image.errorClass]), [
+      ['AUTH_INVALID', 'fatal'],
+      ['INVALID_INPUT', 'fatal'],
+      ['SAFETY_BLOCKED', 'fatal'],
+      ['TIMEOUT', 'retryable'],
+      ['NO_IMAGE_RETURNED', 'retryable'],
+      ['PROVIDER_ERROR', 'retryable']
+    ]);
+    assert.deepEqual(job.images[0].errorDetails, { code: 'AUTH_INVALID', provider: 'mock', message: 'Invalid API key' });
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('reports uploads that are gone without their path on the server', async () => {
+    const uploadsBefore = new Set(fs.readdirSync(UPLOAD_DIR));
+    const release = holdGemini();
+    let jobId;
+    try {
+      const uploaded = await upload(
+        { provider: 'gemini', apiKey: GEMINI_KEY },
+        [fixture('red.png'), fixture('blue.png'), { ...fixture('red.png'), name: 'green.png' }]
+      );
+      jobId = uploaded.body.jobId;
+
+      // Two images are in flight, the third waits for a request slot while its upload disappears
+      await waitFor(() => gemini.calls.length === 2);
+      for (const file of fs.readdirSync(UPLOAD_DIR).filter(name => !uploadsBefore.has(name))) {
+        fs.unlinkSync(path.join(UPLOAD_DIR, file));
+      }
+    } finally {
+      release();
+    }
+
+    const job = await waitForJob(jobId);
+    assert.equal(job.progress.completed, 2);
+    const missing = job.images[2];
+    assert.equal(missing.status, 'failed');
+    assert.equal(missing.error, 'A file of this image is no longer on the server');
+    assert.equal(missing.errorClass, 'fatal');
+    assert.deepEqual(missing.errorDetails, { code: 'FILE_ERROR', provider: 'gemini', message: missing.error });
+
+    const entries = readZip((await download(jobId, { layout: 'folders', manifest: 'csv' })).data);
+    for (const name of ['manifest.csv', 'failed.txt']) {
+      assert.match(entries.get(name).toString(), /no longer on the server/);
+      assert.doesNotMatch(entries.get(name).toString(), /ENOENT|uploads/);
+    }
+
+    await cleanup(jobId);
+  });
+});
+
+describe('Spend tracking', () => {
+  it('records Gemini token costs and ImageRouter reported costs per job and per key', async () => {
+    gemini.response = {
+      candidates: [{
+        finishReason: 'STOP',
+        content: { parts: [{ inlineData: { mimeType: 'image/png', data: gemini.image.toString('base64') } }] }
+      }],
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1120, thoughtsTokenCount: 200 }
+    };
+
+    const geminiJob = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    const [geminiImage] = (await waitForJob(geminiJob.body.jobId)).images;
+    // gemini-3-pro-image-preview: $2 per 1M input tokens, $120 per 1M output tokens, thinking included
+    assert.ok(Math.abs(geminiImage.usage.cost - 0.1604) < 1e-9, String(geminiImage.usage.cost));
+    assert.equal(geminiImage.usage.inputTokens, 1000);
+    assert.equal(geminiImage.usage.outputTokens, 1320);
+
+    const routerJob = await upload(
+      { provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY },
+      [fixture('red.png'), fixture('blue.png')]
+    );
+    const router = await waitForJob(routerJob.body.jobId);
+    assert.deepEqual(router.usage, { cost: 0.08, inputTokens: 0, outputTokens: 0, requests: 2, unpricedRequests: 0 });
+
+    const { status, body } = await request('GET', '/api/usage');
+    assert.equal(status, 200);
+    assert.equal(body.jobs.find(job => job.jobId === routerJob.body.jobId).usage.cost, 0.08);
+    const key = body.keys.find(entry => entry.provider === 'imagerouter');
+    assert.equal(key.keyHint, '…-key');
+    assert.ok(key.usage.cost >= 0.08);
+    assert.ok(!JSON.stringify(body).includes(IMAGEROUTER_KEY));
+
+    await cleanup(geminiJob.body.jobId);
+    await cleanup(routerJob.body.jobId);
+  });
+
+  it('stops a job before a request would exceed its budget', async () => {
+    process.env.MOCK_COST_PER_IMAGE = '0.01';
+    try {
+      const uploaded = await upload({
+        provider: 'mock',
+        mode: 'text-to-image',
+        prompts: JSON.stringify(['one', 'two', 'three', 'four']),
+        budget: '0.025'
+      });
+      assert.equal(uploaded.body.settings.budget, 0.025);
+
+      const job = await waitForJob(uploaded.body.jobId);
+      assert.deepEqual(job.images.map(image => image.status), ['completed', 'completed', 'cancelled', 'cancelled']);
+      assert.equal(job.images[2].error, 'Not processed: Job budget of $0.025 reached ($0.0200 spent)');
+      assert.equal(job.budgetExceeded, 'Job budget of $0.025 reached ($0.0200 spent)');
+      assert.ok(Math.abs(job.usage.cost - 0.02) < 1e-9);
+
+      await cleanup(uploaded.body.jobId);
+    } finally {
+      delete process.env.MOCK_COST_PER_IMAGE;
+    }
+
+    const invalid = await upload({ provider: 'mock', mode: 'text-to-image', prompt: 'one', budget: '-1' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Budget must be a positive amount in USD');
+  });
+  it('estimates ImageRouter requests from the catalog price of the model', async () => {
+    const uploaded = await upload(
+      { provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY, budget: '0.05' },
+      [fixture('red.png'), fixture('blue.png')]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    // $0.04 per image: the second request would exceed the budget even while the first is in flight
+    assert.equal(imageRouter.requests.length, 1);
+    assert.deepEqual(job.images.map(image => image.status).sort(), ['cancelled', 'completed']);
+    assert.equal(job.budgetExceeded, 'Job budget of $0.05 reached ($0.0400 spent)');
+    assert.equal(job.usage.cost, 0.04);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('rejects budgets for providers that report no costs', async () => {
+    const uploaded = await upload({ provider: 'openai-compatible', openaiApiKey: 'sk-test', budget: '1' }, [fixture('red.png')]);
+    assert.equal(uploaded.status, 400);
+    assert.equal(uploaded.body.error, 'OpenAI-compatible does not report costs, a budget cannot be applied');
+  });
+
+  it('checks the budget again before every retry', async () => {
+    // Billed, but retried: the answer has no image
+    gemini.response = {
+      candidates: [{ finishReason: 'STOP', content: { parts: [{ text: 'Here is a description instead' }] } }],
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 1290 }
+    };
+
+    const uploaded = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, model: 'gemini-2.5-flash-image', budget: '0.05' },
+      [fixture('red.png')]
+    );
+    const job = await waitForJob(uploaded.body.jobId);
+
+    // gemini-2.5-flash-image: $0.039 for the first attempt, a retry is estimated at $0.0387 more
+    assert.equal(gemini.calls.length, 1);
+    assert.equal(job.images[0].status, 'failed');
+    assert.equal(job.images[0].retryCount, 0);
+    assert.match(job.images[0].error, /\(not retried: Job budget of \$0\.05 reached \(\$0\.0390 spent\)\)$/);
+    assert.equal(job.budgetExceeded, 'Job budget of $0.05 reached ($0.0390 spent)');
+    assert.ok(Math.abs(job.usage.cost - 0.039) < 1e-9, String(job.usage.cost));
+
+    await cleanup(uploaded.body.jobId);
+  });
+});
+
+describe('Upload validation', () => {
+  it('requires an API key for the selected provider', async () => {
+    const missingGemini = await upload({ provider: 'gemini' }, [fixture('red.png')]);
+    assert.equal(missingGemini.status, 400);
+    assert.equal(missingGemini.body.error, 'Gemini API key is required');
+
+    const missingRouter = await upload({ provider: 'imagerouter' }, [fixture('red.png')]);
+    assert.equal(missingRouter.status, 400);
+    assert.match(missingRouter.body.error, /API key/);
+
+    assert.equal(gemini.calls.length, 0);
+    assert.equal(imageRouter.requests.length, 0);
+  });
+
+  it('rejects Gemini keys without the AIza prefix', async () => {
+    const { status, body } = await upload({ provider: 'gemini', apiKey: 'sk-wrong' }, [fixture('red.png')]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid Gemini API key format');
+  });
+
+  it('rejects unknown providers', async () => {
+    const { status, body } = await upload({ provider: 'nope', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Unknown provider: nope');
+  });
+
+  it('rejects files that are not images', async () => {
+    const { status, body } = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY },
+      [{ name: 'notes.txt', type: 'text/plain', data: Buffer.from('hello') }]
+    );
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid file type/);
+  });
+
+  it('rejects more than 20 files', async () => {
+    const files = Array.from({ length: 21 }, () => fixture('red.png'));
+    const { status, body } = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, files);
+    assert.equal(status, 400);
+    assert.match(body.error, /Too many files/);
+  });
+
+  it('requires images in image-to-image mode', async () => {
+    const { status, body } = await upload({ provider: 'gemini', apiKey: GEMINI_KEY });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'No files uploaded for image-to-image mode');
+  });
+
+  it('deletes the files of rejected uploads', async () => {
+    const before = fs.readdirSync(UPLOAD_DIR);
+    const images = [fixture('red.png'), fixture('blue.png')];
+    const manifest = {
+      name: 'manifest.json',
+      type: 'application/json',
+      field: 'manifest',
+      data: Buffer.from(JSON.stringify([{ filename: 'missing.png' }]))
+    };
+    const promptData = { name: 'data.csv', type: 'text/csv', field: 'promptData', data: Buffer.from('filename,name\nred.png,Red\n') };
+
+    for (const [fields, files] of [
+      [{ provider: 'gemini', apiKey: 'wrong' }, images],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, imagePrompts: 'nope' }, [...images, promptData]],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY }, [...images, manifest]],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, outputFormat: 'bmp' }, [...images, promptData]],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, embedProvenance: 'maybe' }, images],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, safetyThreshold: 'NONE_AT_ALL' }, images],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, imageSize: '8K' }, images],
+      [{ provider: 'gemini', apiKey: GEMINI_KEY, budget: '-1' }, images]
+    ]) {
+      const { status } = await upload(fields, files);
+      assert.equal(status, 400, JSON.stringify(fields));
+    }
+
+    assert.deepEqual(fs.readdirSync(UPLOAD_DIR), before);
+  });
+});
+
+describe('Providers', () => {
+  it('lists the registered providers with what a client needs to offer them', async () => {
+    const { status, body } = await request('GET', '/api/providers');
+    assert.equal(status, 200);
+
+    const byId = Object.fromEntries(body.providers.map(provider => [provider.id, provider]));
+    assert.deepEqual(Object.keys(byId).sort(), ['gemini', 'imagerouter', 'mock', 'openai-compatible']);
+
+    assert.equal(byId.gemini.apiKeyField, 'apiKey');
+    assert.equal(byId.gemini.requiresApiKey, true);
+    assert.equal(byId.gemini.capabilities.edit, true);
+    assert.ok(byId.gemini.capabilities.models.includes(byId.gemini.defaultModel));
+
+    assert.equal(byId.imagerouter.apiKeyField, 'imageRouterApiKey');
+    assert.equal(byId.imagerouter.capabilities.modelsEndpoint, '/api/imagerouter/models');
+
+    assert.equal(byId.mock.requiresApiKey, false);
+    assert.equal(byId['openai-compatible'].name, 'OpenAI-compatible');
+    assert.equal(byId['openai-compatible'].reportsCost, false);
+    assert.equal(byId['openai-compatible'].defaultModel, 'gpt-image-1');
+  });
+});
+
+describe('Model catalog', () => {
+  it('lists the models of every provider with their capabilities', async () => {
+    const { status, body } = await request('GET', '/api/models');
+    assert.equal(status, 200);
+
+    const models = Object.fromEntries(body.models.map(model => [model.id, model]));
+    assert.deepEqual(models['gemini-3-pro-image-preview'].capabilities.imageSizes, ['1K', '2K', '4K']);
+    assert.deepEqual(models['gemini-2.5-flash-image'].capabilities.imageSizes, []);
+    assert.ok(models['gemini-2.5-flash-image'].capabilities.aspectRatios.includes('16:9'));
+    assert.equal(models['gemini-3-pro-image-preview'].pricing.bySize['4K'], 0.24);
+    assert.equal(models['mock-pattern'].provider, 'mock');
+
+    // ImageRouter models come from its models API
+    assert.equal(models['test/model'].capabilities.edit, true);
+    assert.equal(models['test/generate-only'].capabilities.edit, false);
+    assert.equal(models['test/model'].pricing.perImage, 0.04);
+    assert.deepEqual(body.providers.find(provider => provider.id === 'imagerouter'), { id: 'imagerouter', complete: true });
+
+    const gemini = await request('GET', '/api/models?provider=gemini');
+    assert.deepEqual(gemini.body.models.map(model => model.provider), ['gemini', 'gemini']);
+
+    const unknown = await request('GET', '/api/models?provider=nope');
+    assert.equal(unknown.status, 400);
+  });
+
+  it('answers 502 when the ImageRouter models cannot be listed', async () => {
+    const ImageRouterProcessor = require('../lib/providers/imagerouter-processor');
+    const fetchModels = ImageRouterProcessor.fetchModels;
+    ImageRouterProcessor.fetchModels = async () => { throw new Error('upstream down'); };
+    try {
+      const { status, body } = await request('GET', '/api/imagerouter/models');
+      assert.equal(status, 502);
+      assert.equal(body.error, 'Failed to list ImageRouter models');
+    } finally {
+      ImageRouterProcessor.fetchModels = fetchModels;
+    }
+  });
+
+  it('rejects settings the model does not support', async () => {
+    const proSize = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, model: 'gemini-3-pro-image-preview', imageSize: '8K' },
+      [fixture('red.png')]
+    );
+    assert.equal(proSize.status, 400);
+    assert.equal(proSize.body.error, 'Image size 8K is not supported by Gemini 3 Pro Image, use one of: 1K, 2K, 4K');
+
+    const aspectRatio = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY, aspectRatio: '7:3' },
+      [fixture('red.png')]
+    );
+    assert.equal(aspectRatio.status, 400);
+    assert.match(aspectRatio.body.error, /^Aspect ratio 7:3 is not supported by Gemini/);
+
+    const unknownModel = await upload({ provider: 'gemini', apiKey: GEMINI_KEY, model: 'gemini-9' }, [fixture('red.png')]);
+    assert.equal(unknownModel.status, 400);
+    assert.equal(unknownModel.body.error, 'Unknown model gemini-9, see GET /api/models for the available models');
+
+    const cannotEdit = await upload(
+      { provider: 'imagerouter', imageRouterApiKey: IMAGEROUTER_KEY, model: 'test/generate-only' },
+      [fixture('red.png')]
+    );
+    assert.equal(cannotEdit.status, 400);
+    assert.equal(cannotEdit.body.error, 'generate-only cannot edit images, use text-to-image mode');
+
+    // Manifest overrides are checked per image
+    const manifest = [{ filename: 'red.png', aspect_ratio: '7:3' }];
+    const badManifest = await upload(
+      { provider: 'gemini', apiKey: GEMINI_KEY },
+      [fixture('red.png'), { name: 'batch.json', type: 'application/json', data: Buffer.from(JSON.stringify(manifest)), field: 'manifest' }]
+    );
+    assert.equal(badManifest.status, 400);
+    assert.match(badManifest.body.error, /^red\.png: Aspect ratio 7:3/);
+
+    assert.equal(gemini.calls.length, 0);
+    assert.equal(imageRouter.requests.length, 0);
+  });
+});
+
+describe('Job queue', () => {
+  it('runs at most MAX_CONCURRENT_JOBS jobs and reports the position of waiting jobs', async () => {
+    const release = holdGemini();
+    const jobIds = [];
+    try {
+      for (let i = 0; i < 3; i++) {
+        const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+        assert.equal(uploaded.status, 200);
+        jobIds.push(uploaded.body.jobId);
+      }
+
+      // Two jobs run (the default limit), the third waits first in line
+      await waitFor(() => gemini.calls.length === 2);
+      const statuses = await Promise.all(jobIds.map(async jobId => (await getStatus(jobId)).body));
+      assert.deepEqual(statuses.map(job => [job.status, job.queuePosition]), [
+        ['processing', 0],
+        ['processing', 0],
+        ['pending', 1]
+      ]);
+    } finally {
+      release();
+    }
+
+    // The waiting job starts once a slot frees up
+    for (const jobId of jobIds) {
+      const job = await waitForJob(jobId);
+      assert.equal(job.progress.completed, 1);
+      assert.equal(job.queuePosition, 0);
+    }
+    assert.equal(gemini.calls.length, 3);
+
+    for (const jobId of jobIds) await cleanup(jobId);
+  });
+
+  it('processes the images of a job in parallel within the global request limit', async () => {
+    const release = holdGemini();
+    let jobIds;
+    try {
+      // MAX_CONCURRENT_REQUESTS is 2: two images of the job are sent at once
+      const first = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png'), fixture('blue.png'), fixture('red.png')]);
+      await waitFor(() => gemini.calls.length === 2);
+
+      // Another job gets a job slot, but no request slot
+      const second = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('blue.png')]);
+      jobIds = [first.body.jobId, second.body.jobId];
+      await waitFor(async () => (await getStatus(second.body.jobId)).body.status === 'processing');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.equal(gemini.calls.length, 2);
+
+      const [running, waiting] = await Promise.all(jobIds.map(async jobId => (await getStatus(jobId)).body));
+      assert.deepEqual(running.images.map(image => image.status), ['processing', 'processing', 'pending']);
+      assert.equal(waiting.status, 'processing');
+      assert.deepEqual(waiting.images.map(image => image.status), ['pending']);
+    } finally {
+      release();
+    }
+
+    for (const jobId of jobIds) {
+      assert.equal((await waitForJob(jobId)).progress.completed, jobId === jobIds[0] ? 3 : 1);
+      await cleanup(jobId);
+    }
+    assert.equal(gemini.calls.length, 4);
+  });
+});
+
+describe('Cancelling', () => {
+  it('cancels single images and whole jobs, dropping late results', async () => {
+    const release = holdGemini();
+    let jobId;
+    try {
+      const uploaded = await upload(
+        { provider: 'gemini', apiKey: GEMINI_KEY },
+        [fixture('red.png'), fixture('red.png'), fixture('red.png')]
+      );
+      jobId = uploaded.body.jobId;
+      await waitFor(() => gemini.calls.length > 0);
+
+      const single = await request('POST', `/api/jobs/${jobId}/images/2/cancel`);
+      assert.equal(single.status, 200);
+      assert.deepEqual(single.body.cancelled, [2]);
+
+      const again = await request('POST', `/api/jobs/${jobId}/images/2/cancel`);
+      assert.equal(again.status, 400);
+      assert.equal(again.body.error, 'Image is already cancelled');
+      assert.equal((await request('POST', `/api/jobs/${jobId}/images/3/cancel`)).status, 404);
+      assert.equal((await request('POST', '/api/jobs/missing/images/0/cancel')).status, 404);
+
+      const job = await request('POST', `/api/jobs/${jobId}/cancel`);
+      assert.equal(job.status, 200);
+      assert.deepEqual(job.body.cancelled, [0, 1]);
+      assert.equal((await request('POST', '/api/jobs/missing/cancel')).status, 404);
+
+      const { body } = await getStatus(jobId);
+      assert.equal(body.status, 'completed');
+      assert.equal(body.progress.cancelled, 3);
+    } finally {
+      release();
+    }
+
+    // Requests answered after the cancel do not bring the images back
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const { body } = await getStatus(jobId);
+    assert.deepEqual(body.images.map(image => image.status), ['cancelled', 'cancelled', 'cancelled']);
+    assert.equal(body.progress.completed, 0);
+    assert.ok(body.images.every(image => !image.outputUrl));
+
+    await cleanup(jobId);
+  });
+});
+
+describe('Retrying failed images', () => {
+  it('re-queues the failed images of a finished job with the key sent again', async () => {
+    gemini.error = new Error('Quota exceeded');
+    const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    const jobId = uploaded.body.jobId;
+    assert.equal((await waitForJob(jobId)).progress.failed, 1);
+
+    // Keys are not kept after the job completed
+    const withoutKey = await request('POST', `/api/jobs/${jobId}/retry-failed`, {});
+    assert.equal(withoutKey.status, 400);
+    assert.match(withoutKey.body.error, /API key/i);
+
+    gemini.error = null;
+    gemini.calls = [];
+    const retried = await request('POST', `/api/jobs/${jobId}/retry-failed`, { apiKey: GEMINI_KEY });
+    assert.equal(retried.status, 200);
+    assert.deepEqual(retried.body.retried, [0]);
+
+    const job = await waitForJob(jobId);
+    assert.equal(job.progress.completed, 1);
+    assert.equal(job.progress.failed, 0);
+    assert.equal(job.images[0].status, 'completed');
+    assert.equal(job.images[0].error, null);
+    assert.equal(gemini.calls.length, 1);
+    assert.equal(gemini.calls[0].apiKey, GEMINI_KEY);
+
+    const nothingFailed = await request('POST', `/api/jobs/${jobId}/retry-failed`, { apiKey: GEMINI_KEY });
+    assert.equal(nothingFailed.status, 400);
+    assert.equal(nothingFailed.body.error, 'Job has no failed images');
+    assert.equal((await request('POST', '/api/jobs/missing/retry-failed', { apiKey: GEMINI_KEY })).status, 404);
+
+    await cleanup(jobId);
+  });
+
+  it('rejects retries of jobs that are still running', async () => {
+    const release = holdGemini();
+    let jobId;
+    try {
+      const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+      jobId = uploaded.body.jobId;
+
+      const running = await request('POST', `/api/jobs/${jobId}/retry-failed`, { apiKey: GEMINI_KEY });
+      assert.equal(running.status, 400);
+      assert.equal(running.body.error, 'Job not yet completed');
+    } finally {
+      release();
+    }
+
+    await waitForJob(jobId);
+    await cleanup(jobId);
+  });
+});
+
+describe('Live updates', () => {
+  it('streams job events and ends the stream once the job completes', async () => {
+    const release = holdGemini();
+    const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+    const events = await openEvents(uploaded.body.jobId);
+    assert.equal(events.response.status, 200);
+    assert.match(events.response.headers.get('content-type'), /^text\/event-stream/);
+
+    const initial = await events.next();
+    assert.equal(initial.type, 'status');
+    assert.equal(initial.data.jobId, uploaded.body.jobId);
+    assert.notEqual(initial.data.status, 'completed');
+
+    release();
+    const received = await readRemainingEvents(events);
+    assert.ok(received.every(event => event.data.jobId === uploaded.body.jobId));
+    const last = received[received.length - 1];
+    assert.equal(last.type, 'jobComplete');
+    assert.equal(last.data.status, 'completed');
+    assert.equal(last.data.progress.completed, 1);
+
+    // A client connecting after completion gets the final state and the end of the stream
+    const late = await openEvents(uploaded.body.jobId);
+    const [final, ...rest] = await readRemainingEvents(late);
+    assert.equal(final.type, 'status');
+    assert.equal(final.data.status, 'completed');
+    assert.deepEqual(rest, []);
+
+    await cleanup(uploaded.body.jobId);
+  });
+
+  it('ends the stream when a job is cancelled and removed', async () => {
+    const release = holdGemini();
+    try {
+      const uploaded = await upload({ provider: 'gemini', apiKey: GEMINI_KEY }, [fixture('red.png')]);
+      const events = await openEvents(uploaded.body.jobId);
+      assert.equal((await events.next()).type, 'status');
+
+      assert.equal((await cleanup(uploaded.body.jobId)).status, 200);
+      const received = await readRemainingEvents(events);
+      const last = received[received.length - 1];
+      assert.equal(last.type, 'jobComplete');
+      assert.equal(last.data.progress.cancelled, 1);
+
+      const gone = await fetch(`${baseUrl}/api/events/${uploaded.body.jobId}`);
+      assert.equal(gone.status, 404);
+      await gone.body.cancel();
+    } finally {
+      release();
+    }
+  });
+});
+
+describe('Unknown jobs', () => {
+  for (const [method, route] of [
+    ['GET', '/api/status/missing'],
+    ['GET', '/api/download/missing'],
+    ['DELETE', '/api/cleanup/missing']
+  ]) {
+    it(`${method} ${route} answers 404`, async () => {
+      const response = await fetch(`${baseUrl}${route}`, { method });
+      assert.equal(response.status, 404);
+      assert.deepEqual(await response.json(), { error: 'Job not found' });
+    });
+  }
+});
+
+describe('Presets', () => {
+  it('creates, updates, lists and deletes presets', async () => {
+    const packshot = { name: 'Packshot', prompt: 'White background packshot', provider: 'gemini', model: 'gemini-2.5-flash-image' };
+
+    const created = await request('POST', '/api/presets', packshot);
+    assert.equal(created.status, 201);
+    assert.ok(created.body.preset.id);
+    assert.equal(created.body.preset.prompt, packshot.prompt);
+
+    const duplicate = await request('POST', '/api/presets', { ...packshot, name: ' packshot ' });
+    assert.equal(duplicate.status, 409);
+
+    const { id } = created.body.preset;
+    const updated = await request('PUT', `/api/presets/${id}`, { ...packshot, aspectRatio: '4:3' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.preset.aspectRatio, '4:3');
+    assert.equal(updated.body.preset.createdAt, created.body.preset.createdAt);
+
+    const listed = await request('GET', '/api/presets');
+    assert.deepEqual(listed.body.presets, [updated.body.preset]);
+
+    const stored = JSON.parse(fs.readFileSync(process.env.PRESETS_FILE, 'utf8'));
+    assert.deepEqual(stored.presets, [updated.body.preset]);
+
+    assert.equal((await request('DELETE', `/api/presets/${id}`)).status, 200);
+    assert.equal((await request('DELETE', `/api/presets/${id}`)).status, 404);
+    assert.equal((await request('PUT', `/api/presets/${id}`, packshot)).status, 404);
+    assert.deepEqual((await request('GET', '/api/presets')).body.presets, []);
+  });
+
+  it('validates presets', async () => {
+    const noName = await request('POST', '/api/presets', { prompt: 'Nameless' });
+    assert.equal(noName.status, 400);
+    assert.equal(noName.body.error, 'Preset name is required');
+
+    const badField = await request('POST', '/api/presets', { name: 'Bad', model: 42 });
+    assert.equal(badField.status, 400);
+    assert.equal(badField.body.error, 'Preset model must be a string');
+  });
+
+  it('exports presets and imports them, replacing presets with the same name', async () => {
+    const relight = (await request('POST', '/api/presets', { name: 'Relight', prompt: 'Warm lifestyle relight' })).body.preset;
+
+    const exported = await request('GET', '/api/presets/export');
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get('content-disposition'), /attachment; filename="presets.json"/);
+    assert.deepEqual(exported.body.presets, [{ name: 'Relight', prompt: 'Warm lifestyle relight' }]);
+
+    const imported = await request('POST', '/api/presets/import', {
+      presets: [
+        { name: 'relight', prompt: 'Cool relight' },
+        { name: 'Packshot', prompt: 'White background packshot', id: 'ignored' }
+      ]
+    });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.created, 1);
+    assert.equal(imported.body.updated, 1);
+
+    const presets = imported.body.presets;
+    assert.deepEqual(presets.map(preset => [preset.name, preset.prompt]), [
+      ['Packshot', 'White background packshot'],
+      ['relight', 'Cool relight']
+    ]);
+    assert.equal(presets[1].id, relight.id);
+    assert.notEqual(presets[0].id, 'ignored');
+
+    const invalid = await request('POST', '/api/presets/import', [{ prompt: 'No name' }]);
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, 'Preset 1: Preset name is required');
+
+    for (const preset of presets) {
+      await request('DELETE', `/api/presets/${preset.id}`);
+    }
+  });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ERROR_CODES, getErrorCode, isFileError, describeFileError } = require('../lib/error-codes');
+
+describe('Error codes', () => {
+  it('reports safety blocks only when the provider reported one', () => {
+    assert.equal(getErrorCode({ status: 400, blocked: true }, 'Request rejected'), ERROR_CODES.SAFETY_BLOCKED);
+    assert.equal(getErrorCode({ status: 400, blocked: false }, 'Prompt blocked: unsupported aspect ratio'), ERROR_CODES.INVALID_INPUT);
+    assert.equal(getErrorCode({ status: 503, blocked: false }, 'Requests are blocked while the model is overloaded'), ERROR_CODES.PROVIDER_ERROR);
+    assert.equal(getErrorCode({ status: null, blocked: false }, 'Safety settings could not be applied'), ERROR_CODES.PROVIDER_ERROR);
+  });
+
+  it('describes file system errors without their path', async () => {
+    const error = await fs.promises.readFile('/tmp/missing-upload/image.png').catch(e => e);
+    assert.equal(isFileError(error), true);
+    assert.equal(isFileError(Object.assign(new Error('connect ECONNREFUSED'), { syscall: 'connect' })), false);
+    assert.equal(describeFileError(error), 'A file of this image is no longer on the server');
+    assert.doesNotMatch(describeFileError(Object.assign(error, { code: 'EIO' })), /missing-upload/);
+  });
+});
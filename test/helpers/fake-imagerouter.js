@@ -0,0 +1,109 @@
+const http = require('http');
+
+/**
+ * Local stand-in for the ImageRouter OpenAI-compatible API. Records every
+ * image request and answers /images/edits and /images/generations with the
+ * configured image (or error), as base64 or as a URL to download it from;
+ * /v1/models lists the configured models
+ */
+class FakeImageRouter {
+  constructor() {
+    this.requests = [];
+    this.reset();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Answer the next requests with an error instead of an image
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message in the OpenAI error format
+   * @param {Object} options - { headers, times }: extra response headers, and
+   *   how many requests fail before images are returned again (default: all)
+   */
+  failWith(status, message, { headers = {}, times = Infinity } = {}) {
+    this.failure = { status, message, headers, times };
+  }
+
+  reset() {
+    this.requests = [];
+    this.failure = null;
+    this.image = Buffer.from('fake-imagerouter-image');
+    this.cost = 0.04; // Reported in every image response, like the real API
+    this.responseFormat = 'b64_json'; // Or 'url'
+    this.models = {
+      'black-forest-labs/FLUX-1.1-pro': FakeImageRouter.model({ edit: true, quality: true }),
+      'test/model': FakeImageRouter.model({ edit: true, quality: true }),
+      'test/generate-only': FakeImageRouter.model({})
+    };
+  }
+
+  /**
+   * A model as listed by the models API
+   * @param {Object} supportedParams - e.g. { edit: true, quality: true }
+   */
+  static model(supportedParams) {
+    return {
+      providers: [{ pricing: { type: 'fixed', value: 0.04 } }],
+      output: ['image'],
+      supported_params: supportedParams,
+      sizes: ['1024x1024', '1536x1024']
+    };
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        return res.end(JSON.stringify(this.models));
+      }
+      if (req.method === 'GET' && req.url === '/files/result') {
+        res.setHeader('Content-Type', 'application/octet-stream');
+        return res.end(this.image);
+      }
+
+      this.requests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString('latin1')
+      });
+
+      if (!/\/images\/(edits|generations)$/.test(req.url)) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+      }
+
+      if (this.failure && this.failure.times > 0) {
+        this.failure.times--;
+        res.statusCode = this.failure.status;
+        Object.entries(this.failure.headers).forEach(([name, value]) => res.setHeader(name, value));
+        return res.end(JSON.stringify({ error: { message: this.failure.message } }));
+      }
+
+      const image = this.responseFormat === 'url'
+        ? { url: `http://${req.headers.host}/files/result` }
+        : { b64_json: this.image.toString('base64') };
+      res.end(JSON.stringify({ data: [image], cost: this.cost }));
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} Base URL to use as IMAGEROUTER_BASE_URL
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}/v1/openai`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = FakeImageRouter;
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encode = value => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// 20130524T000000Z -> milliseconds
+function parseAmzDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+  return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : NaN;
+}
+
+/**
+ * Local stand-in for an S3-compatible server with path-style addressing.
+ * Keeps objects in memory and verifies the SigV4 signature of every request
+ * (header or presigned query) against its own credentials, like S3 does.
+ */
+class FakeS3 {
+  /**
+   * @param {Object} credentials - { accessKeyId, secretAccessKey, region } requests must be signed with
+   */
+  constructor({ accessKeyId, secretAccessKey, region = 'us-east-1' }) {
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.region = region;
+    this.objects = new Map();
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Check the signature of a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {Buffer} body - Request body
+   * @returns {string|null} S3 error code the request is rejected with, null if the signature is valid
+   */
+  verify(req, body) {
+    const [rawPath, rawQuery = ''] = req.url.split('?');
+    let params = Array.from(new URLSearchParams(rawQuery).entries());
+    const query = Object.fromEntries(params);
+    let credential;
+    let signedHeaders;
+    let signature;
+    let amzDate;
+    let payloadHash;
+
+    const header = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+      .exec(req.headers.authorization || '');
+    if (header) {
+      [, credential, signedHeaders, signature] = header;
+      amzDate = req.headers['x-amz-date'];
+      payloadHash = req.headers['x-amz-content-sha256'];
+      if (payloadHash !== sha256(body)) return 'XAmzContentSHA256Mismatch';
+    } else if (query['X-Amz-Algorithm'] === 'AWS4-HMAC-SHA256') {
+      credential = query['X-Amz-Credential'];
+      signedHeaders = query['X-Amz-SignedHeaders'];
+      signature = query['X-Amz-Signature'];
+      amzDate = query['X-Amz-Date'];
+      payloadHash = 'UNSIGNED-PAYLOAD';
+      params = params.filter(([name]) => name !== 'X-Amz-Signature');
+      if (Date.now() > parseAmzDate(amzDate) + Number(query['X-Amz-Expires']) * 1000) return 'AccessDenied';
+    } else {
+      return 'AccessDenied';
+    }
+
+    const scope = `${(amzDate || '').slice(0, 8)}/${this.region}/s3/aws4_request`;
+    if (!signedHeaders || credential !== `${this.accessKeyId}/${scope}`) return 'InvalidAccessKeyId';
+
+    const names = signedHeaders.split(';');
+    const canonicalRequest = [
+      req.method,
+      rawPath,
+      params
+        .map(([name, value]) => [encode(name), encode(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&'),
+      names.map(name => `${name}:${String(req.headers[name] || '').trim()}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    let key = hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8));
+    for (const part of [this.region, 's3', 'aws4_request']) {
+      key = hmac(key, part);
+    }
+    const expected = crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+    return expected === signature ? null : 'SignatureDoesNotMatch';
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, 'http://localhost');
+      const key = decodeURIComponent(url.pathname.slice(1));
+      this.requests.push({ method: req.method, key, query: url.searchParams, headers: req.headers });
+
+      const rejected = this.verify(req, body);
+      if (rejected) {
+        res.statusCode = 403;
+        return res.end(req.method === 'HEAD' ? undefined : `<Error><Code>${rejected}</Code></Error>`);
+      }
+
+      const object = this.objects.get(key);
+      switch (req.method) {
+        case 'PUT':
+          this.objects.set(key, { data: body, contentType: req.headers['content-type'] });
+          return res.end();
+        case 'GET':
+        case 'HEAD':
+          if (!object) {
+            res.statusCode = 404;
+            return res.end(req.method === 'GET' ? '<Error><Code>NoSuchKey</Code></Error>' : undefined);
+          }
+          res.setHeader('Content-Type', object.contentType);
+          if (url.searchParams.has('response-content-disposition')) {
+            res.setHeader('Content-Disposition', url.searchParams.get('response-content-disposition'));
+          }
+          return res.end(req.method === 'GET' ? object.data : undefined);
+        case 'DELETE':
+          this.objects.delete(key);
+          res.statusCode = 204;
+          return res.end();
+        default:
+          res.statusCode = 405;
+          return res.end();
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} Endpoint URL to use as S3_ENDPOINT
+   */
+  start() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = FakeS3;
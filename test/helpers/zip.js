@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal zip reader for the tests: returns the entries of a zip buffer
+ * (stored or deflated, no zip64) with their compression method
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Array<{name: string, method: number, data: Buffer}>} method 0 = stored, 8 = deflated
+ */
+function readZipEntries(buffer) {
+  // End of central directory record, searched backwards past an optional comment
+  let eocd = buffer.length - 22;
+  while (eocd >= 0 && buffer.readUInt32LE(eocd) !== 0x06054b50) {
+    eocd--;
+  }
+  if (eocd < 0) {
+    throw new Error('Not a zip file');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Invalid central directory entry');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // Data follows the local header, whose name/extra lengths may differ from the central ones
+    const dataStart = localOffset + 30 +
+      buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({ name, method, data: method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * @param {Buffer} buffer - Zip file contents
+ * @returns {Map<string, Buffer>} Entry name -> contents
+ */
+function readZip(buffer) {
+  return new Map(readZipEntries(buffer).map(entry => [entry.name, entry.data]));
+}
+
+module.exports = { readZip, readZipEntries };
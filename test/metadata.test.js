@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const { buildMetadata } = require('../lib/metadata');
+const { processOutput } = require('../lib/output-pipeline');
+
+const OPTIONS = { copyright: true, camera: true, gps: true, provenance: true };
+const PROVENANCE = { prompt: 'Sharpen (a lot)', model: 'test-model', provider: 'mock', jobId: 'job_1' };
+
+// A noisy image, so any re-encoding would change its pixels
+function noise(width, height) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = (i * 7919) % 251;
+  return sharp(pixels, { raw: { width, height, channels: 3 } });
+}
+
+async function source() {
+  return noise(16, 16)
+    .withExif({
+      IFD0: { Copyright: '(c) 2024 ACME Corp', Artist: 'Jane Doe', Make: 'Canon', Model: 'EOS R5' },
+      IFD2: { ExposureTime: '1/250', FNumber: '28/10', ISOSpeedRatings: '400', DateTimeOriginal: '2024:05:01 12:30:00' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 31/1 1234/100', GPSAltitudeRef: '0', GPSAltitude: '35/1' }
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+describe('Metadata', () => {
+  for (const [format, encode] of [
+    ['jpeg', image => image.jpeg({ quality: 60 })],
+    ['png', image => image.png({ compressionLevel: 1 })],
+    ['webp', image => image.webp({ quality: 60 })],
+    ['webp', image => image.webp({ lossless: true })]
+  ]) {
+    it(`writes EXIF and XMP into ${format} results without re-encoding them`, async () => {
+      const result = await encode(noise(32, 24)).toBuffer();
+      const metadata = await buildMetadata({ options: OPTIONS, source: await source(), provenance: PROVENANCE });
+
+      const { data, format: detected } = await processOutput(result, { format: 'original', quality: 85, resize: null }, metadata);
+      assert.equal(detected, format);
+
+      // Same pixels, and the encoded image data is copied as it is
+      const [before, after] = await Promise.all([result, data].map(image => sharp(image).raw().toBuffer()));
+      assert.ok(before.equals(after));
+      assert.ok(data.length - result.length < 4096, `${data.length - result.length} bytes added`);
+
+      const read = await sharp(data).metadata();
+      assert.equal(read.width, 32);
+      assert.equal(read.height, 24);
+      assert.match(read.xmp.toString(), /<bia:Prompt>Sharpen \(a lot\)<\/bia:Prompt>/);
+
+      const exif = exifReader(read.exif);
+      assert.equal(exif.Image.Copyright, '(c) 2024 ACME Corp');
+      assert.equal(exif.Image.Artist, 'Jane Doe');
+      assert.equal(exif.Image.Make, 'Canon');
+      assert.equal(exif.Image.Model, 'EOS R5');
+      assert.equal(exif.Image.Software, 'Bulk Image AI');
+      assert.equal(exif.Photo.ExposureTime, 0.004);
+      assert.equal(exif.Photo.FNumber, 2.8);
+      assert.equal(exif.Photo.ISOSpeedRatings, 400);
+      assert.equal(exif.Photo.DateTimeOriginal.toISOString(), '2024-05-01T12:30:00.000Z');
+      assert.equal(exif.GPSInfo.GPSLatitudeRef, 'N');
+      assert.deepEqual(exif.GPSInfo.GPSLatitude, [52, 31, 12.34]);
+      assert.equal(exif.GPSInfo.GPSAltitude, 35);
+    });
+  }
+
+  it('replaces metadata the result already has', async () => {
+    const result = await noise(8, 8).withExif({ IFD0: { Software: 'Provider', Artist: 'Someone else' } }).png().toBuffer();
+    const metadata = await buildMetadata({ options: { ...OPTIONS, copyright: false, camera: false, gps: false }, provenance: PROVENANCE });
+
+    const { data } = await processOutput(result, null, metadata);
+    const exif = exifReader((await sharp(data).metadata()).exif);
+    assert.equal(exif.Image.Software, 'Bulk Image AI');
+    assert.equal(exif.Image.Artist, undefined);
+    assert.equal(data.toString('latin1').split('eXIf').length - 1, 1);
+  });
+});
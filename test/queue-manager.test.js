@@ -0,0 +1,204 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const QueueManager = require('../lib/queue-manager');
+const FileJobStore = require('../lib/file-job-store');
+const BaseProcessor = require('../lib/providers/base-processor');
+const { RetryPolicy } = require('../lib/retry-policy');
+
+// A job handler whose runs finish only when the test lets them
+function controlledHandler() {
+  const runs = [];
+  const handler = (jobId) => new Promise(resolve => runs.push({ jobId, finish: resolve }));
+  return { runs, handler };
+}
+
+// Let dispatched handlers and their settle callbacks run
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Queue manager', () => {
+  it('starts a retried job only after its previous handler has settled', async () => {
+    const queue = new QueueManager(2);
+    const { runs, handler } = controlledHandler();
+    queue.setJobHandler(handler);
+
+    queue.createJob('a', ['one.png', 'two.png']);
+    queue.dispatch();
+    await tick();
+    assert.deepEqual(runs.map(run => run.jobId), ['a']);
+
+    // One image fails, the other is cancelled: the job completes while its handler still runs
+    queue.updateImageStatus('a', 0, 'failed', { error: 'Boom', retryCount: 2 });
+    queue.cancelImages('a', [1]);
+    assert.equal(queue.getJob('a').status, 'completed');
+
+    assert.deepEqual(queue.retryFailedImages('a'), [0]);
+    const [retried] = queue.getJob('a').images;
+    assert.equal(retried.retryCount, 0);
+    assert.equal(retried.retries, undefined);
+    queue.dispatch();
+    await tick();
+
+    // A job slot is free, but the job must not run twice at once
+    assert.deepEqual(runs.map(run => run.jobId), ['a']);
+    assert.equal(queue.getStats().activeJobs, 1);
+    assert.equal(queue.getQueuePosition('a'), 1);
+
+    runs[0].finish();
+    await tick();
+    assert.deepEqual(runs.map(run => run.jobId), ['a', 'a']);
+    assert.equal(queue.getStats().activeJobs, 1);
+  });
+
+  it('keeps the job slot of a completed or removed job until its handler settles', async () => {
+    const queue = new QueueManager(1);
+    const { runs, handler } = controlledHandler();
+    queue.setJobHandler(handler);
+
+    queue.createJob('a', ['one.png']);
+    queue.createJob('b', ['two.png']);
+    queue.dispatch();
+    await tick();
+
+    queue.cancelImages('a');
+    assert.equal(queue.getJob('a').status, 'completed');
+    queue.dispatch();
+    await tick();
+    assert.deepEqual(runs.map(run => run.jobId), ['a']);
+
+    queue.removeJob('a');
+    await tick();
+    assert.deepEqual(runs.map(run => run.jobId), ['a']);
+
+    runs[0].finish();
+    await tick();
+    assert.deepEqual(runs.map(run => run.jobId), ['a', 'b']);
+  });
+
+  it('hands the request slot back while an image waits to be retried', { timeout: 5000 }, async () => {
+    const queue = new QueueManager(1, 1);
+    let calls = 0;
+
+    // Fails with a retryable error once, then succeeds
+    class FlakyProcessor extends BaseProcessor {
+      static id = 'flaky';
+      static displayName = 'Flaky';
+      static capabilities = { generate: true };
+
+      static requiresApiKey() {
+        return false;
+      }
+
+      async requestGeneration() {
+        calls++;
+        if (calls === 1) {
+          const error = new Error('Service unavailable');
+          error.status = 503;
+          throw error;
+        }
+        return { data: Buffer.from('image') };
+      }
+    }
+
+    const processor = new FlakyProcessor({
+      retryPolicy: new RetryPolicy({ baseDelayMs: 100, jitter: 0 }),
+      storage: { save: async key => key }
+    });
+    const slot = queue.createRequestSlot();
+    await slot.acquire();
+    const retried = processor.processImageWithRetry(null, 2, 'A cat', null, 'one', slot);
+
+    // The only slot is free for other images during the backoff
+    const other = queue.createRequestSlot();
+    await other.acquire();
+    assert.equal(calls, 1);
+    assert.equal(queue.getStats().inFlightRequests, 1);
+    other.release();
+
+    const result = await retried;
+    assert.equal(result.success, true);
+    assert.equal(result.retryCount, 1);
+
+    slot.release();
+    slot.release();
+    assert.equal(queue.getStats().inFlightRequests, 0);
+  });
+
+  it('resumes interrupted jobs from the job store after a restart', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulk-image-ai-jobs-'));
+    try {
+      const filePath = path.join(dir, 'jobs.json');
+      const before = new QueueManager(1, 1, new FileJobStore(filePath, 0));
+
+      // Stopped mid-job: one image done, one in flight, one not started
+      before.createJob('interrupted', ['one.png', 'two.png', 'three.png']);
+      before.startJob('interrupted');
+      before.updateImageStatus('interrupted', 0, 'completed', { outputKey: 'interrupted/one.png' });
+      before.updateImageStatus('interrupted', 1, 'processing');
+      before.createJob('waiting', ['four.png']);
+      before.createJob('done', ['five.png']);
+      before.cancelImages('done');
+      await before.store.flush();
+
+      const queue = new QueueManager(1, 1, new FileJobStore(filePath, 0));
+      const { runs, handler } = controlledHandler();
+      queue.setJobHandler(handler);
+
+      assert.equal(await queue.restore(), 2);
+      assert.equal(queue.getJob('done').status, 'completed');
+      assert.equal(queue.getQueuePosition('done'), 0);
+
+      const job = queue.getJob('interrupted');
+      assert.equal(job.status, 'pending');
+      assert.deepEqual(job.images.map(image => [image.status, Boolean(image.resumed)]), [
+        ['completed', false],
+        ['pending', true],
+        ['pending', false]
+      ]);
+      assert.deepEqual(job.progress, { total: 3, completed: 1, failed: 0, cancelled: 0, pending: 2 });
+      assert.equal(queue.getQueuePosition('interrupted'), 1);
+      assert.equal(queue.getQueuePosition('waiting'), 2);
+
+      // Resumed jobs run again in their original order
+      queue.dispatch();
+      await tick();
+      assert.deepEqual(runs.map(run => run.jobId), ['interrupted']);
+      runs[0].finish();
+      await tick();
+      assert.deepEqual(runs.map(run => run.jobId), ['interrupted', 'waiting']);
+      runs[1].finish();
+      await tick();
+      await queue.store.flush();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('prunes completed jobs from the job store after their retention period', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bulk-image-ai-jobs-'));
+    try {
+      const filePath = path.join(dir, 'jobs.json');
+      const queue = new QueueManager(1, 1, new FileJobStore(filePath, 0));
+
+      queue.createJob('old', ['one.png']);
+      queue.createJob('recent', ['two.png']);
+      queue.createJob('running', ['three.png']);
+      queue.cancelImages('old');
+      queue.cancelImages('recent');
+      queue.getJob('old').completedAt = new Date(Date.now() - 2 * 60000).toISOString();
+
+      const pruned = queue.pruneCompletedJobs(60000);
+      assert.deepEqual(pruned.map(job => job.jobId), ['old']);
+      assert.equal(queue.getJob('old'), null);
+      assert.deepEqual(queue.getAllJobs().map(job => job.jobId), ['recent', 'running']);
+
+      await queue.store.flush();
+      const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      assert.deepEqual(stored.jobs.map(job => job.jobId).sort(), ['recent', 'running']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
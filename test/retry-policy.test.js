@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetryPolicy, parseRetryAfter } = require('../lib/retry-policy');
+const GeminiProcessor = require('../lib/providers/gemini-processor');
+
+describe('Retry policy', () => {
+  it('parses Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.equal(parseRetryAfter('3', now), 3000);
+    assert.equal(parseRetryAfter('1.5', now), 1500);
+    assert.equal(parseRetryAfter('Wed, 01 Jan 2025 00:00:10 GMT', now), 10000);
+    assert.equal(parseRetryAfter('Tue, 31 Dec 2024 23:59:00 GMT', now), 0);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(undefined, now), null);
+  });
+
+  it('retries rate limits, server errors and timeouts only', () => {
+    const policy = new RetryPolicy();
+    for (const status of [408, 429, 500, 503]) {
+      assert.equal(policy.isRetryable({ status }), true, `status ${status}`);
+    }
+    for (const status of [400, 401, 402, 403, 404]) {
+      assert.equal(policy.isRetryable({ status }), false, `status ${status}`);
+    }
+    assert.equal(policy.isRetryable({ code: 'ECONNABORTED' }), true);
+    assert.equal(policy.isRetryable({ code: 'ENOTFOUND' }), false);
+    assert.equal(policy.isRetryable({ status: 500, fatal: true }), false);
+    assert.equal(policy.isRetryable({ retryable: true }), true);
+    assert.equal(policy.isRetryable({}), false);
+  });
+
+  it('backs off exponentially with jitter, never below Retry-After', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 10000, jitter: 0.2 });
+    for (let i = 0; i < 20; i++) {
+      const first = policy.getDelay(0);
+      assert.ok(first >= 1000 && first <= 1200, String(first));
+      const third = policy.getDelay(2);
+      assert.ok(third >= 4000 && third <= 4800, String(third));
+      const capped = policy.getDelay(10);
+      assert.ok(capped >= 10000 && capped <= 12000, String(capped));
+      const asked = policy.getDelay(0, 5000);
+      assert.ok(asked >= 5000 && asked <= 6000, String(asked));
+    }
+
+    // Retry-After is honored beyond the backoff cap, up to its own limit
+    const limited = new RetryPolicy({ maxDelayMs: 10000, maxRetryAfterMs: 120000, jitter: 0 });
+    assert.equal(limited.getDelay(0, 60000), 60000);
+    assert.equal(limited.getDelay(0, 180000), null);
+    assert.equal(RetryPolicy.fromEnv({ RETRY_MAX_AFTER_MS: '1000' }).maxRetryAfterMs, 1000);
+  });
+
+  it('reads the status and retry delay from Gemini SDK errors', () => {
+    const processor = new GeminiProcessor({ apiKey: 'AIzaTest' });
+    const error = new Error('got status: 429 Too Many Requests. {"error":{"details":[{"retryDelay":"7s"}]}}');
+    const failure = processor.describeFailure(error);
+    assert.equal(failure.status, 429);
+    assert.equal(failure.retryAfterMs, 7000);
+    assert.equal(processor.retryPolicy.isRetryable(failure), true);
+  });
+
+  it('treats reported safety blocks as fatal, not messages that mention them', () => {
+    const processor = new GeminiProcessor({ apiKey: 'AIzaTest' });
+
+    const blocked = new Error('Prompt blocked by Gemini safety filters (SAFETY)');
+    blocked.safety = { blockReason: 'SAFETY', blocked: true };
+    const failure = processor.describeFailure(blocked);
+    assert.equal(failure.blocked, true);
+    assert.equal(processor.retryPolicy.isRetryable(failure), false);
+
+    const overloaded = new Error('got status: 503 Service Unavailable. Requests are blocked while the model is overloaded');
+    const transient = processor.describeFailure(overloaded);
+    assert.equal(transient.blocked, false);
+    assert.equal(processor.retryPolicy.isRetryable(transient), true);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ZipGenerator = require('../lib/zip-generator');
+
+describe('Zip generator', () => {
+  it('checks the results of a job in parallel, a few at a time', async () => {
+    const images = Array.from({ length: 20 }, (_, i) => ({
+      name: `photo${i + 1}.png`,
+      path: `/uploads/${i}.png`,
+      status: 'completed',
+      outputKey: `job/${String(i + 1).padStart(3, '0')}-hash.png`
+    }));
+    const job = { jobId: 'job', settings: { provider: 'mock', model: 'pattern' }, images };
+
+    // Every third result is missing from the storage
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const storage = {
+      exists: async (key) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return Number(key.slice(4, 7)) % 3 !== 0;
+      }
+    };
+
+    const options = ZipGenerator.normalizeOptions({ manifest: 'none' }).options;
+    const files = await ZipGenerator.getJobFiles(job, 'job', storage, options);
+
+    assert.ok(maxInFlight > 1, `${maxInFlight} checks at once`);
+    assert.ok(maxInFlight <= 8, `${maxInFlight} checks at once`);
+    assert.deepEqual(
+      files.map(file => file.name),
+      images.filter((_, i) => (i + 1) % 3 !== 0).map(image => `${image.name.replace('.png', '')}_pattern.png`)
+    );
+  });
+});